@@ -0,0 +1,76 @@
+// Audit trail
+//
+// Every user create/update/delete/restore/purge appends one entry recording
+// who did it, the request it came from and the row before and after the
+// change. Entries are written in the same transaction as the change and are
+// never modified.
+
+const { parseId } = require("./storage");
+
+const AUDIT_ACTIONS = ["create", "update", "delete", "restore", "purge"];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Build an entry for `repository.recordAudit`; `req` may be {} for changes
+// made by the server itself (e.g. the bootstrap admin)
+function auditEntry(req, action, before, after) {
+  return {
+    action,
+    userId: (after || before).id,
+    actorId: req.user ? req.user.id : null,
+    actorEmail: req.user ? req.user.email : null,
+    requestId: req.id || null,
+    before: before || null,
+    after: after || null,
+  };
+}
+
+// Returns { query } on success or { error } when a parameter is invalid
+function parseAuditQuery(params) {
+  const filters = {};
+
+  if (params.user_id !== undefined) {
+    filters.userId = parseId(params.user_id);
+    if (filters.userId === null) {
+      return { error: "user_id must be a positive integer" };
+    }
+  }
+
+  if (params.action !== undefined) {
+    if (!AUDIT_ACTIONS.includes(params.action)) {
+      return { error: `action must be one of: ${AUDIT_ACTIONS.join(", ")}` };
+    }
+    filters.action = params.action;
+  }
+
+  // Inclusive time range on created_at
+  for (const param of ["from", "to"]) {
+    if (params[param] !== undefined) {
+      const date = new Date(params[param]);
+      if (isNaN(date.getTime())) {
+        return { error: `${param} must be a valid date` };
+      }
+      filters[param] = date;
+    }
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (params.limit !== undefined) {
+    if (!/^\d+$/.test(String(params.limit)) || Number(params.limit) < 1) {
+      return { error: "limit must be a positive integer" };
+    }
+    limit = Math.min(Number(params.limit), MAX_LIMIT);
+  }
+
+  let page = 1;
+  if (params.page !== undefined) {
+    if (!/^\d+$/.test(String(params.page)) || Number(params.page) < 1) {
+      return { error: "page must be a positive integer" };
+    }
+    page = Number(params.page);
+  }
+
+  return { query: { filters, limit, page, offset: (page - 1) * limit } };
+}
+
+module.exports = { AUDIT_ACTIONS, auditEntry, parseAuditQuery };
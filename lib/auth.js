@@ -0,0 +1,217 @@
+// Authentication
+//
+// Two ways to identify a caller:
+// - API keys sent as `Authorization: Bearer <key>` for programmatic clients.
+//   Only a SHA-256 hash of each key is stored.
+// - Email/password login for the web UI, which sets a signed, HttpOnly
+//   session cookie. Sessions are stateless: the cookie carries the user id,
+//   email and expiry, signed with SESSION_SECRET. Ids change when fallback
+//   writes are replayed into PostgreSQL, so a session only holds while the
+//   user with that id still has that email.
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { auditEntry } = require("./audit");
+const { sendProblem } = require("./problems");
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = "session";
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+const API_KEY_PREFIX = "um_";
+
+// Passwords: scrypt with a per-password salt, stored as scrypt$salt$hash
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// API keys are random, so a fast hash is enough to look them up safely
+function generateApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(32).toString("base64url");
+  return { key, prefix: key.slice(0, 10), keyHash: hashApiKey(key) };
+}
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+// Sessions: base64url(payload).base64url(hmac)
+function sign(value, secret) {
+  return crypto.createHmac("sha256", secret).update(value).digest("base64url");
+}
+
+function createSessionToken(user, secret, now = Date.now()) {
+  const payload = Buffer.from(
+    JSON.stringify({
+      uid: user.id,
+      email: user.email,
+      exp: now + SESSION_TTL_MS,
+    })
+  ).toString("base64url");
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+function readSessionToken(token, secret, now = Date.now()) {
+  const [payload, signature] = String(token).split(".");
+  if (!payload || !signature) {
+    return null;
+  }
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+  try {
+    const session = JSON.parse(Buffer.from(payload, "base64url").toString());
+    return session.exp > now ? session : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The value of cookie `name` in a Cookie header, or null. Only that cookie
+// is decoded, and a malformed value counts as missing, so other cookies on
+// the domain cannot break requests.
+function readCookie(header, name) {
+  for (const part of String(header || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index > 0 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function sessionCookieOptions(secure) {
+  return {
+    httpOnly: true,
+    sameSite: "lax",
+    secure,
+    maxAge: SESSION_TTL_MS,
+    path: "/",
+  };
+}
+
+function sendUnauthorized(res, message = "Authentication required") {
+  res.set("WWW-Authenticate", 'Bearer realm="api"');
+  sendProblem(res, "authentication_required", message);
+}
+
+// Identify the caller from an API key or session cookie. Valid credentials
+// set req.user and req.auth; otherwise req.authError says why, and the
+// request carries on unauthenticated (see requireAuth). Rate limits run in
+// between, so they can tell API key clients from everyone else.
+function identify(repository, { sessionSecret }) {
+  return async (req, res, next) => {
+    try {
+      const header = req.get("authorization");
+      if (header) {
+        const [scheme, token] = header.split(" ");
+        if (scheme !== "Bearer" || !token) {
+          req.authError = "Authorization header must be: Bearer <key>";
+          next();
+          return;
+        }
+        const apiKey = await repository.findApiKey(hashApiKey(token));
+        const user = apiKey && (await repository.get(apiKey.user_id));
+        if (!user || user.status !== "active") {
+          req.authError = "Invalid API key";
+          next();
+          return;
+        }
+        await repository.touchApiKey(apiKey.id);
+        req.user = user;
+        req.auth = { method: "api_key", keyId: apiKey.id };
+        next();
+        return;
+      }
+
+      const token = readCookie(req.get("cookie"), SESSION_COOKIE);
+      const session = token && readSessionToken(token, sessionSecret);
+      const user = session && (await repository.get(session.uid));
+      if (user && user.status === "active" && user.email === session.email) {
+        req.user = user;
+        req.auth = { method: "session" };
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Reject requests identify() could not authenticate with 401
+function requireAuth(req, res, next) {
+  if (!req.auth) {
+    sendUnauthorized(res, req.authError);
+    return;
+  }
+  next();
+}
+
+// Create or promote the bootstrap admin from ADMIN_EMAIL / ADMIN_PASSWORD
+async function ensureAdmin(repository, { email, password }) {
+  const normalized = email.trim().toLowerCase();
+  // A trashed account still owns its email, so it is restored rather than
+  // recreated
+  const existing = await repository.findByEmail(normalized, {
+    includeDeleted: true,
+  });
+  const fields = {
+    name: existing ? existing.name : "Administrator",
+    email: normalized,
+    status: "active",
+    role: "admin",
+    metadata: existing ? existing.metadata : {},
+  };
+  const passwordHash = await hashPassword(password);
+
+  // Audited like any other change, with no actor or request
+  return repository.transaction(async (tx) => {
+    if (existing && existing.deleted_at) {
+      const restored = await tx.restore(existing.id);
+      await tx.recordAudit(auditEntry({}, "restore", existing, restored));
+    }
+    const user = existing
+      ? await tx.update(existing.id, fields)
+      : await tx.create(fields);
+    await tx.setPassword(user.id, passwordHash);
+    await tx.recordAudit(
+      auditEntry({}, existing ? "update" : "create", existing, user)
+    );
+    return user;
+  });
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  createSessionToken,
+  ensureAdmin,
+  generateApiKey,
+  hashPassword,
+  identify,
+  readSessionToken,
+  requireAuth,
+  sendUnauthorized,
+  sessionCookieOptions,
+  verifyPassword,
+};
@@ -0,0 +1,244 @@
+// Bulk user writes
+//
+// POST /api/users/bulk takes a list of create/update/delete operations and
+// runs them either all-or-nothing in one transaction ("atomic") or each in
+// its own transaction ("partial"), reporting a result per operation. Every
+// operation gets the same validation, permission checks and audit entry as
+// the single-user routes.
+
+const { validateUser } = require("./validation");
+const { parseId } = require("./storage");
+const { can } = require("./permissions");
+const { auditEntry } = require("./audit");
+const { hashPassword } = require("./auth");
+
+const BULK_MODES = ["atomic", "partial"];
+const BULK_ACTIONS = ["create", "update", "delete"];
+const MAX_BULK_OPERATIONS = 500;
+
+// Returns { request } on success or { error } when the envelope is invalid
+function parseBulkRequest(body) {
+  const input = body !== null && typeof body === "object" ? body : {};
+  const mode = input.mode === undefined ? "atomic" : input.mode;
+  if (!BULK_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${BULK_MODES.join(", ")}` };
+  }
+  if (!Array.isArray(input.operations) || input.operations.length === 0) {
+    return { error: "operations must be a non-empty array" };
+  }
+  if (input.operations.length > MAX_BULK_OPERATIONS) {
+    return {
+      error: `operations may contain at most ${MAX_BULK_OPERATIONS} items`,
+    };
+  }
+  return { request: { mode, operations: input.operations } };
+}
+
+// An expected per-operation failure, reported in its result
+function operationError(status, message, fields) {
+  return Object.assign(new Error(message), { status, fields });
+}
+
+// The requested action, or null when it is missing or unknown
+function actionOf(input) {
+  const action = input && input.action;
+  return BULK_ACTIONS.includes(action) ? action : null;
+}
+
+function failure(index, action, error) {
+  return {
+    index,
+    action,
+    success: false,
+    status: error.status,
+    error: error.message,
+    ...(error.fields && { fields: error.fields }),
+  };
+}
+
+// Validate one operation and check the caller may perform it
+async function prepareOperation(input, index, user) {
+  const op = input !== null && typeof input === "object" ? input : {};
+  const { action } = op;
+  if (!BULK_ACTIONS.includes(action)) {
+    throw operationError(
+      400,
+      `action must be one of: ${BULK_ACTIONS.join(", ")}`
+    );
+  }
+
+  const id = action === "create" ? null : parseId(op.id);
+  if (action !== "create" && !id) {
+    throw operationError(400, "id must be a positive integer");
+  }
+
+  if (action === "delete") {
+    const purge = op.purge === true;
+    if (!can(user, purge ? "users:purge" : "users:delete")) {
+      throw operationError(403, "You do not have permission to do this");
+    }
+    return { index, action, id, purge };
+  }
+
+  if (!can(user, action === "create" ? "users:create" : "users:update")) {
+    throw operationError(403, "You do not have permission to do this");
+  }
+  const { value, errors } = validateUser(op.user);
+  if (errors) {
+    throw operationError(400, "Validation failed", errors);
+  }
+  if (value.role === "admin" && !can(user, "users:manage_admins")) {
+    throw operationError(403, "Only admins can grant the admin role");
+  }
+
+  const { password, ...fields } = value;
+  const passwordHash = password && (await hashPassword(password));
+  return { index, action, id, fields, passwordHash };
+}
+
+// Apply one prepared operation with `tx`; mirrors the single-user routes
+async function applyOperation(tx, req, op) {
+  if (op.action === "create") {
+    const created = await tx.create(op.fields);
+    if (op.passwordHash) {
+      await tx.setPassword(created.id, op.passwordHash);
+    }
+    await tx.recordAudit(auditEntry(req, "create", null, created));
+    return { status: 201, user: created };
+  }
+
+  if (op.action === "update") {
+    const before = await tx.get(op.id);
+    if (!before) {
+      throw operationError(404, "User not found");
+    }
+    if (before.role === "admin" && !can(req.user, "users:manage_admins")) {
+      throw operationError(403, "Only admins can change admin accounts");
+    }
+    const updated = await tx.update(op.id, op.fields);
+    if (op.passwordHash) {
+      await tx.setPassword(op.id, op.passwordHash);
+    }
+    await tx.recordAudit(auditEntry(req, "update", before, updated));
+    return { status: 200, user: updated };
+  }
+
+  const before = await tx.get(op.id, { includeDeleted: op.purge });
+  if (!before) {
+    throw operationError(404, "User not found");
+  }
+  if (op.purge) {
+    await tx.purge(op.id);
+    await tx.recordAudit(auditEntry(req, "purge", before, null));
+    return { status: 200, id: op.id, purged: true, user: before };
+  }
+  const after = await tx.remove(op.id);
+  await tx.recordAudit(auditEntry(req, "delete", before, after));
+  return { status: 200, id: op.id, purged: false, user: after };
+}
+
+// Run `fn` and turn expected errors into a failed result
+async function settle(index, action, fn) {
+  try {
+    return { index, action, success: true, ...(await fn()) };
+  } catch (error) {
+    if (error.code === "UNIQUE_VIOLATION") {
+      return failure(
+        index,
+        action,
+        operationError(409, "Email is already in use", {
+          email: "Email is already in use",
+        })
+      );
+    }
+    if (error.status) {
+      return failure(index, action, error);
+    }
+    throw error;
+  }
+}
+
+function notApplied(index, action, failedIndex) {
+  return failure(
+    index,
+    action,
+    operationError(424, `Not applied because operation ${failedIndex} failed`)
+  );
+}
+
+// Run a parsed bulk request. Returns { applied, status, results } where
+// `applied` is false when an atomic request was rolled back.
+async function runBulk(repository, req, { mode, operations }) {
+  const prepared = [];
+  const results = [];
+  for (const [index, input] of operations.entries()) {
+    const result = await settle(index, actionOf(input), async () => {
+      prepared.push(await prepareOperation(input, index, req.user));
+      return {};
+    });
+    results.push(result.success ? null : result);
+  }
+
+  if (mode === "partial") {
+    for (const op of prepared) {
+      try {
+        results[op.index] = await settle(op.index, op.action, () =>
+          repository.transaction((tx) => applyOperation(tx, req, op))
+        );
+      } catch (error) {
+        req.log.error("Bulk operation failed", { index: op.index, error });
+        results[op.index] = failure(
+          op.index,
+          op.action,
+          operationError(500, "Failed to apply operation")
+        );
+      }
+    }
+    return { applied: true, status: 200, results };
+  }
+
+  // Atomic: nothing runs unless every operation is valid, and the first
+  // failure rolls back the rest
+  let failed = results.find(Boolean);
+  if (!failed) {
+    const ROLLBACK = new Error("Bulk operation failed");
+    try {
+      await repository.transaction(async (tx) => {
+        for (const op of prepared) {
+          results[op.index] = await settle(op.index, op.action, () =>
+            applyOperation(tx, req, op)
+          );
+          if (!results[op.index].success) {
+            throw ROLLBACK;
+          }
+        }
+      });
+    } catch (error) {
+      if (error !== ROLLBACK) {
+        throw error;
+      }
+    }
+    failed = results.find((result) => result && !result.success);
+  }
+  if (!failed) {
+    return { applied: true, status: 200, results };
+  }
+
+  return {
+    applied: false,
+    status: failed.status,
+    results: results.map((result, index) =>
+      result && !result.success
+        ? result
+        : notApplied(index, actionOf(operations[index]), failed.index)
+    ),
+  };
+}
+
+module.exports = {
+  BULK_ACTIONS,
+  BULK_MODES,
+  MAX_BULK_OPERATIONS,
+  parseBulkRequest,
+  runBulk,
+};
@@ -0,0 +1,420 @@
+// Configuration
+//
+// Every setting is read from its environment variable, else from the
+// optional JSON file named by CONFIG_FILE (keyed by the same names, e.g.
+// {"PORT": 8080, "CORS_ORIGINS": ["https://app.example.com"]}), else its
+// default. Everything is checked at boot: invalid or missing values stop the
+// server with one message per problem instead of failing later.
+//
+// SETTINGS documents every key. The loaded config is grouped for the code
+// that uses it (`storage`, `rateLimits`, ...); `summary` is the effective
+// configuration with secrets redacted, logged at startup and printed by
+// `npm run config:check`.
+
+const fs = require("fs");
+const path = require("path");
+const { LEVELS } = require("./logger");
+const { RATE_LIMIT_STORES } = require("./rate-limit");
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+const REDACTED = "[redacted]";
+
+// Value checkers: each returns the parsed value or throws an Error whose
+// message says what is expected. Environment values are strings; values
+// from the config file may already be numbers, booleans or arrays.
+
+function text({ minLength = 1 } = {}) {
+  return (value) => {
+    if (typeof value !== "string" || value.length < minLength) {
+      throw new Error(
+        minLength > 1
+          ? `must be at least ${minLength} characters`
+          : "must be a string"
+      );
+    }
+    return value;
+  };
+}
+
+function integer({ min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  return (value) => {
+    const number = Number(value);
+    if (!/^\d+$/.test(String(value)) || number < min || number > max) {
+      throw new Error(
+        max === Number.MAX_SAFE_INTEGER
+          ? `must be a whole number of at least ${min}`
+          : `must be a whole number from ${min} to ${max}`
+      );
+    }
+    return number;
+  };
+}
+
+function boolean() {
+  return (value) => {
+    if (value === true || value === "true" || value === "1") {
+      return true;
+    }
+    if (value === false || value === "false" || value === "0") {
+      return false;
+    }
+    throw new Error("must be true or false");
+  };
+}
+
+function oneOf(choices) {
+  return (value) => {
+    if (!choices.includes(value)) {
+      throw new Error(`must be one of: ${choices.join(", ")}`);
+    }
+    return value;
+  };
+}
+
+// A comma-separated list (or a JSON array in the config file)
+function list(item) {
+  return (value) => {
+    const items = Array.isArray(value)
+      ? value
+      : String(value)
+          .split(",")
+          .map((entry) => entry.trim())
+          .filter(Boolean);
+    return items.map(item);
+  };
+}
+
+function origin(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    url = null;
+  }
+  if (!url || url.origin !== value) {
+    throw new Error(
+      `must list origins like https://app.example.com (got "${value}")`
+    );
+  }
+  return value;
+}
+
+function postgresUrl(value) {
+  if (!/^postgres(ql)?:\/\/./.test(String(value))) {
+    throw new Error("must be a postgres:// or postgresql:// URL");
+  }
+  return value;
+}
+
+function email(value) {
+  if (!/^[^\s@]+@[^\s@]+$/.test(String(value))) {
+    throw new Error("must be an email address");
+  }
+  return value;
+}
+
+// Proxy hops in front of the server (e.g. 1), or their addresses
+function trustProxy(value) {
+  return /^\d+$/.test(String(value)) ? Number(value) : String(value);
+}
+
+const isProduction = (values) => values.NODE_ENV === "production";
+
+// Each setting's checker, default (a value, or a function of the settings
+// before it) and description. A setting left without a value is an error
+// when `required(values)` returns the reason; `secret` settings are
+// redacted in the summary.
+const SETTINGS = {
+  NODE_ENV: {
+    check: text(),
+    default: "development",
+    description: "production turns on secure cookies and database SSL",
+  },
+  PORT: {
+    check: integer({ max: 65535 }),
+    default: 3000,
+    description: "Port to listen on",
+  },
+  TRUST_PROXY: {
+    check: trustProxy,
+    default: null,
+    description:
+      "Reverse proxies in front of the server: how many (e.g. 1) or their addresses",
+  },
+  CORS_ORIGINS: {
+    check: list(origin),
+    default: [],
+    description:
+      "Origins allowed to call the API cross-origin (default: none, same-origin only)",
+  },
+  SESSION_SECRET: {
+    check: text({ minLength: 16 }),
+    default: null,
+    secret: true,
+    description:
+      "Signs session cookies (random per process if unset, so sessions end on restart)",
+  },
+  ADMIN_EMAIL: {
+    check: email,
+    default: null,
+    required: (values) =>
+      values.ADMIN_PASSWORD !== null && "when ADMIN_PASSWORD is set",
+    description: "Admin login account created (or reset) at startup",
+  },
+  ADMIN_PASSWORD: {
+    check: text({ minLength: 8 }),
+    default: null,
+    secret: true,
+    required: (values) =>
+      values.ADMIN_EMAIL !== null && "when ADMIN_EMAIL is set",
+    description: "Password of ADMIN_EMAIL",
+  },
+  STORAGE_BACKEND: {
+    check: oneOf(["postgres", "memory", "file"]),
+    default: "postgres",
+    description: "Storage adapter",
+  },
+  DATABASE_URL: {
+    check: postgresUrl,
+    default: (values) =>
+      isProduction(values) ? null : "postgresql://localhost:5432/users_db",
+    required: (values) =>
+      values.STORAGE_BACKEND === "postgres" &&
+      "in production with STORAGE_BACKEND=postgres",
+    secret: true,
+    description:
+      "PostgreSQL connection string (required in production with the postgres backend)",
+  },
+  DATABASE_SSL: {
+    check: oneOf(["disable", "require", "verify"]),
+    default: (values) => (isProduction(values) ? "require" : "disable"),
+    description:
+      "disable, require (encrypt without checking the certificate) or verify (check it too)",
+  },
+  DB_POOL_MAX: {
+    check: integer({ min: 1, max: 100 }),
+    default: 10,
+    description: "Most PostgreSQL connections the pool opens",
+  },
+  DB_CONNECT_TIMEOUT_SECONDS: {
+    check: integer({ min: 1, max: 120 }),
+    default: 5,
+    description: "Give up on a PostgreSQL connection attempt after this long",
+  },
+  DB_IDLE_TIMEOUT_SECONDS: {
+    check: integer({ max: 3600 }),
+    default: 30,
+    description: "Close pool connections idle this long (0: never)",
+  },
+  DB_STATEMENT_TIMEOUT_SECONDS: {
+    check: integer({ max: 3600 }),
+    default: 0,
+    description: "Cancel queries running longer than this (0: no limit)",
+  },
+  DB_FALLBACK: {
+    check: oneOf(["memory", "off"]),
+    default: "memory",
+    description:
+      "memory: serve from memory while PostgreSQL is unreachable; off: refuse to start without it",
+  },
+  DB_RECONNECT_INTERVAL_SECONDS: {
+    check: integer({ min: 1, max: 3600 }),
+    default: 30,
+    description: "In fallback mode, wait between attempts to reconnect",
+  },
+  FALLBACK_JOURNAL: {
+    check: text(),
+    default: path.join(DATA_DIR, "fallback-journal.jsonl"),
+    description: "File journaling writes made in fallback mode",
+  },
+  DATA_FILE: {
+    check: text(),
+    default: path.join(DATA_DIR, "users.json"),
+    description: "JSON file used by the file backend",
+  },
+  MIGRATE_ON_BOOT: {
+    check: boolean(),
+    default: true,
+    description: "Apply pending migrations at startup",
+  },
+  IDEMPOTENCY_TTL_HOURS: {
+    check: integer({ min: 1, max: 720 }),
+    default: 24,
+    description: "How long Idempotency-Key responses are kept",
+  },
+  RATE_LIMIT_READS: {
+    check: integer(),
+    default: 300,
+    description: "Reads allowed per client per window (0: unlimited)",
+  },
+  RATE_LIMIT_WRITES: {
+    check: integer(),
+    default: 60,
+    description: "Writes allowed per client per window (0: unlimited)",
+  },
+  RATE_LIMIT_WINDOW_SECONDS: {
+    check: integer({ min: 1 }),
+    default: 60,
+    description: "Length of the rate limit window",
+  },
+  RATE_LIMIT_STORE: {
+    check: oneOf(RATE_LIMIT_STORES),
+    default: "memory",
+    description: "Where rate limit counters are kept",
+  },
+  LOG_LEVEL: {
+    check: oneOf(Object.keys(LEVELS)),
+    default: "info",
+    description: "Lowest log level written",
+  },
+  METRICS_TOKEN: {
+    check: text(),
+    default: null,
+    secret: true,
+    description: "Bearer token required by GET /metrics (default: none, open)",
+  },
+  SHUTDOWN_TIMEOUT_SECONDS: {
+    check: integer({ max: 300 }),
+    default: 10,
+    description: "How long requests in flight get to finish at shutdown",
+  },
+};
+
+// Raised with every problem found, one message each
+function invalidConfig(errors) {
+  const error = new Error(`Invalid configuration:\n  ${errors.join("\n  ")}`);
+  error.code = "INVALID_CONFIG";
+  error.errors = errors;
+  return error;
+}
+
+function readConfigFile(filePath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw invalidConfig([`CONFIG_FILE ${filePath}: ${error.message}`]);
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw invalidConfig([`CONFIG_FILE ${filePath}: must be a JSON object`]);
+  }
+  const unknown = Object.keys(parsed).filter((key) => !SETTINGS[key]);
+  if (unknown.length > 0) {
+    throw invalidConfig(
+      unknown.map((key) => `CONFIG_FILE ${filePath}: unknown setting ${key}`)
+    );
+  }
+  return parsed;
+}
+
+// Hide the password in a connection string
+function redactUrl(value) {
+  try {
+    const url = new URL(value);
+    if (url.password) {
+      // Brackets would be percent-encoded
+      url.password = "redacted";
+    }
+    return url.toString();
+  } catch (error) {
+    return REDACTED;
+  }
+}
+
+function summarize(values) {
+  return Object.fromEntries(
+    Object.entries(values).map(([key, value]) => {
+      if (value === null || !SETTINGS[key].secret) {
+        return [key, value];
+      }
+      return [key, key === "DATABASE_URL" ? redactUrl(value) : REDACTED];
+    })
+  );
+}
+
+// Load and check the configuration; throws an INVALID_CONFIG error listing
+// every problem
+function loadConfig(env = process.env) {
+  const configFile = env.CONFIG_FILE || null;
+  const file = configFile ? readConfigFile(configFile) : {};
+  const values = {};
+  // Settings left at their default
+  const defaults = [];
+  const errors = [];
+
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    // Empty variables count as unset
+    const raw =
+      env[key] !== undefined && env[key] !== "" ? env[key] : file[key];
+    if (raw === undefined || raw === null) {
+      defaults.push(key);
+      values[key] =
+        typeof setting.default === "function"
+          ? setting.default(values)
+          : setting.default;
+      continue;
+    }
+    try {
+      values[key] = setting.check(raw);
+    } catch (error) {
+      values[key] = null;
+      errors.push(`${key} ${error.message}`);
+    }
+  }
+
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    const reason =
+      values[key] === null && setting.required && setting.required(values);
+    if (reason && !errors.some((message) => message.startsWith(`${key} `))) {
+      errors.push(`${key} is required ${reason}`);
+    }
+  }
+  if (errors.length > 0) {
+    throw invalidConfig(errors);
+  }
+
+  const production = isProduction(values);
+  return {
+    env: values.NODE_ENV,
+    production,
+    port: values.PORT,
+    trustProxy: values.TRUST_PROXY,
+    corsOrigins: values.CORS_ORIGINS,
+    sessionSecret: values.SESSION_SECRET,
+    admin: values.ADMIN_EMAIL
+      ? { email: values.ADMIN_EMAIL, password: values.ADMIN_PASSWORD }
+      : null,
+    secureCookies: production,
+    idempotencyTtl: values.IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000,
+    logLevel: values.LOG_LEVEL,
+    metricsToken: values.METRICS_TOKEN,
+    shutdownTimeout: values.SHUTDOWN_TIMEOUT_SECONDS * 1000,
+    storage: {
+      backend: values.STORAGE_BACKEND,
+      connectionString: values.DATABASE_URL,
+      ssl: values.DATABASE_SSL,
+      pool: {
+        max: values.DB_POOL_MAX,
+        connectionTimeout: values.DB_CONNECT_TIMEOUT_SECONDS * 1000,
+        idleTimeout: values.DB_IDLE_TIMEOUT_SECONDS * 1000,
+        statementTimeout: values.DB_STATEMENT_TIMEOUT_SECONDS * 1000,
+      },
+      fallback: values.DB_FALLBACK === "memory",
+      reconnectInterval: values.DB_RECONNECT_INTERVAL_SECONDS * 1000,
+      journalPath: values.FALLBACK_JOURNAL,
+      filePath: values.DATA_FILE,
+      migrateOnBoot: values.MIGRATE_ON_BOOT,
+    },
+    rateLimits: {
+      store: values.RATE_LIMIT_STORE,
+      reads: values.RATE_LIMIT_READS,
+      writes: values.RATE_LIMIT_WRITES,
+      window: values.RATE_LIMIT_WINDOW_SECONDS * 1000,
+    },
+    configFile,
+    summary: summarize(values),
+    defaults,
+  };
+}
+
+module.exports = { SETTINGS, loadConfig };
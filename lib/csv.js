@@ -0,0 +1,92 @@
+// CSV reading and writing (RFC 4180)
+//
+// Spreadsheets run cells starting with =, +, - or @ (or a tab or carriage
+// return) as formulas, so those are written with a leading ' and read back
+// without it.
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+const ESCAPED_FORMULA = /^'[=+\-@\t\r]/;
+
+// Quote a cell when it contains a delimiter, quote or line break
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = String(value);
+  if (FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatRow(cells) {
+  return `${cells.map(formatCell).join(",")}\r\n`;
+}
+
+// Parse CSV text into records of { line, cells }, where `line` is the
+// 1-based line the record starts on (quoted cells may span lines).
+// Throws on an unterminated quote.
+function parseCsv(text) {
+  const records = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endCell = () => {
+    cells.push(ESCAPED_FORMULA.test(cell) ? cell.slice(1) : cell);
+    cell = "";
+  };
+
+  const endRecord = () => {
+    endCell();
+    // Skip blank lines
+    if (cells.length > 1 || cells[0] !== "") {
+      records.push({ line: recordLine, cells });
+    }
+    cells = [];
+  };
+
+  // Ignore a UTF-8 byte order mark from spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") {
+          line++;
+        }
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      endCell();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (cell !== "" || cells.length > 0) {
+    endRecord();
+  }
+  return records;
+}
+
+module.exports = { formatRow, parseCsv };
@@ -0,0 +1,55 @@
+// ETags and conditional requests for users
+//
+// A user's ETag is its version, which every write increments. GET
+// /api/users/:id sends it (and answers If-None-Match with 304); PUT and
+// DELETE honour If-Match so a client only overwrites the version it last
+// read, and get 412 with the current user otherwise.
+
+const { versionConflict } = require("./storage/errors");
+const { sendProblem } = require("./problems");
+
+function userEtag(user) {
+  return `"${user.version}"`;
+}
+
+// If-Match uses strong comparison, so weak tags (W/"...") never match
+function etagMatches(header, etag) {
+  return (
+    header.trim() === "*" ||
+    header
+      .split(",")
+      .map((tag) => tag.trim())
+      .includes(etag)
+  );
+}
+
+// Write options for `user`, read inside the write's transaction. With an
+// If-Match header the write is conditional on the version that was read,
+// and a header that does not match it throws VERSION_CONFLICT.
+function ifMatchCondition(req, user) {
+  const header = req.get("If-Match");
+  if (!header || !user) {
+    return {};
+  }
+  if (!etagMatches(header, userEtag(user))) {
+    throw versionConflict(user);
+  }
+  return { version: user.version };
+}
+
+function sendVersionConflict(res, user) {
+  res.set("ETag", userEtag(user));
+  sendProblem(
+    res,
+    "version_mismatch",
+    "User has been changed since you loaded it",
+    { user }
+  );
+}
+
+module.exports = {
+  etagMatches,
+  ifMatchCondition,
+  sendVersionConflict,
+  userEtag,
+};
@@ -0,0 +1,88 @@
+// User change events
+//
+// Route handlers publish user.created/updated/deleted/restored events after
+// their transaction commits; GET /api/events streams them to clients over
+// Server-Sent Events. Recent events are kept in a bounded buffer so a client
+// that reconnects with Last-Event-ID receives what it missed.
+
+const crypto = require("crypto");
+
+const USER_EVENTS = [
+  "user.created",
+  "user.updated",
+  "user.deleted",
+  "user.restored",
+];
+const DEFAULT_BUFFER_SIZE = 1000;
+
+// Event ids are "<epoch>-<sequence>"; the epoch changes on every boot so ids
+// from a previous process are recognized as stale
+function createEventHub({ bufferSize = DEFAULT_BUFFER_SIZE } = {}) {
+  const epoch = crypto.randomBytes(4).toString("hex");
+  const buffer = [];
+  const listeners = new Set();
+  const closeHandlers = new Map();
+  let sequence = 0;
+
+  return {
+    // Record an event and deliver it to every subscriber
+    publish(type, data) {
+      const event = {
+        id: `${epoch}-${++sequence}`,
+        type,
+        data,
+        timestamp: new Date().toISOString(),
+      };
+      buffer.push(event);
+      if (buffer.length > bufferSize) {
+        buffer.shift();
+      }
+      for (const listener of listeners) {
+        listener(event);
+      }
+      return event;
+    },
+
+    // Returns an unsubscribe function. `onClose` runs if the hub closes
+    // first.
+    subscribe(listener, onClose) {
+      listeners.add(listener);
+      if (onClose) {
+        closeHandlers.set(listener, onClose);
+      }
+      return () => {
+        listeners.delete(listener);
+        closeHandlers.delete(listener);
+      };
+    },
+
+    // Drop every subscriber, telling those that asked (at shutdown)
+    close() {
+      const handlers = [...closeHandlers.values()];
+      listeners.clear();
+      closeHandlers.clear();
+      handlers.forEach((onClose) => onClose());
+    },
+
+    // Events after `lastEventId`, or null when they can no longer be
+    // replayed (another process's id, or older than the buffer)
+    since(lastEventId) {
+      const match = /^([0-9a-f]+)-(\d+)$/.exec(String(lastEventId));
+      if (!match || match[1] !== epoch || Number(match[2]) > sequence) {
+        return null;
+      }
+      const after = Number(match[2]);
+      const oldest = sequence - buffer.length;
+      if (after < oldest) {
+        return null;
+      }
+      return buffer.slice(after - oldest);
+    },
+
+    get subscribers() {
+      return listeners.size;
+    },
+  };
+}
+
+module.exports = { USER_EVENTS, createEventHub };
@@ -0,0 +1,135 @@
+// Idempotency keys
+//
+// A client that may retry a request sends the same `Idempotency-Key` header
+// with every attempt. The first attempt claims the key and its response is
+// stored; repeats within the time window get that response replayed instead
+// of running the handler again. Keys are scoped to the calling user, and
+// reusing one for a different request is rejected.
+
+const crypto = require("crypto");
+const { sendProblem } = require("./problems");
+
+const HEADER = "Idempotency-Key";
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+// A claim whose request has not finished after this long is abandoned
+const LOCK_TIMEOUT = 60 * 1000;
+// Response headers replayed along with the body
+const REPLAYED_HEADERS = ["Content-Type", "ETag", "Location"];
+
+// JSON with object keys sorted, so equal bodies hash equally
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+// What makes two requests "the same": method, URL and body
+function requestFingerprint(req) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.originalUrl}\n${canonicalJson(req.body)}`)
+    .digest("hex");
+}
+
+// Middleware for routes that create something. Requests without the header
+// run as usual. Responses below 500 are stored and replayed; after a server
+// error the key is released so the client can retry.
+function idempotency({
+  repository,
+  ttl = DEFAULT_TTL,
+  lockTimeout = LOCK_TIMEOUT,
+}) {
+  return async (req, res, next) => {
+    const key = req.get(HEADER);
+    if (key === undefined) {
+      next();
+      return;
+    }
+    if (!KEY_PATTERN.test(key)) {
+      sendProblem(
+        res,
+        "invalid_request",
+        `${HEADER} must be 1-255 visible ASCII characters`
+      );
+      return;
+    }
+
+    const scope = { userId: req.user.id, key };
+    const fingerprint = requestFingerprint(req);
+    let existing;
+    try {
+      const now = Date.now();
+      existing = await repository.claimIdempotencyKey({
+        ...scope,
+        fingerprint,
+        now: new Date(now),
+        expiresAt: new Date(now + ttl),
+        staleBefore: new Date(now - lockTimeout),
+      });
+    } catch (error) {
+      req.log.error("Error claiming idempotency key", { error });
+      sendProblem(res, "internal_error", "Failed to check the idempotency key");
+      return;
+    }
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        sendProblem(
+          res,
+          "idempotency_key_reused",
+          `${HEADER} has already been used for a different request`
+        );
+      } else if (existing.response_status === null) {
+        res.set("Retry-After", "1");
+        sendProblem(
+          res,
+          "idempotency_key_in_use",
+          `A request with this ${HEADER} is still being processed`
+        );
+      } else {
+        res.set(existing.response_headers || {});
+        res.set("Idempotent-Replayed", "true");
+        res.status(existing.response_status).json(existing.response_body);
+      }
+      return;
+    }
+
+    // Store the response before sending it, so a retry that arrives as soon
+    // as the client has it never finds the key still in progress
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.json = json;
+      const stored =
+        res.statusCode >= 500
+          ? repository.releaseIdempotencyKey(scope)
+          : repository.saveIdempotentResponse({
+              ...scope,
+              status: res.statusCode,
+              headers: Object.fromEntries(
+                REPLAYED_HEADERS.filter((name) => res.get(name)).map((name) => [
+                  name,
+                  res.get(name),
+                ])
+              ),
+              body,
+            });
+      stored
+        .catch((error) =>
+          req.log.error("Error storing idempotent response", { error })
+        )
+        .finally(() => json(body));
+      return res;
+    };
+    next();
+  };
+}
+
+module.exports = { HEADER, idempotency, requestFingerprint };
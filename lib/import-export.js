@@ -0,0 +1,347 @@
+// User directory import and export
+//
+// Export streams the filtered user list in keyset-paged batches as CSV, JSON
+// or NDJSON. Import turns CSV/JSON/NDJSON uploads into rows that are either
+// checked without writing (dry run) or created through the bulk runner, with
+// errors reported per row and, for line-based formats, per line.
+
+const { formatRow, parseCsv } = require("./csv");
+const { parseListQuery, sortValue } = require("./storage/query");
+const { validateUser } = require("./validation");
+const { can } = require("./permissions");
+const { runBulk } = require("./bulk");
+
+const EXPORT_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+const EXPORT_COLUMNS = [
+  "id",
+  "name",
+  "email",
+  "status",
+  "role",
+  "metadata",
+  "created_at",
+  "updated_at",
+];
+const EXPORT_BATCH_SIZE = 500;
+
+const IMPORT_FORMATS = ["csv", "json", "ndjson"];
+// Other columns (id, timestamps) are ignored so exports can be re-imported
+const IMPORT_COLUMNS = [
+  "name",
+  "email",
+  "status",
+  "role",
+  "metadata",
+  "password",
+];
+// Imports have their own limit, above MAX_BULK_OPERATIONS: the rows go to
+// runBulk in one call, because an atomic import must be one transaction
+const MAX_IMPORT_ROWS = 5000;
+
+// Returns { format, query } or { error }; the list filters and sort apply,
+// paging parameters are ignored
+function parseExportQuery(params) {
+  const { format = "csv", limit, page, cursor, ...listParams } = params;
+  if (!EXPORT_FORMATS[format]) {
+    return {
+      error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+    };
+  }
+  const { query, error } = parseListQuery(listParams);
+  return error ? { error } : { format, query };
+}
+
+function exportRecord(user) {
+  const record = {};
+  for (const column of EXPORT_COLUMNS) {
+    // PostgreSQL returns Date objects, the memory adapter ISO strings
+    record[column] =
+      user[column] instanceof Date ? user[column].toISOString() : user[column];
+  }
+  return record;
+}
+
+// Every matching user, one batch at a time
+async function* exportBatches(repository, query) {
+  let cursor = null;
+  for (;;) {
+    const { users, hasNext } = await repository.list({
+      ...query,
+      limit: EXPORT_BATCH_SIZE,
+      offset: 0,
+      cursor,
+    });
+    if (users.length > 0) {
+      yield users;
+    }
+    if (!hasNext || users.length === 0) {
+      return;
+    }
+    // Rows sharing a timestamp (an atomic import writes them all at once)
+    // are told apart by id; PostgreSQL compares timestamps at the
+    // cursor's millisecond precision
+    const last = users[users.length - 1];
+    cursor = {
+      value: sortValue(last, query.sort.column),
+      id: last.id,
+      before: false,
+    };
+  }
+}
+
+// The export body in `format`, as a sequence of string chunks
+async function* exportChunks(repository, format, query) {
+  let count = 0;
+  if (format === "csv") {
+    yield formatRow(EXPORT_COLUMNS);
+  } else if (format === "json") {
+    yield "[";
+  }
+
+  for await (const users of exportBatches(repository, query)) {
+    yield users
+      .map((user) => {
+        const record = exportRecord(user);
+        count++;
+        if (format === "csv") {
+          return formatRow(
+            EXPORT_COLUMNS.map((column) =>
+              column === "metadata"
+                ? JSON.stringify(record.metadata)
+                : record[column]
+            )
+          );
+        }
+        if (format === "ndjson") {
+          return `${JSON.stringify(record)}\n`;
+        }
+        return `${count === 1 ? "\n" : ",\n"}${JSON.stringify(record)}`;
+      })
+      .join("");
+  }
+
+  if (format === "json") {
+    yield count === 0 ? "]\n" : "\n]\n";
+  }
+}
+
+// Upload format from ?format= or, failing that, the Content-Type
+function importFormat(req) {
+  if (req.query.format !== undefined) {
+    return IMPORT_FORMATS.includes(req.query.format) ? req.query.format : null;
+  }
+  if (req.is("application/x-ndjson")) {
+    return "ndjson";
+  }
+  if (req.is("json")) {
+    return "json";
+  }
+  if (req.is("text/csv") || req.is("text/plain")) {
+    return "csv";
+  }
+  return null;
+}
+
+function rowError(status, message, fields) {
+  return { status, error: message, ...(fields && { fields }) };
+}
+
+// One CSV record as a user body; empty cells fall back to defaults
+function csvInput(headers, cells) {
+  const input = {};
+  headers.forEach((header, i) => {
+    if (IMPORT_COLUMNS.includes(header) && cells[i] !== undefined) {
+      const cell = cells[i].trim();
+      if (cell !== "") {
+        input[header] = cell;
+      }
+    }
+  });
+  if (input.metadata !== undefined) {
+    try {
+      input.metadata = JSON.parse(input.metadata);
+    } catch (error) {
+      return {
+        error: rowError(400, "Validation failed", {
+          metadata: "Metadata must be valid JSON",
+        }),
+      };
+    }
+  }
+  return { input };
+}
+
+// Parse an upload into rows of { row, line?, input } or { row, line?, error }.
+// Returns { rows } or { error } when the upload as a whole is unusable.
+function parseImport(format, body) {
+  let rows;
+
+  if (format === "json") {
+    const items = Array.isArray(body) ? body : body && body.users;
+    if (!Array.isArray(items)) {
+      return {
+        error: 'JSON imports must be an array of users or { "users": [...] }',
+      };
+    }
+    rows = items.map((input, i) => ({ row: i + 1, input }));
+  } else if (typeof body !== "string") {
+    return {
+      error: `Send the ${format.toUpperCase()} file as the request body`,
+    };
+  } else if (format === "ndjson") {
+    rows = [];
+    body.split(/\r?\n/).forEach((text, i) => {
+      if (text.trim() === "") {
+        return;
+      }
+      const row = { row: rows.length + 1, line: i + 1 };
+      try {
+        row.input = JSON.parse(text);
+      } catch (error) {
+        row.error = rowError(400, "Line is not valid JSON");
+      }
+      rows.push(row);
+    });
+  } else {
+    let records;
+    try {
+      records = parseCsv(body);
+    } catch (error) {
+      return { error: error.message };
+    }
+    if (records.length === 0) {
+      return { error: "CSV imports need a header row" };
+    }
+    const headers = records
+      .shift()
+      .cells.map((header) => header.trim().toLowerCase());
+    if (!headers.includes("name")) {
+      return { error: "CSV header must include a name column" };
+    }
+    rows = records.map((record, i) => ({
+      row: i + 1,
+      line: record.line,
+      ...csvInput(headers, record.cells),
+    }));
+  }
+
+  if (rows.length === 0) {
+    return { error: "The upload contains no users" };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `Imports may contain at most ${MAX_IMPORT_ROWS} users` };
+  }
+  return { rows };
+}
+
+// Where a row came from, for error reports
+function rowPosition({ row, line }) {
+  return line === undefined ? { row } : { row, line };
+}
+
+// Check every row without writing: validation, the admin role guard and
+// email conflicts with existing users (trashed ones included) or earlier rows
+async function previewImport(repository, user, rows) {
+  const emails = new Map();
+  const results = [];
+
+  for (const row of rows) {
+    const position = rowPosition(row);
+    if (row.error) {
+      results.push({ ...position, success: false, ...row.error });
+      continue;
+    }
+
+    const { value, errors } = validateUser(row.input);
+    let error = null;
+    if (errors) {
+      error = rowError(400, "Validation failed", errors);
+    } else if (value.role === "admin" && !can(user, "users:manage_admins")) {
+      error = rowError(403, "Only admins can grant the admin role");
+    } else if (value.email && emails.has(value.email)) {
+      error = rowError(
+        409,
+        `Email is already used on row ${emails.get(value.email)}`,
+        {
+          email: "Email is already in use",
+        }
+      );
+    } else if (
+      value.email &&
+      (await repository.findByEmail(value.email, { includeDeleted: true }))
+    ) {
+      error = rowError(409, "Email is already in use", {
+        email: "Email is already in use",
+      });
+    }
+
+    if (error) {
+      results.push({ ...position, success: false, ...error });
+      continue;
+    }
+    if (value.email) {
+      emails.set(value.email, row.row);
+    }
+    const { name, email, status, role } = value;
+    results.push({
+      ...position,
+      success: true,
+      user: { name, email, status, role },
+    });
+  }
+
+  return results;
+}
+
+// Create the rows through the bulk runner, all in one call (up to
+// MAX_IMPORT_ROWS). Returns { applied, status, results } like runBulk, with
+// results keyed by row instead of index.
+async function runImport(repository, req, rows, mode) {
+  const invalid = rows.filter((row) => row.error);
+  if (mode === "atomic" && invalid.length > 0) {
+    return {
+      applied: false,
+      status: 400,
+      results: invalid.map((row) => ({
+        ...rowPosition(row),
+        success: false,
+        ...row.error,
+      })),
+    };
+  }
+
+  const valid = rows.filter((row) => !row.error);
+  const bulk = await runBulk(repository, req, {
+    mode,
+    operations: valid.map((row) => ({ action: "create", user: row.input })),
+  });
+  const results = [
+    ...invalid.map((row) => ({
+      ...rowPosition(row),
+      success: false,
+      ...row.error,
+    })),
+    ...bulk.results.map(({ index, action, ...result }) => ({
+      ...rowPosition(valid[index]),
+      ...result,
+    })),
+  ].sort((a, b) => a.row - b.row);
+
+  return { applied: bulk.applied, status: bulk.status, results };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  IMPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+  exportChunks,
+  importFormat,
+  parseExportQuery,
+  parseImport,
+  previewImport,
+  runImport,
+};
@@ -0,0 +1,147 @@
+// Server lifecycle: listening and graceful shutdown
+//
+// On shutdown (SIGTERM from Render, Railway or Heroku, or SIGINT) the
+// server:
+//
+// 1. reports not ready (see routes/health.js) and runs the `onStop` hooks,
+//    which end long-lived responses such as event streams
+// 2. stops accepting connections and closes idle keep-alive ones; responses
+//    still under way are sent with `Connection: close`
+// 3. waits for in-flight requests to finish, up to `timeout`, then closes
+//    the connections left
+// 4. runs the `onDrained` hooks in order (webhook deliveries, storage) and
+//    flushes the logs
+
+const http = require("http");
+const { logger: defaultLogger } = require("./logger");
+
+// How long in-flight requests get to finish
+const SHUTDOWN_TIMEOUT = 10 * 1000;
+
+function createLifecycle({
+  logger = defaultLogger,
+  timeout = SHUTDOWN_TIMEOUT,
+} = {}) {
+  let server = null;
+  let shuttingDown = false;
+  let shutdown = null;
+  // Responses not yet finished, and a callback for when none are left
+  const inFlight = new Set();
+  let onIdle = null;
+  const stopHooks = [];
+  const drainedHooks = [];
+
+  function track(req, res) {
+    inFlight.add(res);
+    if (shuttingDown) {
+      res.setHeader("Connection", "close");
+    }
+    res.once("close", () => {
+      inFlight.delete(res);
+      if (!shuttingDown) {
+        return;
+      }
+      // The connection may be idle now; close it
+      server.closeIdleConnections();
+      if (inFlight.size === 0 && onIdle) {
+        onIdle();
+      }
+    });
+  }
+
+  // Resolves once in-flight requests are done, or with the number still
+  // open once `timeout` passes
+  function drain() {
+    if (inFlight.size === 0) {
+      return Promise.resolve(0);
+    }
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(inFlight.size), timeout);
+      onIdle = () => {
+        clearTimeout(timer);
+        resolve(0);
+      };
+    });
+  }
+
+  // Run hooks in order; a failing hook is logged and does not stop the rest
+  async function runHooks(hooks) {
+    for (const hook of hooks) {
+      try {
+        await hook();
+      } catch (error) {
+        logger.error("Error during shutdown", { error });
+      }
+    }
+  }
+
+  async function stop(reason) {
+    shuttingDown = true;
+    logger.info("Shutting down", { reason, in_flight: inFlight.size });
+    await runHooks(stopHooks);
+
+    let closed = Promise.resolve();
+    if (server) {
+      closed = new Promise((resolve) => server.close(() => resolve()));
+      server.closeIdleConnections();
+      for (const res of inFlight) {
+        if (!res.headersSent) {
+          res.setHeader("Connection", "close");
+        }
+      }
+      const remaining = await drain();
+      if (remaining > 0) {
+        logger.warn("Shutdown timeout reached; closing open connections", {
+          in_flight: remaining,
+        });
+      }
+      // Whatever is left has no response under way (or ran out of time)
+      server.closeAllConnections();
+    }
+    await closed;
+
+    await runHooks(drainedHooks);
+    logger.info("Shutdown complete");
+    await logger.flush();
+  }
+
+  return {
+    get shuttingDown() {
+      return shuttingDown;
+    },
+
+    get inFlight() {
+      return inFlight.size;
+    },
+
+    // Run `hook` as soon as shutdown starts
+    onStop(hook) {
+      stopHooks.push(hook);
+    },
+
+    // Run `hook` once requests are drained and the server is closed
+    onDrained(hook) {
+      drainedHooks.push(hook);
+    },
+
+    // Listen on `port` (0 picks a free one); resolves with the HTTP server
+    listen(app, port) {
+      return new Promise((resolve, reject) => {
+        server = http.createServer();
+        // Tracked before the app sees the request
+        server.on("request", track);
+        server.on("request", app);
+        server.once("error", reject);
+        server.listen(port, () => resolve(server));
+      });
+    },
+
+    // Shut down once; later calls get the same promise
+    shutdown(reason) {
+      shutdown = shutdown || stop(reason);
+      return shutdown;
+    },
+  };
+}
+
+module.exports = { SHUTDOWN_TIMEOUT, createLifecycle };
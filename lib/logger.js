@@ -0,0 +1,113 @@
+// Structured logging
+//
+// Every log line is one JSON object on stdout with a `time`, `level` and
+// `msg`, plus any fields passed along:
+//
+//   {"time":"...","level":"info","msg":"Request completed",
+//    "request_id":"...","method":"GET","route":"/api/users/{id}",
+//    "status":200,"duration_ms":3.2}
+//
+// LOG_LEVEL picks the lowest level written (debug, info, warn, error or
+// silent; default info). Errors passed as fields are written with their
+// message, code and stack.
+
+const crypto = require("crypto");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+// Incoming X-Request-Id values are reused only if they look like ids
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function serialize(value) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code && { code: value.code }),
+      stack: value.stack,
+    };
+  }
+  return value;
+}
+
+function createLogger({
+  level = "info",
+  fields = {},
+  write = (line) => process.stdout.write(`${line}\n`),
+  // Resolves once written lines are out of the process (stdout can be
+  // asynchronous, e.g. when piped)
+  flush = () => new Promise((resolve) => process.stdout.write("", resolve)),
+} = {}) {
+  let threshold = LEVELS[level] === undefined ? LEVELS.info : LEVELS[level];
+
+  function log(name, msg, extra = {}) {
+    if (LEVELS[name] < threshold) {
+      return;
+    }
+    const entry = { time: new Date().toISOString(), level: name, msg };
+    for (const [key, value] of Object.entries({ ...fields, ...extra })) {
+      entry[key] = serialize(value);
+    }
+    write(JSON.stringify(entry));
+  }
+
+  return {
+    get level() {
+      return level;
+    },
+    // Change the level of this logger and of children created afterwards
+    setLevel(name) {
+      level = name;
+      threshold = LEVELS[name] === undefined ? LEVELS.info : LEVELS[name];
+    },
+    debug: (msg, extra) => log("debug", msg, extra),
+    info: (msg, extra) => log("info", msg, extra),
+    warn: (msg, extra) => log("warn", msg, extra),
+    error: (msg, extra) => log("error", msg, extra),
+    flush,
+    // A logger that adds `extra` to every line
+    child: (extra) =>
+      createLogger({ level, fields: { ...fields, ...extra }, write, flush }),
+  };
+}
+
+// The process-wide logger; server.js sets its level from the configuration
+// once loaded
+const logger = createLogger({ level: process.env.LOG_LEVEL });
+
+// Give each request an id (the client's X-Request-Id if it sent a usable
+// one), echo it in X-Request-Id and set req.log to a logger that includes
+// it. Once the response is done, log it and pass the same details to
+// `onComplete`. `routeOf(req)` names the route without its parameters, so
+// lines for the same endpoint can be grouped.
+function requestLogger({ logger: base = logger, routeOf, onComplete }) {
+  return (req, res, next) => {
+    const header = req.get("X-Request-Id");
+    req.id =
+      header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+    res.set("X-Request-Id", req.id);
+    req.log = base.child({ request_id: req.id });
+
+    const start = process.hrtime.bigint();
+    // "close" also fires when the client goes away first (event streams)
+    res.once("close", () => {
+      const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+      const details = {
+        method: req.method,
+        route: routeOf(req),
+        status: res.statusCode,
+        duration_ms: Math.round(durationMs * 10) / 10,
+      };
+      if (res.statusCode >= 500) {
+        req.log.error("Request failed", details);
+      } else {
+        req.log.info("Request completed", details);
+      }
+      if (onComplete) {
+        onComplete({ ...details, durationMs });
+      }
+    });
+    next();
+  };
+}
+
+module.exports = { LEVELS, createLogger, logger, requestLogger };
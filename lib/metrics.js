@@ -0,0 +1,220 @@
+// Prometheus metrics
+//
+// A small registry of counters, gauges and histograms rendered in the
+// Prometheus text format (version 0.0.4) at GET /metrics. Gauges read their
+// value when scraped, so they always show the current state.
+
+const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+// Request duration buckets, in seconds
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  return Number.isFinite(value) ? String(value) : "NaN";
+}
+
+// Series are kept per label set, keyed by the label values in order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name])));
+}
+
+function createMetricsRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter({ name, help, labelNames = [] }) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: "counter",
+      inc(labels = {}, amount = 1) {
+        const key = seriesKey(labelNames, labels);
+        const current = series.get(key) || { labels, value: 0 };
+        current.value += amount;
+        series.set(key, current);
+      },
+      samples: () =>
+        [...series.values()].map(({ labels, value }) => ({
+          name,
+          labels,
+          value,
+        })),
+    });
+  }
+
+  // `collect()` returns the value, or [{ labels, value }] for labelled gauges
+  function gauge({ name, help, collect }) {
+    return register({
+      name,
+      help,
+      type: "gauge",
+      samples: () => {
+        const value = collect();
+        return Array.isArray(value)
+          ? value.map((sample) => ({ name, ...sample }))
+          : [{ name, labels: {}, value }];
+      },
+    });
+  }
+
+  function histogram({ name, help, labelNames = [], buckets }) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: "histogram",
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        let current = series.get(key);
+        if (!current) {
+          current = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, current);
+        }
+        buckets.forEach((bound, i) => {
+          if (value <= bound) {
+            current.counts[i] += 1;
+          }
+        });
+        current.sum += value;
+        current.count += 1;
+      },
+      samples: () =>
+        [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map((bound, i) => ({
+            name: `${name}_bucket`,
+            labels: { ...labels, le: bound },
+            value: counts[i],
+          })),
+          {
+            name: `${name}_bucket`,
+            labels: { ...labels, le: Infinity },
+            value: count,
+          },
+          { name: `${name}_sum`, labels, value: sum },
+          { name: `${name}_count`, labels, value: count },
+        ]),
+    });
+  }
+
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const { name, labels, value } of metric.samples()) {
+        const formatted = Object.fromEntries(
+          Object.entries(labels).map(([label, v]) => [
+            label,
+            typeof v === "number" ? formatValue(v) : v,
+          ])
+        );
+        lines.push(`${name}${formatLabels(formatted)} ${formatValue(value)}`);
+      }
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+// The API's metrics: requests by route and status, request durations,
+// the storage backend, fallback mode and database pool usage
+function createApiMetrics({ repository }) {
+  const registry = createMetricsRegistry();
+
+  const requests = registry.counter({
+    name: "http_requests_total",
+    help: "HTTP requests by method, route and status",
+    labelNames: ["method", "route", "status"],
+  });
+  const durations = registry.histogram({
+    name: "http_request_duration_seconds",
+    help: "HTTP request durations in seconds by method and route",
+    labelNames: ["method", "route"],
+    buckets: DURATION_BUCKETS,
+  });
+
+  registry.gauge({
+    name: "storage_backend_info",
+    help: "The storage backend in use (always 1)",
+    collect: () => [{ labels: { backend: repository.backend }, value: 1 }],
+  });
+  registry.gauge({
+    name: "storage_fallback_mode",
+    help: "1 if PostgreSQL failed and users are kept in memory, else 0",
+    collect: () => (repository.fallbackMode ? 1 : 0),
+  });
+  registry.gauge({
+    name: "storage_sync_pending_writes",
+    help: "Writes made in fallback mode not yet replayed into PostgreSQL",
+    collect: () => repository.syncStatus().pending,
+  });
+  // Pool gauges are 0 when no PostgreSQL pool is in use
+  const pool = (key) => {
+    const stats = repository.poolStats();
+    return stats ? stats[key] : 0;
+  };
+  registry.gauge({
+    name: "db_pool_connections",
+    help: "Open PostgreSQL pool connections",
+    collect: () => pool("total"),
+  });
+  registry.gauge({
+    name: "db_pool_idle_connections",
+    help: "Idle PostgreSQL pool connections",
+    collect: () => pool("idle"),
+  });
+  registry.gauge({
+    name: "db_pool_waiting_requests",
+    help: "Queries waiting for a PostgreSQL pool connection",
+    collect: () => pool("waiting"),
+  });
+
+  registry.gauge({
+    name: "process_resident_memory_bytes",
+    help: "Resident memory size in bytes",
+    collect: () => process.memoryUsage().rss,
+  });
+  registry.gauge({
+    name: "process_uptime_seconds",
+    help: "Seconds since the process started",
+    collect: () => process.uptime(),
+  });
+
+  return {
+    render: registry.render,
+    // Record one finished request (see requestLogger's onComplete)
+    recordRequest({ method, route, status, durationMs }) {
+      requests.inc({ method, route, status });
+      durations.observe({ method, route }, durationMs / 1000);
+    },
+  };
+}
+
+module.exports = {
+  DURATION_BUCKETS,
+  METRICS_CONTENT_TYPE,
+  createApiMetrics,
+  createMetricsRegistry,
+};
@@ -0,0 +1,66 @@
+// Schema migration runner
+//
+// Migrations live in /migrations as numbered modules exporting `up`/`down`
+// SQL for PostgreSQL and `memory.up`/`memory.down` functions that apply the
+// same logical change to the in-memory (and file) state. Each storage adapter
+// records which versions it has applied and runs one migration at a time
+// (inside a transaction on PostgreSQL).
+
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+
+// Load migrations sorted by version, e.g. 001_create_users.js -> "001"
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs
+    .readdirSync(dir)
+    .filter((file) => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map((file) => {
+      const [, version, name] = file.match(/^(\d+)_(.+)\.js$/);
+      return { version, name, ...require(path.join(dir, file)) };
+    });
+}
+
+async function pendingMigrations(adapter, migrations = loadMigrations()) {
+  const applied = new Set(await adapter.appliedMigrations());
+  return migrations.filter((m) => !applied.has(m.version));
+}
+
+// Apply every pending migration in order; returns the ones applied
+async function migrate(adapter, migrations = loadMigrations()) {
+  const pending = await pendingMigrations(adapter, migrations);
+  for (const migration of pending) {
+    await adapter.runMigration(migration, "up");
+    logger.info("Applied migration", {
+      migration: `${migration.version}_${migration.name}`,
+    });
+  }
+  return pending;
+}
+
+// Revert the most recently applied migrations; returns the ones reverted
+async function rollback(adapter, steps = 1, migrations = loadMigrations()) {
+  const applied = new Set(await adapter.appliedMigrations());
+  const reverted = migrations
+    .filter((m) => applied.has(m.version))
+    .reverse()
+    .slice(0, steps);
+  for (const migration of reverted) {
+    await adapter.runMigration(migration, "down");
+    logger.info("Reverted migration", {
+      migration: `${migration.version}_${migration.name}`,
+    });
+  }
+  return reverted;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  pendingMigrations,
+  migrate,
+  rollback,
+};
@@ -0,0 +1,358 @@
+// Request validation against the OpenAPI document
+//
+// Finds the operation each request is for and checks its path parameters,
+// query parameters and JSON body against the document's schemas before the
+// route handler runs. Only the schema keywords the document uses are
+// supported. Messages use the handlers' wording ("limit must be a positive
+// integer", "Name is required"). Bad parameters are answered with an
+// `invalid_parameter` problem and bad bodies with `validation_failed` and its
+// `fields`. checkResponse applies the same schemas to responses.
+
+const { sendFieldErrors, sendProblem } = require("./problems");
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Follow "#/components/..." references
+function resolve(spec, node) {
+  let resolved = node;
+  while (resolved && resolved.$ref) {
+    resolved = resolved.$ref
+      .slice(2)
+      .split("/")
+      .reduce((object, key) => object[key], spec);
+  }
+  return resolved;
+}
+
+// Path templates as regular expressions; literal paths are tried first, so
+// /users/search is never taken for /users/{id}
+function compilePaths(spec) {
+  return Object.entries(spec.paths)
+    .map(([template, item]) => {
+      const names = [];
+      const pattern = template
+        .replace(/[.*+?^$()|[\]\\]/g, "\\$&")
+        .replace(/\{(\w+)\}/g, (match, name) => {
+          names.push(name);
+          return "([^/]+)";
+        });
+      return { template, regexp: new RegExp(`^${pattern}/?$`), names, item };
+    })
+    .sort((a, b) => a.names.length - b.names.length);
+}
+
+// Query and path values arrive as strings
+function coerce(value, schema) {
+  if (typeof value !== "string") {
+    return value;
+  }
+  if (schema.type === "integer" && /^-?\d+$/.test(value)) {
+    return Number(value);
+  }
+  if (schema.type === "boolean" && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  return value;
+}
+
+function typeMessage(schema) {
+  switch (schema.type) {
+    case "integer":
+      return schema.minimum === 1
+        ? "must be a positive integer"
+        : "must be an integer";
+    case "number":
+      return "must be a number";
+    case "boolean":
+      return "must be true or false";
+    case "object":
+      return "must be a JSON object";
+    case "array":
+      return schema.minItems === 1
+        ? "must be a non-empty array"
+        : "must be an array";
+    default:
+      return `must be a ${schema.type}`;
+  }
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "object":
+      return isPlainObject(value);
+    case "array":
+      return Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function lengthMessage({ minLength, maxLength }) {
+  if (minLength !== undefined && maxLength !== undefined) {
+    return `must be ${minLength}-${maxLength} characters`;
+  }
+  return minLength !== undefined
+    ? `must be at least ${minLength} characters`
+    : `must be at most ${maxLength} characters`;
+}
+
+// Check `value` against `schema`, adding `{ [field]: message }` to `errors`.
+// `label` starts the message: the parameter name, the capitalized name (or
+// title) of a top-level body field, or the path of a nested one.
+function checkValue(spec, node, value, field, label, errors) {
+  const schema = resolve(spec, node);
+  const fail = (message) => {
+    errors[field || "body"] = `${label} ${message}`;
+  };
+
+  if (schema.allOf) {
+    schema.allOf.forEach((part) =>
+      checkValue(spec, part, value, field, label, errors)
+    );
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(
+      (option) =>
+        Object.keys(checkValue(spec, option, value, field, label, {}))
+          .length === 0
+    );
+    if (matches.length === 0) {
+      fail("does not have an accepted shape");
+    }
+  }
+  if (value === null) {
+    if (!schema.nullable && schema.type) {
+      fail(typeMessage(schema));
+    }
+    return errors;
+  }
+  if (schema.type && !hasType(value, schema.type)) {
+    fail(typeMessage(schema));
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(", ")}`);
+    return errors;
+  }
+
+  if (schema.type === "string") {
+    if (
+      (schema.minLength !== undefined && value.length < schema.minLength) ||
+      (schema.maxLength !== undefined && value.length > schema.maxLength)
+    ) {
+      fail(lengthMessage(schema));
+    } else if (
+      schema.format === "date-time" &&
+      isNaN(new Date(value).getTime())
+    ) {
+      fail("must be a valid date");
+    }
+  } else if (schema.type === "integer" || schema.type === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(
+        schema.minimum === 1
+          ? typeMessage(schema)
+          : `must be at least ${schema.minimum}`
+      );
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  } else if (schema.type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(typeMessage(schema));
+    } else if (
+      schema.maxItems !== undefined &&
+      value.length > schema.maxItems
+    ) {
+      fail(`may contain at most ${schema.maxItems} items`);
+    } else if (schema.items) {
+      value.forEach((item, i) =>
+        checkValue(
+          spec,
+          schema.items,
+          item,
+          `${field}[${i}]`,
+          `${field}[${i}]`,
+          errors
+        )
+      );
+    }
+  } else if (schema.type === "object") {
+    const nested = field !== "";
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        const property = resolve(spec, (schema.properties || {})[name] || {});
+        const path = nested ? `${field}.${name}` : name;
+        errors[path] =
+          `${nested ? path : property.title || capitalize(name)} is required`;
+      }
+    }
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+      if (value[name] !== undefined) {
+        const path = nested ? `${field}.${name}` : name;
+        const title = resolve(spec, property).title || capitalize(name);
+        checkValue(
+          spec,
+          property,
+          value[name],
+          path,
+          nested ? path : title,
+          errors
+        );
+      }
+    }
+  }
+  return errors;
+}
+
+// The first problem with the path and query parameters, or null
+function checkParameters(spec, operation, pathItem, req, pathValues) {
+  const parameters = [
+    ...(pathItem.parameters || []),
+    ...(operation.parameters || []),
+  ].map((parameter) => resolve(spec, parameter));
+
+  for (const parameter of parameters) {
+    let raw;
+    if (parameter.in === "path") {
+      raw = pathValues[parameter.name];
+    } else if (parameter.in === "query") {
+      raw = req.query[parameter.name];
+    } else {
+      continue;
+    }
+    if (raw === undefined) {
+      if (parameter.required) {
+        return `${parameter.name} is required`;
+      }
+      continue;
+    }
+    const errors = checkValue(
+      spec,
+      parameter.schema,
+      coerce(raw, resolve(spec, parameter.schema)),
+      parameter.name,
+      parameter.name,
+      {}
+    );
+    const messages = Object.values(errors);
+    if (messages.length > 0) {
+      return messages[0];
+    }
+  }
+  return null;
+}
+
+// Problems with a JSON request body, by field
+function checkBody(spec, operation, req) {
+  const content = operation.requestBody && operation.requestBody.content;
+  if (!content || req.body === undefined) {
+    return {};
+  }
+  const type = req.is(Object.keys(content));
+  const media = type && content[type];
+  // Bodies of other types (CSV, NDJSON) are parsed by the handler
+  if (!media || !media.schema || !/json$/.test(type)) {
+    return {};
+  }
+  return checkValue(spec, media.schema, req.body, "", "Body", {});
+}
+
+// Returns a function finding the document's path for a request method and
+// path (relative to the server URL): { template, item, pathValues }, or null
+// when no path has an operation for the method. HEAD is matched as GET.
+function createRouteMatcher(spec) {
+  const paths = compilePaths(spec);
+
+  return (requestMethod, requestPath) => {
+    const method =
+      requestMethod === "HEAD" ? "get" : requestMethod.toLowerCase();
+    for (const { template, regexp, names, item } of paths) {
+      const match = regexp.exec(requestPath);
+      if (!match || !item[method]) {
+        continue;
+      }
+      const pathValues = {};
+      names.forEach((name, i) => {
+        try {
+          pathValues[name] = decodeURIComponent(match[i + 1]);
+        } catch (error) {
+          pathValues[name] = match[i + 1];
+        }
+      });
+      return { template, item, operation: item[method], pathValues };
+    }
+    return null;
+  };
+}
+
+// Whether `operation` can be called without credentials
+function isPublic(spec, operation) {
+  return (operation.security || spec.security || []).length === 0;
+}
+
+// Middleware for the API's base path (the document's server URL). Requests
+// the document does not describe pass through untouched, and so do those
+// for operations outside `access` ("public" or "protected"; default all), so
+// protected operations can be checked only once the caller is authenticated.
+function validateRequests(spec, { access } = {}) {
+  const matchRoute = createRouteMatcher(spec);
+
+  return (req, res, next) => {
+    const route = matchRoute(req.method, req.path);
+    if (
+      !route ||
+      (access && isPublic(spec, route.operation) !== (access === "public"))
+    ) {
+      next();
+      return;
+    }
+    const { operation, pathValues } = route;
+
+    const error = checkParameters(spec, operation, route.item, req, pathValues);
+    if (error) {
+      sendProblem(res, "invalid_parameter", error);
+      return;
+    }
+    const fields = checkBody(spec, operation, req);
+    if (Object.keys(fields).length > 0) {
+      sendFieldErrors(res, 400, fields);
+      return;
+    }
+    next();
+  };
+}
+
+// Problems with a response to `operation`, by field: its status must be
+// documented, and so must its media type when it has a body, and a JSON body
+// must match the schema. The tests use it to keep the handlers and the
+// document in step.
+function checkResponse(spec, operation, { status, contentType, body }) {
+  const documented = operation.responses[status];
+  if (!documented) {
+    return { status: `Status ${status} is not documented` };
+  }
+  const { content } = resolve(spec, documented);
+  if (!content || body === undefined) {
+    return {};
+  }
+  const type = String(contentType).split(";")[0].trim();
+  const media = content[type];
+  if (!media) {
+    return { content_type: `Content-Type ${type} is not documented` };
+  }
+  if (!media.schema || !/json$/.test(type)) {
+    return {};
+  }
+  return checkValue(spec, media.schema, body, "", "Body", {});
+}
+
+module.exports = { checkResponse, createRouteMatcher, validateRequests };
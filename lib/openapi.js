@@ -0,0 +1,1236 @@
+// OpenAPI description of the API
+//
+// Served at /api/openapi.json, rendered by public/docs.html and used to
+// validate incoming requests (see openapi-validation.js). Enums and limits
+// come from the same constants the route handlers use, so the document
+// cannot drift from what the handlers accept. The paths themselves are
+// written by hand; test/server.test.js checks them against the routes
+// server.js mounts.
+
+const {
+  MAX_LENGTH,
+  MAX_METADATA_BYTES,
+  MAX_PASSWORD_LENGTH,
+  MIN_PASSWORD_LENGTH,
+  USER_ROLES,
+  USER_STATUSES,
+} = require("./validation");
+const { AUDIT_ACTIONS } = require("./audit");
+const { BULK_ACTIONS, BULK_MODES, MAX_BULK_OPERATIONS } = require("./bulk");
+const { USER_EVENTS } = require("./events");
+const {
+  EXPORT_FORMATS,
+  IMPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+} = require("./import-export");
+const { PATCH_FORMATS } = require("./patch");
+const { PERMISSIONS } = require("./permissions");
+const { PROBLEM_CONTENT_TYPE, PROBLEM_TYPES } = require("./problems");
+const { MAX_ID } = require("./storage");
+const { SORT_COLUMNS } = require("./storage/query");
+const { version: packageVersion } = require("../package.json");
+
+const schema = (name) => ({ $ref: `#/components/schemas/${name}` });
+const response = (name) => ({ $ref: `#/components/responses/${name}` });
+const parameter = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+function json(body, example) {
+  return {
+    "application/json": { schema: body, ...(example && { example }) },
+  };
+}
+
+// An error response; the body is a Problem
+function problem(description, body = schema("Problem")) {
+  return { description, content: { [PROBLEM_CONTENT_TYPE]: { schema: body } } };
+}
+
+// A 2xx response whose body is `{ success: true, ...properties }`
+function success(description, properties, headers) {
+  return {
+    description,
+    ...(headers && { headers }),
+    content: json({
+      type: "object",
+      properties: {
+        success: { type: "boolean", example: true },
+        ...properties,
+      },
+    }),
+  };
+}
+
+function query(name, description, fieldSchema, required = false) {
+  return { name, in: "query", description, required, schema: fieldSchema };
+}
+
+function header(name, description) {
+  return { name, in: "header", description, schema: { type: "string" } };
+}
+
+const positiveInteger = { type: "integer", minimum: 1 };
+const resourceId = { ...positiveInteger, maximum: MAX_ID };
+const dateTime = { type: "string", format: "date-time" };
+const nullableDateTime = { ...dateTime, nullable: true };
+
+// Bodies of GET /health and GET /health/ready (also sent with their 503s)
+const healthProperties = {
+  status: { type: "string", enum: ["ok", "degraded", "down"] },
+  message: { type: "string" },
+  timestamp: dateTime,
+  version: { type: "string" },
+  uptime_seconds: { type: "integer" },
+  database: schema("DatabaseStatus"),
+  userCount: { type: "integer", nullable: true },
+};
+const readinessProperties = {
+  status: { type: "string", enum: ["ready", "not_ready"] },
+  checks: {
+    type: "object",
+    properties: {
+      storage_initialized: { type: "boolean" },
+      database_connected: { type: "boolean" },
+      primary_storage: { type: "boolean" },
+      accepting_requests: {
+        type: "boolean",
+        description: "False once the server is shutting down",
+      },
+    },
+  },
+  // null until storage is initialized
+  database: { allOf: [schema("DatabaseStatus")], nullable: true },
+};
+
+// Paging, sorting and filters shared by the user list, trash and export
+function listParameters({ trash = false, paging = true } = {}) {
+  const columns = Object.keys(SORT_COLUMNS).filter(
+    (column) => trash || column !== "deleted_at"
+  );
+  return [
+    ...(paging
+      ? [
+          query(
+            "limit",
+            "Page size (default 25, at most 100)",
+            positiveInteger
+          ),
+          query("page", "Page number; not with cursor", positiveInteger),
+          query(
+            "cursor",
+            "Opaque cursor from pagination.nextCursor or prevCursor",
+            { type: "string" }
+          ),
+        ]
+      : []),
+    query(
+      "sort",
+      `Sort column (default ${trash ? "deleted_at" : "created_at"})`,
+      { type: "string", enum: columns }
+    ),
+    query("order", "asc or desc (default desc)", { type: "string" }),
+    query("name_contains", "Name contains (case-insensitive)", {
+      type: "string",
+    }),
+    query("name_prefix", "Name starts with (case-insensitive)", {
+      type: "string",
+    }),
+    query("status", "Exact status", { type: "string", enum: USER_STATUSES }),
+    query("role", "Exact role", { type: "string", enum: USER_ROLES }),
+    query("created_from", "Created at or after", dateTime),
+    query("created_to", "Created at or before", dateTime),
+  ];
+}
+
+// Operations that need a permission say so, and can answer 403
+function operation(permission, spec) {
+  const responses = { ...spec.responses };
+  if (permission) {
+    responses[403] = response("Forbidden");
+  }
+  if (!spec.public) {
+    responses[401] = response("Unauthorized");
+  }
+  responses[429] = response("TooManyRequests");
+  responses[500] = response("InternalError");
+
+  const { public: isPublic, ...rest } = spec;
+  return {
+    ...rest,
+    ...(isPublic && { security: [] }),
+    ...(permission && {
+      "x-permission": permission,
+      description: [
+        spec.description,
+        `Requires \`${permission}\` (roles: ${PERMISSIONS[permission].join(", ")}).`,
+      ]
+        .filter(Boolean)
+        .join("\n\n"),
+    }),
+    responses,
+  };
+}
+
+const userInput = {
+  type: "object",
+  required: ["name"],
+  properties: {
+    name: { type: "string", maxLength: MAX_LENGTH, example: "Jane Smith" },
+    email: {
+      type: "string",
+      nullable: true,
+      description: "Unique, stored lower-cased; empty or null for none",
+      example: "jane@example.com",
+    },
+    status: { type: "string", enum: USER_STATUSES, default: "active" },
+    role: { type: "string", enum: USER_ROLES, default: "viewer" },
+    metadata: {
+      type: "object",
+      nullable: true,
+      description: `Free-form JSON object, at most ${MAX_METADATA_BYTES} bytes`,
+      example: { team: "platform" },
+    },
+    password: {
+      type: "string",
+      minLength: MIN_PASSWORD_LENGTH,
+      maxLength: MAX_PASSWORD_LENGTH,
+      writeOnly: true,
+      description: "Lets the user log in; never returned",
+    },
+  },
+};
+
+const webhookInput = {
+  type: "object",
+  required: ["url"],
+  properties: {
+    url: {
+      type: "string",
+      title: "URL",
+      maxLength: 2048,
+      description: "http or https URL receiving the POSTs",
+      example: "https://example.com/hooks/users",
+    },
+    events: {
+      type: "array",
+      minItems: 1,
+      items: { type: "string", enum: USER_EVENTS },
+      description: "Events to deliver (default: all)",
+    },
+    active: { type: "boolean", default: true },
+  },
+};
+
+const components = {
+  securitySchemes: {
+    apiKey: {
+      type: "http",
+      scheme: "bearer",
+      description: "An API key from POST /api/keys",
+    },
+    session: {
+      type: "apiKey",
+      in: "cookie",
+      name: "session",
+      description: "Set by POST /api/auth/login",
+    },
+  },
+
+  schemas: {
+    Problem: {
+      type: "object",
+      description:
+        "RFC 7807 problem details, sent as application/problem+json. `code` is stable; `detail` is a message for people.",
+      required: ["type", "title", "status", "detail", "code"],
+      properties: {
+        type: { type: "string", example: "/docs.html#problem-user_not_found" },
+        title: { type: "string", example: "Not found" },
+        status: { type: "integer", example: 404 },
+        detail: { type: "string", example: "User not found" },
+        instance: { type: "string", example: "/api/users/42" },
+        code: { type: "string", enum: Object.keys(PROBLEM_TYPES) },
+        request_id: { type: "string", description: "Same as X-Request-Id" },
+        fields: {
+          type: "object",
+          description: "Validation problems: field name to message",
+          additionalProperties: { type: "string" },
+          example: { name: "Name is required" },
+        },
+      },
+    },
+    User: {
+      type: "object",
+      properties: {
+        id: { type: "integer", example: 1 },
+        name: { type: "string", example: "Jane Smith" },
+        email: { type: "string", nullable: true, example: "jane@example.com" },
+        status: { type: "string", enum: USER_STATUSES },
+        role: { type: "string", enum: USER_ROLES },
+        metadata: { type: "object" },
+        version: {
+          type: "integer",
+          description: "Incremented on every change; the ETag",
+          example: 1,
+        },
+        created_at: dateTime,
+        updated_at: dateTime,
+        deleted_at: {
+          ...nullableDateTime,
+          description: "Set while the user is in the trash",
+        },
+      },
+    },
+    UserInput: userInput,
+    Pagination: {
+      type: "object",
+      properties: {
+        limit: { type: "integer" },
+        page: { type: "integer", nullable: true },
+        totalPages: { type: "integer" },
+        nextCursor: { type: "string", nullable: true },
+        prevCursor: { type: "string", nullable: true },
+      },
+    },
+    ApiKey: {
+      type: "object",
+      properties: {
+        id: { type: "integer" },
+        user_id: { type: "integer" },
+        name: { type: "string" },
+        prefix: { type: "string", description: "First characters of the key" },
+        created_at: dateTime,
+        last_used_at: nullableDateTime,
+        revoked_at: nullableDateTime,
+      },
+    },
+    AuditEntry: {
+      type: "object",
+      properties: {
+        id: { type: "integer" },
+        action: { type: "string", enum: AUDIT_ACTIONS },
+        user_id: { type: "integer" },
+        actor_id: { type: "integer", nullable: true },
+        actor_email: { type: "string", nullable: true },
+        request_id: { type: "string", nullable: true },
+        before: { ...schema("User"), nullable: true },
+        after: { ...schema("User"), nullable: true },
+        created_at: dateTime,
+      },
+    },
+    Webhook: {
+      type: "object",
+      properties: {
+        id: { type: "integer" },
+        url: { type: "string" },
+        events: { type: "array", items: { type: "string", enum: USER_EVENTS } },
+        active: { type: "boolean" },
+        created_by: { type: "integer", nullable: true },
+        created_at: dateTime,
+        updated_at: dateTime,
+      },
+    },
+    WebhookInput: webhookInput,
+    WebhookDelivery: {
+      type: "object",
+      properties: {
+        id: { type: "integer" },
+        webhook_id: { type: "integer" },
+        event_id: { type: "string" },
+        event: { type: "string" },
+        attempt: { type: "integer" },
+        success: { type: "boolean" },
+        response_status: { type: "integer", nullable: true },
+        error: { type: "string", nullable: true },
+        duration_ms: { type: "integer" },
+        next_retry_at: nullableDateTime,
+        created_at: dateTime,
+      },
+    },
+    OperationResult: {
+      type: "object",
+      description: "Outcome of one bulk operation or imported row",
+      properties: {
+        index: { type: "integer" },
+        action: { type: "string", enum: BULK_ACTIONS },
+        success: { type: "boolean" },
+        status: { type: "integer" },
+        user: schema("User"),
+        error: { type: "string" },
+        fields: { type: "object", additionalProperties: { type: "string" } },
+      },
+    },
+    DatabaseStatus: {
+      type: "object",
+      description:
+        "Checked on each request. `connected` is whether the configured storage answers. `fallback` is true while users are kept in memory because PostgreSQL was unreachable (`connected` is false then); the server keeps reconnecting in the background.",
+      properties: {
+        connected: { type: "boolean" },
+        type: { type: "string", example: "PostgreSQL" },
+        backend: { type: "string", enum: ["postgres", "memory", "file"] },
+        configured: { type: "string", enum: ["postgres", "memory", "file"] },
+        fallback: { type: "boolean" },
+        latency_ms: {
+          type: "number",
+          nullable: true,
+          description: "Null in fallback mode, when nothing is pinged",
+        },
+        pool: {
+          type: "object",
+          nullable: true,
+          properties: {
+            total: { type: "integer" },
+            idle: { type: "integer" },
+            waiting: { type: "integer" },
+          },
+        },
+        last_error: {
+          type: "object",
+          nullable: true,
+          properties: {
+            code: { type: "string", example: "ECONNREFUSED" },
+            at: dateTime,
+          },
+        },
+        pending_sync: {
+          type: "integer",
+          description: "Writes made in fallback mode not yet in PostgreSQL",
+        },
+        checked_at: dateTime,
+      },
+    },
+  },
+
+  parameters: {
+    userId: {
+      name: "id",
+      in: "path",
+      required: true,
+      description: "User id",
+      schema: resourceId,
+    },
+    webhookId: {
+      name: "id",
+      in: "path",
+      required: true,
+      description: "Webhook id",
+      schema: resourceId,
+    },
+    ifMatch: header(
+      "If-Match",
+      'Only apply the change if the user\'s ETag (e.g. "3") still matches'
+    ),
+  },
+
+  responses: {
+    BadRequest: problem("Invalid parameters or body"),
+    Unauthorized: problem("Missing or invalid credentials"),
+    Forbidden: problem("The caller's role lacks the permission"),
+    NotFound: problem("No such resource"),
+    Conflict: problem("Conflicts with the current state (e.g. email in use)"),
+    PreconditionFailed: {
+      ...problem("If-Match did not match; the body has the current user", {
+        allOf: [
+          schema("Problem"),
+          { type: "object", properties: { user: schema("User") } },
+        ],
+      }),
+      headers: { ETag: { schema: { type: "string" } } },
+    },
+    TooManyRequests: {
+      ...problem("Rate limit exceeded"),
+      headers: {
+        "Retry-After": {
+          description: "Seconds to wait",
+          schema: { type: "integer" },
+        },
+      },
+    },
+    InternalError: problem("Unexpected server error"),
+  },
+};
+
+const userResponse = (description, headers) =>
+  success(
+    description,
+    { message: { type: "string" }, user: schema("User") },
+    headers
+  );
+
+const etagHeader = {
+  ETag: { description: "The user's version", schema: { type: "string" } },
+};
+
+const userListResponse = success("A page of users", {
+  users: { type: "array", items: schema("User") },
+  count: { type: "integer" },
+  total: { type: "integer" },
+  pagination: schema("Pagination"),
+  links: {
+    type: "object",
+    properties: {
+      self: { type: "string" },
+      next: { type: "string", nullable: true },
+      prev: { type: "string", nullable: true },
+    },
+  },
+});
+
+// An all-or-nothing request (atomic bulk request or import) that was rolled
+// back answers with the status of the first operation that failed
+function rolledBack(properties) {
+  return problem(
+    "An operation failed, so nothing was applied; the status is that operation's",
+    {
+      allOf: [schema("Problem"), { type: "object", properties }],
+    }
+  );
+}
+
+const bulkFailed = rolledBack({
+  mode: { type: "string", enum: BULK_MODES },
+  summary: { type: "object" },
+  results: { type: "array", items: schema("OperationResult") },
+});
+
+const importFailed = rolledBack({
+  dryRun: { type: "boolean" },
+  mode: { type: "string", enum: BULK_MODES },
+  summary: { type: "object" },
+  errors: { type: "array", items: schema("OperationResult") },
+});
+
+const paths = {
+  "/health": {
+    get: operation(null, {
+      tags: ["Health"],
+      summary: "Check the API and database",
+      description:
+        "`status` is `ok`, `degraded` (running on the in-memory fallback) or `down` (storage unreachable, answered with 503).",
+      public: true,
+      responses: {
+        200: success("The API is up", healthProperties),
+        503: {
+          description: "The storage is unreachable",
+          content: json({ type: "object", properties: healthProperties }),
+        },
+      },
+    }),
+  },
+
+  "/health/live": {
+    get: operation(null, {
+      tags: ["Health"],
+      summary: "Liveness probe",
+      description: "Answers while the process is up; does not touch storage.",
+      public: true,
+      responses: {
+        200: success("The process is up", {
+          status: { type: "string", example: "ok" },
+          uptime_seconds: { type: "integer" },
+        }),
+      },
+    }),
+  },
+
+  "/health/ready": {
+    get: operation(null, {
+      tags: ["Health"],
+      summary: "Readiness probe",
+      description:
+        "Ready once storage is initialized, answers and is the configured backend, until the server starts shutting down. In fallback mode the API works but is not ready.",
+      public: true,
+      responses: {
+        200: success("Ready for traffic", readinessProperties),
+        503: {
+          description: "Not ready",
+          content: json({ type: "object", properties: readinessProperties }),
+        },
+      },
+    }),
+  },
+
+  "/health/sync": {
+    get: operation(null, {
+      tags: ["Health"],
+      summary: "Fallback journal sync status",
+      description:
+        "Writes made in fallback mode are journaled to a local file and replayed into PostgreSQL once it is reachable again. `pending` counts those not replayed yet; `last_sync` is the last replay (null if none since startup). If replaying fails after reconnecting, the server retries with a growing delay: `last_error` is the failure and `retry_at` the next attempt (both null otherwise). Conflicts are logged and kept in the journal's `.conflicts.jsonl` file.",
+      public: true,
+      responses: {
+        200: success("Sync status", {
+          fallback: { type: "boolean" },
+          enabled: {
+            type: "boolean",
+            description: "False unless the storage backend is postgres",
+          },
+          pending: { type: "integer" },
+          last_sync: {
+            type: "object",
+            nullable: true,
+            properties: {
+              started_at: dateTime,
+              finished_at: dateTime,
+              applied: { type: "integer" },
+              conflicts: { type: "integer" },
+            },
+          },
+          last_error: {
+            type: "object",
+            nullable: true,
+            properties: {
+              code: { type: "string", nullable: true },
+              at: dateTime,
+            },
+          },
+          retry_at: nullableDateTime,
+        }),
+      },
+    }),
+  },
+
+  "/openapi.json": {
+    get: operation(null, {
+      tags: ["Health"],
+      summary: "This document",
+      public: true,
+      responses: {
+        200: {
+          description: "OpenAPI 3 document",
+          content: json({ type: "object" }),
+        },
+      },
+    }),
+  },
+
+  "/auth/login": {
+    post: operation(null, {
+      tags: ["Auth"],
+      summary: "Log in and receive a session cookie",
+      public: true,
+      requestBody: {
+        required: true,
+        content: json(
+          {
+            type: "object",
+            required: ["email", "password"],
+            properties: {
+              email: { type: "string" },
+              password: { type: "string" },
+            },
+          },
+          { email: "admin@example.com", password: "change-me-please" }
+        ),
+      },
+      responses: {
+        200: success("Logged in; sets the session cookie", {
+          message: { type: "string" },
+          user: schema("User"),
+          permissions: { type: "array", items: { type: "string" } },
+        }),
+        400: response("BadRequest"),
+        401: response("Unauthorized"),
+      },
+    }),
+  },
+
+  "/auth/logout": {
+    post: operation(null, {
+      tags: ["Auth"],
+      summary: "Log out (clears the session cookie)",
+      public: true,
+      responses: {
+        200: success("Logged out", { message: { type: "string" } }),
+      },
+    }),
+  },
+
+  "/auth/me": {
+    get: operation(null, {
+      tags: ["Auth"],
+      summary: "The current caller and their permissions",
+      responses: {
+        200: success("The caller", {
+          user: schema("User"),
+          auth: { type: "string", enum: ["api_key", "session"] },
+          permissions: { type: "array", items: { type: "string" } },
+        }),
+      },
+    }),
+  },
+
+  "/keys": {
+    get: operation(null, {
+      tags: ["API Keys"],
+      summary: "List your API keys",
+      responses: {
+        200: success("Your keys", {
+          apiKeys: { type: "array", items: schema("ApiKey") },
+          count: { type: "integer" },
+        }),
+      },
+    }),
+    post: operation(null, {
+      tags: ["API Keys"],
+      summary: "Create an API key",
+      description: "The key itself is only returned in this response.",
+      requestBody: {
+        required: true,
+        content: json(
+          {
+            type: "object",
+            required: ["name"],
+            properties: { name: { type: "string", maxLength: MAX_LENGTH } },
+          },
+          { name: "CI pipeline" }
+        ),
+      },
+      responses: {
+        201: success("Key created", {
+          message: { type: "string" },
+          apiKey: {
+            allOf: [
+              schema("ApiKey"),
+              {
+                type: "object",
+                properties: { key: { type: "string" } },
+              },
+            ],
+          },
+        }),
+        400: response("BadRequest"),
+      },
+    }),
+  },
+
+  "/keys/{id}": {
+    delete: operation(null, {
+      tags: ["API Keys"],
+      summary: "Revoke one of your API keys",
+      parameters: [
+        {
+          name: "id",
+          in: "path",
+          required: true,
+          description: "API key id",
+          schema: resourceId,
+        },
+      ],
+      responses: {
+        200: success("Key revoked", {
+          message: { type: "string" },
+          apiKey: schema("ApiKey"),
+        }),
+        400: response("BadRequest"),
+        404: response("NotFound"),
+      },
+    }),
+  },
+
+  "/users": {
+    get: operation("users:read", {
+      tags: ["Users"],
+      summary: "List users",
+      description:
+        "Paged by `page` or by cursor; deleted users are not included.",
+      parameters: listParameters(),
+      responses: {
+        200: userListResponse,
+        400: response("BadRequest"),
+      },
+    }),
+    post: operation("users:create", {
+      tags: ["Users"],
+      summary: "Create a user",
+      description:
+        "Only admins may create admins. With an Idempotency-Key, retries replay the first response.",
+      parameters: [
+        header(
+          "Idempotency-Key",
+          "Unique key (1-255 visible ASCII characters) making retries safe"
+        ),
+      ],
+      requestBody: {
+        required: true,
+        content: json(schema("UserInput"), {
+          name: "Jane Smith",
+          email: "jane@example.com",
+          role: "editor",
+          metadata: { team: "platform" },
+        }),
+      },
+      responses: {
+        201: userResponse("User created", etagHeader),
+        400: response("BadRequest"),
+        409: response("Conflict"),
+        422: problem("Idempotency-Key reused for a different request"),
+      },
+    }),
+  },
+
+  "/users/trash": {
+    get: operation("users:restore", {
+      tags: ["Trash"],
+      summary: "List deleted users",
+      parameters: listParameters({ trash: true }),
+      responses: {
+        200: userListResponse,
+        400: response("BadRequest"),
+      },
+    }),
+  },
+
+  "/users/search": {
+    get: operation("users:read", {
+      tags: ["Users"],
+      summary: "Search users by name or email, typos allowed",
+      parameters: [
+        query("q", "Search text", { type: "string" }, true),
+        query(
+          "limit",
+          "Result count (default 20, at most 100)",
+          positiveInteger
+        ),
+      ],
+      responses: {
+        200: success("Best matches first", {
+          query: { type: "string" },
+          users: { type: "array", items: schema("User") },
+          count: { type: "integer" },
+        }),
+        400: response("BadRequest"),
+      },
+    }),
+  },
+
+  "/users/export": {
+    get: operation("users:read", {
+      tags: ["Import and Export"],
+      summary: "Download users as CSV, JSON or NDJSON",
+      parameters: [
+        query("format", "File format (default csv)", {
+          type: "string",
+          enum: Object.keys(EXPORT_FORMATS),
+        }),
+        ...listParameters({ paging: false }),
+      ],
+      responses: {
+        200: {
+          description: "Every matching user, streamed",
+          content: Object.fromEntries(
+            Object.values(EXPORT_FORMATS).map((type) => [
+              type.split(";")[0],
+              {},
+            ])
+          ),
+        },
+        400: response("BadRequest"),
+      },
+    }),
+  },
+
+  "/users/import": {
+    post: operation("users:create", {
+      tags: ["Import and Export"],
+      summary: "Create users from a CSV, JSON or NDJSON file",
+      description: `At most ${MAX_IMPORT_ROWS} rows. The format comes from \`format\` or the Content-Type.`,
+      parameters: [
+        query("format", "File format, overriding the Content-Type", {
+          type: "string",
+          enum: IMPORT_FORMATS,
+        }),
+        query("mode", "atomic (default) or partial", {
+          type: "string",
+          enum: BULK_MODES,
+        }),
+        query("dry_run", "Only check the rows", { type: "boolean" }),
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          "text/csv": {
+            schema: { type: "string" },
+            example: "name,email,role\nJane Smith,jane@example.com,editor\n",
+          },
+          "application/json": {
+            schema: {
+              oneOf: [
+                { type: "array", items: schema("UserInput") },
+                {
+                  type: "object",
+                  properties: {
+                    users: { type: "array", items: schema("UserInput") },
+                  },
+                },
+              ],
+            },
+          },
+          "application/x-ndjson": { schema: { type: "string" } },
+        },
+      },
+      responses: {
+        200: success("Import summary and per-row errors", {
+          dryRun: { type: "boolean" },
+          summary: { type: "object" },
+          errors: { type: "array", items: schema("OperationResult") },
+        }),
+        400: response("BadRequest"),
+        409: importFailed,
+        415: problem("Unknown file format"),
+      },
+    }),
+  },
+
+  "/users/bulk": {
+    post: operation(null, {
+      tags: ["Users"],
+      summary: "Create, update and delete many users at once",
+      description:
+        'Each operation needs the same permission as its single-user route. "atomic" applies all or nothing; "partial" reports a result per operation.',
+      requestBody: {
+        required: true,
+        content: json(
+          {
+            type: "object",
+            required: ["operations"],
+            properties: {
+              mode: { type: "string", enum: BULK_MODES, default: "atomic" },
+              operations: {
+                type: "array",
+                minItems: 1,
+                maxItems: MAX_BULK_OPERATIONS,
+                items: {
+                  type: "object",
+                  description: `{ action: ${BULK_ACTIONS.join(" | ")}, id?, user?, purge? }`,
+                },
+              },
+            },
+          },
+          {
+            mode: "atomic",
+            operations: [
+              { action: "create", user: { name: "Bulk User 1" } },
+              {
+                action: "create",
+                user: { name: "Bulk User 2", role: "editor" },
+              },
+            ],
+          }
+        ),
+      },
+      responses: {
+        200: success("Every operation's result", {
+          mode: { type: "string", enum: BULK_MODES },
+          summary: { type: "object" },
+          results: { type: "array", items: schema("OperationResult") },
+        }),
+        400: response("BadRequest"),
+        403: bulkFailed,
+        404: bulkFailed,
+        409: bulkFailed,
+      },
+    }),
+  },
+
+  "/users/{id}": {
+    get: operation("users:read", {
+      tags: ["Users"],
+      summary: "Get a user",
+      parameters: [
+        parameter("userId"),
+        header("If-None-Match", "Answer 304 if the user's ETag still matches"),
+      ],
+      responses: {
+        200: userResponse("The user", etagHeader),
+        304: { description: "Not modified" },
+        400: response("BadRequest"),
+        404: response("NotFound"),
+      },
+    }),
+    put: operation("users:update", {
+      tags: ["Users"],
+      summary: "Replace a user",
+      description: "Omitted optional fields reset to their defaults.",
+      parameters: [parameter("userId"), parameter("ifMatch")],
+      requestBody: {
+        required: true,
+        content: json(schema("UserInput"), {
+          name: "Jane Smith",
+          email: "jane@example.com",
+          status: "active",
+          role: "editor",
+        }),
+      },
+      responses: {
+        200: userResponse("User updated", etagHeader),
+        400: response("BadRequest"),
+        404: response("NotFound"),
+        409: response("Conflict"),
+        412: response("PreconditionFailed"),
+      },
+    }),
+    patch: operation("users:update", {
+      tags: ["Users"],
+      summary: "Change some fields of a user",
+      parameters: [parameter("userId"), parameter("ifMatch")],
+      requestBody: {
+        required: true,
+        content: {
+          [Object.keys(PATCH_FORMATS)[0]]: {
+            schema: {
+              type: "object",
+              description: "Fields to change; null removes a field",
+            },
+            example: { role: "editor", metadata: { team: "platform" } },
+          },
+          [Object.keys(PATCH_FORMATS)[1]]: {
+            schema: {
+              type: "array",
+              items: {
+                type: "object",
+                description: "{ op, path, value?, from? }",
+              },
+            },
+            example: [
+              { op: "test", path: "/status", value: "active" },
+              { op: "replace", path: "/role", value: "editor" },
+            ],
+          },
+        },
+      },
+      responses: {
+        200: userResponse("User updated", etagHeader),
+        400: response("BadRequest"),
+        404: response("NotFound"),
+        409: problem("The patch does not apply, or the email is in use"),
+        412: response("PreconditionFailed"),
+        415: problem("Not a merge patch or JSON Patch"),
+      },
+    }),
+    delete: operation("users:delete", {
+      tags: ["Users"],
+      summary: "Move a user to the trash, or delete it for good",
+      parameters: [
+        parameter("userId"),
+        query("purge", "Delete permanently (needs users:purge)", {
+          type: "boolean",
+        }),
+        parameter("ifMatch"),
+      ],
+      responses: {
+        200: success("User deleted", { message: { type: "string" } }),
+        400: response("BadRequest"),
+        404: response("NotFound"),
+        412: response("PreconditionFailed"),
+      },
+    }),
+  },
+
+  "/users/{id}/restore": {
+    post: operation("users:restore", {
+      tags: ["Trash"],
+      summary: "Restore a deleted user",
+      parameters: [parameter("userId")],
+      responses: {
+        200: userResponse("User restored", etagHeader),
+        400: response("BadRequest"),
+        404: response("NotFound"),
+        409: response("Conflict"),
+      },
+    }),
+  },
+
+  "/audit": {
+    get: operation("audit:read", {
+      tags: ["Audit"],
+      summary: "List audit entries, newest first",
+      parameters: [
+        query("user_id", "Entries about this user", resourceId),
+        query("action", "Only this action", {
+          type: "string",
+          enum: AUDIT_ACTIONS,
+        }),
+        query("from", "At or after", dateTime),
+        query("to", "At or before", dateTime),
+        query("limit", "Page size (default 50, at most 200)", positiveInteger),
+        query("page", "Page number", positiveInteger),
+      ],
+      responses: {
+        200: success("A page of entries", {
+          entries: { type: "array", items: schema("AuditEntry") },
+          count: { type: "integer" },
+          total: { type: "integer" },
+          pagination: schema("Pagination"),
+        }),
+        400: response("BadRequest"),
+      },
+    }),
+  },
+
+  "/events": {
+    get: operation("users:read", {
+      tags: ["Events"],
+      summary: "Stream user changes (Server-Sent Events)",
+      description: `Event types: ${USER_EVENTS.join(", ")}.`,
+      parameters: [
+        header("Last-Event-ID", "Replay events after this id"),
+        query("lastEventId", "Same as the Last-Event-ID header", {
+          type: "string",
+        }),
+      ],
+      responses: {
+        200: {
+          description: "An endless event stream",
+          content: { "text/event-stream": { schema: { type: "string" } } },
+        },
+      },
+    }),
+  },
+
+  "/webhooks": {
+    get: operation("webhooks:manage", {
+      tags: ["Webhooks"],
+      summary: "List webhook subscriptions",
+      responses: {
+        200: success("Subscriptions", {
+          webhooks: { type: "array", items: schema("Webhook") },
+          count: { type: "integer" },
+        }),
+      },
+    }),
+    post: operation("webhooks:manage", {
+      tags: ["Webhooks"],
+      summary: "Subscribe a URL to user events",
+      description: "The signing secret is only returned in this response.",
+      requestBody: {
+        required: true,
+        content: json(schema("WebhookInput"), {
+          url: "https://example.com/hooks/users",
+          events: ["user.created", "user.deleted"],
+        }),
+      },
+      responses: {
+        201: success("Subscription created", {
+          message: { type: "string" },
+          webhook: {
+            allOf: [
+              schema("Webhook"),
+              {
+                type: "object",
+                properties: { secret: { type: "string" } },
+              },
+            ],
+          },
+        }),
+        400: response("BadRequest"),
+      },
+    }),
+  },
+
+  "/webhooks/{id}": {
+    get: operation("webhooks:manage", {
+      tags: ["Webhooks"],
+      summary: "Get a subscription",
+      parameters: [parameter("webhookId")],
+      responses: {
+        200: success("The subscription", { webhook: schema("Webhook") }),
+        400: response("BadRequest"),
+        404: response("NotFound"),
+      },
+    }),
+    put: operation("webhooks:manage", {
+      tags: ["Webhooks"],
+      summary: "Replace a subscription (the secret is kept)",
+      parameters: [parameter("webhookId")],
+      requestBody: {
+        required: true,
+        content: json(schema("WebhookInput"), {
+          url: "https://example.com/hooks/users",
+          active: false,
+        }),
+      },
+      responses: {
+        200: success("Subscription updated", {
+          message: { type: "string" },
+          webhook: schema("Webhook"),
+        }),
+        400: response("BadRequest"),
+        404: response("NotFound"),
+      },
+    }),
+    delete: operation("webhooks:manage", {
+      tags: ["Webhooks"],
+      summary: "Delete a subscription and its delivery log",
+      parameters: [parameter("webhookId")],
+      responses: {
+        200: success("Subscription deleted", { message: { type: "string" } }),
+        400: response("BadRequest"),
+        404: response("NotFound"),
+      },
+    }),
+  },
+
+  "/webhooks/{id}/deliveries": {
+    get: operation("webhooks:manage", {
+      tags: ["Webhooks"],
+      summary: "Delivery attempts, newest first",
+      parameters: [
+        parameter("webhookId"),
+        query("limit", "Page size (default 50, at most 200)", positiveInteger),
+        query("page", "Page number", positiveInteger),
+      ],
+      responses: {
+        200: success("A page of attempts", {
+          deliveries: { type: "array", items: schema("WebhookDelivery") },
+          count: { type: "integer" },
+          total: { type: "integer" },
+          pagination: schema("Pagination"),
+        }),
+        400: response("BadRequest"),
+        404: response("NotFound"),
+      },
+    }),
+  },
+
+  "/webhooks/{id}/ping": {
+    post: operation("webhooks:manage", {
+      tags: ["Webhooks"],
+      summary: "Send a webhook.ping event now",
+      parameters: [parameter("webhookId")],
+      responses: {
+        200: success("How the receiver answered", {
+          delivery: schema("WebhookDelivery"),
+        }),
+        400: response("BadRequest"),
+        404: response("NotFound"),
+      },
+    }),
+  },
+};
+
+const openApiSpec = {
+  openapi: "3.0.3",
+  info: {
+    title: "User Management API",
+    version: packageVersion,
+    description:
+      "Manage users, their API keys, webhooks and audit trail. Every endpoint except health, the spec and login/logout needs an API key or a session cookie.",
+  },
+  servers: [{ url: "/api" }],
+  security: [{ apiKey: [] }, { session: [] }],
+  tags: [
+    { name: "Health" },
+    { name: "Auth" },
+    { name: "API Keys" },
+    { name: "Users" },
+    { name: "Trash" },
+    { name: "Import and Export" },
+    { name: "Audit" },
+    { name: "Events" },
+    { name: "Webhooks" },
+  ],
+  paths,
+  components,
+  // Status and title of every Problem code (listed on the docs page)
+  "x-problem-types": PROBLEM_TYPES,
+};
+
+module.exports = { openApiSpec };
@@ -0,0 +1,294 @@
+// Partial user updates
+//
+// PATCH /api/users/:id takes either a JSON Merge Patch (RFC 7396,
+// application/merge-patch+json) or a JSON Patch (RFC 6902,
+// application/json-patch+json). The patch is applied to the user as the API
+// returns it; the result must leave the read-only fields alone and then goes
+// through the same validation as PUT.
+
+const PATCH_FORMATS = {
+  "application/merge-patch+json": "merge",
+  "application/json-patch+json": "json-patch",
+};
+const JSON_PATCH_OPS = ["add", "remove", "replace", "move", "copy", "test"];
+
+// Fields PUT accepts; everything else in the user is read-only
+const WRITABLE_FIELDS = ["name", "email", "status", "role", "metadata"];
+// Not part of the user, but may be added to set a new password
+const WRITE_ONLY_FIELDS = ["password"];
+
+// An expected failure; `status` is 400 for a malformed patch and 409 for
+// one that does not apply to the user as it is now
+function patchError(status, message, fields) {
+  return Object.assign(new Error(message), { status, fields });
+}
+
+// Patch format from the Content-Type, or null when it is not a patch type
+function patchFormat(req) {
+  const type = req.is(Object.keys(PATCH_FORMATS));
+  return type ? PATCH_FORMATS[type] : null;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function hasMember(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Plain assignment would treat "__proto__" specially
+function setMember(object, key, value) {
+  Object.defineProperty(object, key, {
+    value,
+    enumerable: true,
+    writable: true,
+    configurable: true,
+  });
+}
+
+function jsonEqual(a, b) {
+  if (Array.isArray(a)) {
+    return (
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, i) => jsonEqual(item, b[i]))
+    );
+  }
+  if (isPlainObject(a)) {
+    if (!isPlainObject(b)) {
+      return false;
+    }
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => hasMember(b, key) && jsonEqual(a[key], b[key]))
+    );
+  }
+  return a === b;
+}
+
+// RFC 7396: objects merge recursively, null removes a member and anything
+// else replaces the target
+function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) {
+    return structuredClone(patch);
+  }
+  const result = {};
+  if (isPlainObject(target)) {
+    for (const [key, value] of Object.entries(target)) {
+      setMember(result, key, value);
+    }
+  }
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      setMember(result, key, applyMergePatch(result[key], value));
+    }
+  }
+  return result;
+}
+
+// RFC 6901 JSON Pointer to its reference tokens
+function parsePointer(pointer, member) {
+  if (typeof pointer !== "string" || !/^(\/.*)?$/.test(pointer)) {
+    throw patchError(400, `${member} must be a JSON Pointer`);
+  }
+  return pointer
+    .split("/")
+    .slice(1)
+    .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+function arrayIndex(array, token, { append = false } = {}) {
+  if (append && token === "-") {
+    return array.length;
+  }
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    return -1;
+  }
+  const index = Number(token);
+  return index < array.length + (append ? 1 : 0) ? index : -1;
+}
+
+// The container holding the last token of `tokens`
+function parentOf(document, tokens, path) {
+  let node = document;
+  for (const token of tokens.slice(0, -1)) {
+    if (Array.isArray(node)) {
+      node = node[arrayIndex(node, token)];
+    } else if (isPlainObject(node) && hasMember(node, token)) {
+      node = node[token];
+    } else {
+      node = undefined;
+    }
+    if (node === undefined) {
+      break;
+    }
+  }
+  if (!Array.isArray(node) && !isPlainObject(node)) {
+    throw patchError(409, `Path ${path} does not exist`);
+  }
+  return node;
+}
+
+function getValue(document, tokens, path) {
+  if (tokens.length === 0) {
+    return document;
+  }
+  const parent = parentOf(document, tokens, path);
+  const token = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    const index = arrayIndex(parent, token);
+    if (index !== -1) {
+      return parent[index];
+    }
+  } else if (hasMember(parent, token)) {
+    return parent[token];
+  }
+  throw patchError(409, `Path ${path} does not exist`);
+}
+
+// Each returns the new document (only a root path replaces it)
+function addValue(document, tokens, path, value) {
+  if (tokens.length === 0) {
+    return value;
+  }
+  const parent = parentOf(document, tokens, path);
+  const token = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    const index = arrayIndex(parent, token, { append: true });
+    if (index === -1) {
+      throw patchError(409, `Path ${path} is not a valid array position`);
+    }
+    parent.splice(index, 0, value);
+  } else {
+    setMember(parent, token, value);
+  }
+  return document;
+}
+
+function removeValue(document, tokens, path) {
+  getValue(document, tokens, path);
+  if (tokens.length === 0) {
+    return undefined;
+  }
+  const parent = parentOf(document, tokens, path);
+  const token = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, token), 1);
+  } else {
+    delete parent[token];
+  }
+  return document;
+}
+
+// RFC 6902: apply every operation in order; any failure aborts the patch
+function applyJsonPatch(target, operations) {
+  if (!Array.isArray(operations)) {
+    throw patchError(400, "A JSON Patch must be an array of operations");
+  }
+
+  let document = structuredClone(target);
+  operations.forEach((operation, i) => {
+    const at = `Operation ${i}`;
+    if (!isPlainObject(operation) || !JSON_PATCH_OPS.includes(operation.op)) {
+      throw patchError(
+        400,
+        `${at}: op must be one of: ${JSON_PATCH_OPS.join(", ")}`
+      );
+    }
+    const { op, path } = operation;
+    const tokens = parsePointer(path, `${at}: path`);
+    const needsValue = ["add", "replace", "test"].includes(op);
+    if (needsValue && !hasMember(operation, "value")) {
+      throw patchError(400, `${at}: ${op} needs a value`);
+    }
+    const value = needsValue ? structuredClone(operation.value) : undefined;
+
+    try {
+      if (op === "add") {
+        document = addValue(document, tokens, path, value);
+      } else if (op === "remove") {
+        document = removeValue(document, tokens, path);
+      } else if (op === "replace") {
+        document = removeValue(document, tokens, path);
+        document = addValue(document, tokens, path, value);
+      } else if (op === "test") {
+        if (!jsonEqual(getValue(document, tokens, path), value)) {
+          throw patchError(409, `Test failed: ${path} has another value`);
+        }
+      } else {
+        const fromTokens = parsePointer(operation.from, "from");
+        const moved = structuredClone(
+          getValue(document, fromTokens, operation.from)
+        );
+        if (op === "move") {
+          if (path.startsWith(`${operation.from}/`)) {
+            throw patchError(409, `Cannot move ${operation.from} into itself`);
+          }
+          document = removeValue(document, fromTokens, operation.from);
+        }
+        document = addValue(document, tokens, path, moved);
+      }
+    } catch (error) {
+      if (error.status) {
+        error.message = `${at}: ${error.message}`;
+      }
+      throw error;
+    }
+  });
+  return document;
+}
+
+// Apply a parsed patch body to `user` and return the input for
+// validateUser. Throws a patchError when the patch is malformed, does not
+// apply, or changes a read-only field.
+function applyUserPatch(user, format, patch) {
+  // Patch the user as clients see it (dates as strings)
+  const current = JSON.parse(JSON.stringify(user));
+  const result =
+    format === "merge"
+      ? applyMergePatch(current, patch)
+      : applyJsonPatch(current, patch);
+
+  if (!isPlainObject(result)) {
+    throw patchError(400, "The patched user must be an object");
+  }
+
+  const fields = {};
+  for (const key of new Set([
+    ...Object.keys(current),
+    ...Object.keys(result),
+  ])) {
+    if (WRITABLE_FIELDS.includes(key) || WRITE_ONLY_FIELDS.includes(key)) {
+      continue;
+    }
+    if (!hasMember(current, key)) {
+      fields[key] = "Unknown field";
+    } else if (!jsonEqual(current[key], result[key])) {
+      fields[key] = "Field is read-only";
+    }
+  }
+  if (Object.keys(fields).length > 0) {
+    throw patchError(400, "Validation failed", fields);
+  }
+
+  const input = {};
+  for (const key of [...WRITABLE_FIELDS, ...WRITE_ONLY_FIELDS]) {
+    if (hasMember(result, key)) {
+      input[key] = result[key];
+    }
+  }
+  return input;
+}
+
+module.exports = {
+  PATCH_FORMATS,
+  applyJsonPatch,
+  applyMergePatch,
+  applyUserPatch,
+  patchError,
+  patchFormat,
+};
@@ -0,0 +1,55 @@
+// Role-based authorization
+//
+// Each permission lists the roles that hold it. Routes check a permission
+// with `authorize()`; the web UI gets the caller's permissions from
+// /api/auth/me to decide which controls to show.
+
+const { sendProblem } = require("./problems");
+
+const PERMISSIONS = {
+  "users:read": ["admin", "editor", "viewer"],
+  "users:create": ["admin", "editor"],
+  "users:update": ["admin", "editor"],
+  "users:delete": ["admin"],
+  // Trash listing, restore and permanent deletion
+  "users:restore": ["admin"],
+  "users:purge": ["admin"],
+  // Granting the admin role or changing an admin account
+  "users:manage_admins": ["admin"],
+  "audit:read": ["admin", "editor"],
+  "webhooks:manage": ["admin"],
+};
+
+function can(user, permission) {
+  return Boolean(user && (PERMISSIONS[permission] || []).includes(user.role));
+}
+
+function permissionsFor(user) {
+  return Object.keys(PERMISSIONS).filter((permission) => can(user, permission));
+}
+
+function sendForbidden(res, message = "You do not have permission to do this") {
+  sendProblem(res, "forbidden", message);
+}
+
+// Reject callers whose role lacks `permission` with 403
+function authorize(permission) {
+  return (req, res, next) => {
+    if (!can(req.user, permission)) {
+      sendForbidden(
+        res,
+        `Role "${req.user.role}" is not allowed to perform ${permission}`
+      );
+      return;
+    }
+    next();
+  };
+}
+
+module.exports = {
+  PERMISSIONS,
+  authorize,
+  can,
+  permissionsFor,
+  sendForbidden,
+};
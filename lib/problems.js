@@ -0,0 +1,136 @@
+// Error responses as RFC 7807 problem details (application/problem+json)
+//
+// Every error has a stable machine-readable `code`, listed below with its
+// status and title. `detail` is a message for people and is always safe to
+// show: unexpected errors are logged server-side and answered with a
+// generic detail, so database errors and stack traces never reach clients.
+//
+//   {
+//     "type": "/docs.html#problem-user_not_found",
+//     "title": "Not found",
+//     "status": 404,
+//     "detail": "User not found",
+//     "instance": "/api/users/42",
+//     "code": "user_not_found",
+//     "request_id": "0b8e4f0e-..."
+//   }
+//
+// Validation problems add `fields` (field name -> message); others may add
+// their own members, such as the current `user` on a 412.
+
+const PROBLEM_CONTENT_TYPE = "application/problem+json";
+
+const PROBLEM_TYPES = {
+  invalid_parameter: { status: 400, title: "Invalid parameter" },
+  invalid_cursor: { status: 400, title: "Invalid cursor" },
+  invalid_request: { status: 400, title: "Invalid request" },
+  malformed_body: { status: 400, title: "Malformed request body" },
+  validation_failed: { status: 400, title: "Validation failed" },
+  invalid_patch: { status: 400, title: "Invalid patch" },
+  bulk_failed: { status: 400, title: "Bulk request failed" },
+  import_failed: { status: 400, title: "Import failed" },
+  authentication_required: { status: 401, title: "Authentication required" },
+  invalid_credentials: { status: 401, title: "Invalid credentials" },
+  forbidden: { status: 403, title: "Forbidden" },
+  route_not_found: { status: 404, title: "Not found" },
+  user_not_found: { status: 404, title: "Not found" },
+  api_key_not_found: { status: 404, title: "Not found" },
+  webhook_not_found: { status: 404, title: "Not found" },
+  email_taken: { status: 409, title: "Conflict" },
+  patch_conflict: { status: 409, title: "Conflict" },
+  idempotency_key_in_use: { status: 409, title: "Conflict" },
+  version_mismatch: { status: 412, title: "Precondition failed" },
+  payload_too_large: { status: 413, title: "Payload too large" },
+  unsupported_media_type: { status: 415, title: "Unsupported media type" },
+  idempotency_key_reused: { status: 422, title: "Unprocessable request" },
+  rate_limited: { status: 429, title: "Too many requests" },
+  internal_error: { status: 500, title: "Internal server error" },
+};
+
+// Send the problem `code`. `extensions` are extra members; a `status` among
+// them overrides the code's usual one (bulk and import failures answer with
+// the status of the operation that failed).
+function sendProblem(res, code, detail, extensions = {}) {
+  const { status, title } = PROBLEM_TYPES[code];
+  const req = res.req;
+  const body = {
+    type: `/docs.html#problem-${code}`,
+    title,
+    status,
+    detail,
+    instance: req.originalUrl,
+    code,
+    request_id: req.id || null,
+    ...extensions,
+  };
+  res.status(body.status).type(PROBLEM_CONTENT_TYPE).json(body);
+}
+
+// Field-level validation errors; 409 when the only problem is a taken email
+function sendFieldErrors(res, status, fields) {
+  if (status === 409) {
+    sendProblem(res, "email_taken", Object.values(fields)[0], { fields });
+  } else {
+    sendProblem(res, "validation_failed", "Validation failed", {
+      status,
+      fields,
+    });
+  }
+}
+
+// Errors thrown by body-parser before a route runs
+const BODY_PARSER_PROBLEMS = {
+  "entity.parse.failed": ["malformed_body", "Request body is not valid JSON"],
+  "entity.too.large": ["payload_too_large", "Request body is too large"],
+  "encoding.unsupported": [
+    "unsupported_media_type",
+    "Unsupported content encoding",
+  ],
+  "charset.unsupported": ["unsupported_media_type", "Unsupported charset"],
+  "request.aborted": ["invalid_request", "Request was aborted"],
+};
+
+// Other errors carrying a 4xx status (e.g. Express failing to decode a
+// percent-encoded path): the problem for that status, else invalid_request
+// with the status kept
+const STATUS_PROBLEMS = {
+  400: "invalid_request",
+  401: "authentication_required",
+  403: "forbidden",
+  404: "route_not_found",
+  413: "payload_too_large",
+  415: "unsupported_media_type",
+  429: "rate_limited",
+};
+
+// Error-handling middleware: known client errors become their problem,
+// anything else is logged and answered with a generic 500
+function problemErrorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    next(err);
+    return;
+  }
+  const known = BODY_PARSER_PROBLEMS[err.type];
+  if (known) {
+    sendProblem(res, known[0], known[1]);
+    return;
+  }
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 500) {
+    const code = STATUS_PROBLEMS[status] || "invalid_request";
+    // http-errors marks client errors whose message is safe to show
+    const detail = err.expose ? err.message : PROBLEM_TYPES[code].title;
+    sendProblem(res, code, detail, { status });
+    return;
+  }
+  req.log.error("Unhandled error", { error: err });
+  sendProblem(res, "internal_error", "Internal server error");
+}
+
+module.exports = {
+  PROBLEM_CONTENT_TYPE,
+  PROBLEM_TYPES,
+  problemErrorHandler,
+  sendFieldErrors,
+  sendProblem,
+};
@@ -0,0 +1,144 @@
+// Rate limiting
+//
+// Each client gets a quota of requests per window, counted separately for
+// reads (GET, HEAD, OPTIONS) and writes. Counting uses a sliding window: the
+// hits in the current window plus the previous window's hits, weighted by how
+// much of that window the sliding one still covers, so a client cannot spend
+// two quotas in a burst around a window boundary.
+//
+// Responses carry RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining and
+// RateLimit-Reset headers; a client over its quota gets 429 with Retry-After.
+// Counters live in a store: process memory (per server) or the database
+// (shared by every server using it).
+
+const { sendProblem } = require("./problems");
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+// Where counters can live (RATE_LIMIT_STORE)
+const RATE_LIMIT_STORES = ["memory", "database"];
+
+// Counters in process memory; same interface as the repository's
+function createMemoryRateLimitStore() {
+  const windows = new Map();
+  let prunedAt = 0;
+
+  return {
+    async hitRateLimit({
+      key,
+      now,
+      windowStart,
+      previousWindowStart,
+      expiresAt,
+    }) {
+      // Drop expired windows at most once per window
+      if (windowStart.getTime() > prunedAt) {
+        for (const [id, record] of windows) {
+          if (record.expiresAt <= now) {
+            windows.delete(id);
+          }
+        }
+        prunedAt = windowStart.getTime();
+      }
+
+      const id = `${key} ${windowStart.getTime()}`;
+      const record = windows.get(id) || { hits: 0, expiresAt };
+      record.hits += 1;
+      windows.set(id, record);
+      const previous = windows.get(`${key} ${previousWindowStart.getTime()}`);
+      return { current: record.hits, previous: previous ? previous.hits : 0 };
+    },
+  };
+}
+
+// "memory" or "database" (the repository, whichever adapter it uses)
+function createRateLimitStore(name, repository) {
+  switch (name) {
+    case "memory":
+      return createMemoryRateLimitStore();
+    case "database":
+      return repository;
+    default:
+      throw new Error(
+        `Unknown rate limit store: ${name} (use ${RATE_LIMIT_STORES.join(" or ")})`
+      );
+  }
+}
+
+// Milliseconds until one more request fits in the quota
+function retryDelay({ current, previous }, limit, window, elapsed) {
+  // Later in this window, as the previous window's weight fades
+  if (previous > 0) {
+    const wait =
+      ((previous * (1 - elapsed / window) + current + 1 - limit) * window) /
+      previous;
+    if (wait < window - elapsed) {
+      return wait;
+    }
+  }
+  // Early in the next window, once this one's weight has faded enough
+  return window - elapsed + Math.max(0, window * (1 - (limit - 1) / current));
+}
+
+// Middleware counting each request against `clientKey(req)`; requests for
+// which it returns null are not counted here. Rejected requests count too,
+// so a client that keeps retrying early stays limited.
+function rateLimit({ store, reads, writes, window, clientKey }) {
+  return async (req, res, next) => {
+    const client = clientKey(req);
+    const kind = READ_METHODS.includes(req.method) ? "read" : "write";
+    const limit = kind === "read" ? reads : writes;
+    if (!client || !limit) {
+      next();
+      return;
+    }
+
+    const now = Date.now();
+    const windowStart = now - (now % window);
+    const elapsed = now - windowStart;
+    let hits;
+    try {
+      hits = await store.hitRateLimit({
+        key: `${client}:${kind}`,
+        now: new Date(now),
+        windowStart: new Date(windowStart),
+        previousWindowStart: new Date(windowStart - window),
+        expiresAt: new Date(windowStart + 2 * window),
+      });
+    } catch (error) {
+      // A failing counter store should not take the API down with it
+      req.log.error("Error checking rate limit", { error });
+      next();
+      return;
+    }
+
+    const used = hits.previous * (1 - elapsed / window) + hits.current;
+    res.set({
+      "RateLimit-Policy": `${limit};w=${window / 1000}`,
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(Math.max(0, Math.floor(limit - used))),
+      "RateLimit-Reset": String(Math.ceil((window - elapsed) / 1000)),
+    });
+    if (used <= limit) {
+      next();
+      return;
+    }
+
+    const retryAfter = Math.max(
+      1,
+      Math.ceil(retryDelay(hits, limit, window, elapsed) / 1000)
+    );
+    res.set("Retry-After", String(retryAfter));
+    sendProblem(
+      res,
+      "rate_limited",
+      `Too many requests; try again in ${retryAfter} seconds`
+    );
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_STORES,
+  createMemoryRateLimitStore,
+  createRateLimitStore,
+  rateLimit,
+};
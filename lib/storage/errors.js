@@ -0,0 +1,20 @@
+// Storage errors shared by every adapter
+
+// Raised when a write would break a unique constraint (e.g. duplicate email)
+function uniqueViolation(field) {
+  const error = new Error(`${field} is already in use`);
+  error.code = "UNIQUE_VIOLATION";
+  error.field = field;
+  return error;
+}
+
+// Raised when a write conditional on a version (If-Match) finds the user at
+// another version; carries the user as it is now
+function versionConflict(user) {
+  const error = new Error("User has been changed since it was read");
+  error.code = "VERSION_CONFLICT";
+  error.user = user;
+  return error;
+}
+
+module.exports = { uniqueViolation, versionConflict };
@@ -0,0 +1,91 @@
+// File-backed user repository
+//
+// Same behaviour as the in-memory adapter, but the state is written to a
+// local JSON file after every change so data survives restarts.
+
+const fs = require("fs");
+const path = require("path");
+const { createMemoryRepository } = require("./memory");
+
+// touchApiKey and hitRateLimit are left out: they run on every request, and
+// their changes are saved with the next real write
+const MUTATIONS = [
+  "create",
+  "update",
+  "remove",
+  "restore",
+  "purge",
+  "runMigration",
+  "setPassword",
+  "createApiKey",
+  "revokeApiKey",
+  "recordAudit",
+  "createWebhook",
+  "updateWebhook",
+  "deleteWebhook",
+  "recordWebhookDelivery",
+  "claimIdempotencyKey",
+  "saveIdempotentResponse",
+  "releaseIdempotencyKey",
+];
+
+function createFileRepository({ filePath }) {
+  const memory = createMemoryRepository();
+  let pendingWrite = Promise.resolve();
+
+  // Write to a temp file and rename so a crash never leaves half a file
+  function save() {
+    const snapshot = JSON.stringify(memory.state, null, 2);
+    pendingWrite = pendingWrite.then(async () => {
+      const tmpPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, filePath);
+    });
+    return pendingWrite;
+  }
+
+  const repository = {
+    ...memory,
+    backend: "file",
+    label: `Local File (${path.basename(filePath)})`,
+
+    async init() {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        const saved = JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+        Object.assign(memory.state, saved);
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          throw error;
+        }
+        await save();
+      }
+    },
+
+    // Writes inside the transaction hit memory only; the file is saved once
+    // at the end, whether the transaction committed or rolled back
+    async transaction(fn) {
+      try {
+        return await memory.transaction(fn);
+      } finally {
+        await save();
+      }
+    },
+
+    async close() {
+      await pendingWrite;
+    },
+  };
+
+  for (const method of MUTATIONS) {
+    repository[method] = async (...args) => {
+      const result = await memory[method](...args);
+      await save();
+      return result;
+    };
+  }
+
+  return repository;
+}
+
+module.exports = { createFileRepository };
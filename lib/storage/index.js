@@ -0,0 +1,375 @@
+// User repository
+//
+// Route handlers talk to a single repository API; the adapter behind it is
+// picked at startup from STORAGE_BACKEND (postgres, memory or file). If the
+// PostgreSQL adapter cannot initialize, the repository falls back to the
+// in-memory adapter so the API keeps serving requests, and keeps trying to
+// reach PostgreSQL in the background. Writes made meanwhile are journaled to
+// a local file (see journal.js) and replayed into PostgreSQL before the
+// repository switches back to it. With `fallback: false` (DB_FALLBACK=off)
+// init() fails instead.
+//
+// Options come from lib/config.js (`config.storage`).
+
+const { createPostgresRepository } = require("./postgres");
+const { createMemoryRepository } = require("./memory");
+const { createFileRepository } = require("./file");
+const {
+  createJournal,
+  createJournaledRepository,
+  replayJournal,
+} = require("./journal");
+const { migrate, pendingMigrations } = require("../migrations");
+const { logger } = require("../logger");
+
+// Longest wait between attempts to replay what is left of the journal
+const MAX_SYNC_RETRY_MS = 15 * 60 * 1000;
+
+const METHODS = [
+  "list",
+  "search",
+  "get",
+  "findByEmail",
+  "create",
+  "update",
+  "remove",
+  "restore",
+  "purge",
+  "count",
+  "getPasswordHash",
+  "setPassword",
+  "createApiKey",
+  "listApiKeys",
+  "findApiKey",
+  "touchApiKey",
+  "revokeApiKey",
+  "recordAudit",
+  "listAudit",
+  "createWebhook",
+  "listWebhooks",
+  "getWebhook",
+  "updateWebhook",
+  "deleteWebhook",
+  "recordWebhookDelivery",
+  "listWebhookDeliveries",
+  "claimIdempotencyKey",
+  "saveIdempotentResponse",
+  "releaseIdempotencyKey",
+  "hitRateLimit",
+  "transaction",
+];
+
+function createAdapter(options) {
+  switch (options.backend) {
+    case "postgres":
+      return createPostgresRepository(options);
+    case "memory":
+      return createMemoryRepository();
+    case "file":
+      return createFileRepository(options);
+    default:
+      throw new Error(`Unknown storage backend: ${options.backend}`);
+  }
+}
+
+// Ids are PostgreSQL SERIAL columns, so nothing above the int4 maximum
+// can exist (and PostgreSQL rejects such values rather than matching none)
+const MAX_ID = 2147483647;
+
+// Route params arrive as strings; only positive integers are valid ids
+function parseId(value) {
+  const id = /^\d+$/.test(String(value)) ? Number(value) : 0;
+  return id > 0 && id <= MAX_ID ? id : null;
+}
+
+function createUserRepository(options) {
+  const primary = createAdapter(options);
+  let active = primary;
+  let fallbackMode = false;
+  let initialized = false;
+  let lastError = null;
+  let reconnectTimer = null;
+  let lastSync = null;
+  let syncRetryTimer = null;
+  let syncRetryDelay = 0;
+  let syncRetryAt = null;
+  let lastSyncError = null;
+  const reconnectListeners = [];
+  // Only PostgreSQL falls back, so only it needs a journal
+  const journal =
+    primary.backend === "postgres"
+      ? createJournal({ filePath: options.journalPath })
+      : null;
+
+  function recordError(error) {
+    lastError = { code: error.code || null, at: new Date().toISOString() };
+  }
+
+  // Apply pending migrations, or only warn about them when
+  // MIGRATE_ON_BOOT=false
+  async function prepare(adapter) {
+    if (options.migrateOnBoot) {
+      await migrate(adapter);
+      return;
+    }
+    const pending = await pendingMigrations(adapter);
+    if (pending.length > 0) {
+      logger.warn('Pending migrations; run "npm run migrate" to apply', {
+        pending: pending.length,
+      });
+    }
+  }
+
+  // Replay the journal into PostgreSQL and drop the entries replayed
+  async function syncJournal() {
+    if (!journal || journal.pending === 0) {
+      return;
+    }
+    const entries = journal.entries;
+    const startedAt = new Date().toISOString();
+    const result = await replayJournal(primary, entries, journal.ids);
+    await journal.compact(entries.length, result.ids);
+    await journal.recordConflicts(result.conflicts);
+    lastSync = {
+      started_at: startedAt,
+      finished_at: new Date().toISOString(),
+      applied: result.applied,
+      conflicts: result.conflicts.length,
+    };
+    logger.info("Replayed fallback writes into PostgreSQL", {
+      applied: result.applied,
+      conflicts: result.conflicts.length,
+    });
+    for (const { seq, op, user_id, reason, skipped } of result.conflicts) {
+      logger.warn("Fallback write not synced", {
+        seq,
+        op,
+        user_id,
+        reason,
+        skipped,
+        conflicts_file: journal.conflictsPath,
+      });
+    }
+  }
+
+  // Writes keep arriving in fallback mode while replaying, so replay until
+  // none are left; the caller switches to PostgreSQL right after, before any
+  // more can land
+  async function syncAll() {
+    do {
+      await syncJournal();
+    } while (journal.pending > 0);
+  }
+
+  // Serve from memory, starting with the writes journaled by an earlier run
+  async function enterFallback(message, error) {
+    recordError(error);
+    if (options.fallback === false) {
+      logger.error(`${message}; fallback is off (DB_FALLBACK=off)`, { error });
+      throw error;
+    }
+    logger.error(`${message}; falling back to in-memory storage`, { error });
+    const memory = createMemoryRepository();
+    await memory.init();
+    await migrate(memory);
+    journal.restore(memory.state);
+    active = createJournaledRepository(memory, journal);
+    fallbackMode = true;
+    scheduleReconnect();
+  }
+
+  // While in fallback mode, retry PostgreSQL reconnectInterval after each
+  // failed attempt and switch back to it once it answers
+  function scheduleReconnect() {
+    reconnectTimer = setTimeout(reconnect, options.reconnectInterval);
+    reconnectTimer.unref();
+  }
+
+  async function reconnect() {
+    try {
+      await primary.init();
+      await prepare(primary);
+      await syncAll();
+    } catch (error) {
+      recordError(error);
+      logger.warn("Reconnecting to PostgreSQL failed", { error });
+      scheduleReconnect();
+      return;
+    }
+    reconnectTimer = null;
+    active = primary;
+    fallbackMode = false;
+    logger.info("Reconnected to PostgreSQL; left fallback mode");
+    // Requests under way may still have journaled a write
+    await finishSync();
+    for (const listener of reconnectListeners) {
+      try {
+        await listener();
+      } catch (error) {
+        logger.error("Error after reconnecting", { error });
+      }
+    }
+  }
+
+  // Replay what is left of the journal after leaving fallback mode. If that
+  // fails, try again reconnectInterval later, doubling the wait after each
+  // failure up to MAX_SYNC_RETRY_MS; the writes stay pending meanwhile.
+  async function finishSync() {
+    syncRetryTimer = null;
+    syncRetryAt = null;
+    try {
+      await syncJournal();
+      await journal.reset();
+    } catch (error) {
+      lastSyncError = {
+        code: error.code || null,
+        at: new Date().toISOString(),
+      };
+      syncRetryDelay = Math.min(
+        syncRetryDelay * 2 || options.reconnectInterval,
+        MAX_SYNC_RETRY_MS
+      );
+      syncRetryAt = new Date(Date.now() + syncRetryDelay).toISOString();
+      logger.error("Error syncing the fallback journal", {
+        error,
+        pending: journal.pending,
+        retry_in_ms: syncRetryDelay,
+      });
+      syncRetryTimer = setTimeout(finishSync, syncRetryDelay);
+      syncRetryTimer.unref();
+      return;
+    }
+    syncRetryDelay = 0;
+    lastSyncError = null;
+  }
+
+  const repository = {
+    get backend() {
+      return active.backend;
+    },
+
+    get label() {
+      return fallbackMode ? `${active.label} (Fallback)` : active.label;
+    },
+
+    get fallbackMode() {
+      return fallbackMode;
+    },
+
+    // True once init() has finished (in fallback mode or not)
+    get initialized() {
+      return initialized;
+    },
+
+    // Connection counts of the PostgreSQL pool in use, or null
+    poolStats() {
+      const { pool } = active;
+      return pool
+        ? {
+            total: pool.totalCount,
+            idle: pool.idleCount,
+            waiting: pool.waitingCount,
+          }
+        : null;
+    },
+
+    // Writes journaled in fallback mode and not yet replayed into
+    // PostgreSQL, the outcome of the last replay and, if replaying failed
+    // after leaving fallback mode, the error and when it is retried
+    syncStatus() {
+      return {
+        enabled: Boolean(journal),
+        pending: journal ? journal.pending : 0,
+        last_sync: lastSync,
+        last_error: lastSyncError,
+        retry_at: syncRetryAt,
+      };
+    },
+
+    // Run `listener` after leaving fallback mode, e.g. to set up data that
+    // was only created in memory
+    onReconnect(listener) {
+      reconnectListeners.push(listener);
+    },
+
+    // Check the configured storage answers; never throws. `connected` is
+    // false when it does not, with the error's code in `last_error`, and
+    // always in fallback mode: PostgreSQL is unreachable then (reconnecting
+    // leaves fallback mode), and is not pinged again here.
+    async checkHealth() {
+      const start = process.hrtime.bigint();
+      let connected = !fallbackMode;
+      if (connected) {
+        try {
+          await active.ping();
+        } catch (error) {
+          connected = false;
+          recordError(error);
+        }
+      }
+      return {
+        connected,
+        type: repository.label,
+        backend: active.backend,
+        configured: primary.backend,
+        fallback: fallbackMode,
+        latency_ms: fallbackMode
+          ? null
+          : Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+        pool: repository.poolStats(),
+        last_error: lastError,
+        pending_sync: journal ? journal.pending : 0,
+        checked_at: new Date().toISOString(),
+      };
+    },
+
+    async init() {
+      if (!journal) {
+        await primary.init();
+        await prepare(primary);
+        initialized = true;
+        return;
+      }
+      await journal.load();
+      try {
+        await primary.init();
+      } catch (error) {
+        // Fallback to in-memory storage if database connection fails
+        await enterFallback("Database initialization failed", error);
+        initialized = true;
+        return;
+      }
+      await prepare(primary);
+      try {
+        await syncAll();
+        await journal.reset();
+      } catch (error) {
+        // The journal is kept and replayed again once reconnected
+        await enterFallback("Replaying the fallback journal failed", error);
+      }
+      initialized = true;
+    },
+
+    async close() {
+      clearTimeout(reconnectTimer);
+      clearTimeout(syncRetryTimer);
+      if (journal) {
+        await journal.close();
+      }
+      await primary.close();
+    },
+  };
+
+  for (const method of METHODS) {
+    repository[method] = (...args) => active[method](...args);
+  }
+
+  return repository;
+}
+
+module.exports = {
+  MAX_ID,
+  createAdapter,
+  createUserRepository,
+  parseId,
+};
@@ -0,0 +1,394 @@
+// Fallback write journal
+//
+// While the repository runs on the in-memory fallback, user changes are
+// appended to a local file, one JSON object per line, so they survive a
+// restart and can be replayed into PostgreSQL once it is reachable again:
+//
+//   {"seq":1,"at":"...","op":"create","user":{"id":1,...}}
+//   {"seq":2,"at":"...","op":"setPassword","userId":1,"passwordHash":"..."}
+//   {"seq":3,"at":"...","op":"audit","entry":{"action":"create",...}}
+//
+// Ids in the journal are in-memory ids. Replaying creates each user in
+// PostgreSQL, which hands out its own id, and later entries for that user
+// are mapped to it. Once part of the journal is synced, the file starts with
+// an {"op":"ids"} line holding that mapping, since the remaining entries may
+// still refer to synced users.
+//
+// Only users, passwords and the audit log are journaled; API keys, webhooks,
+// idempotency keys and rate limit counters created in fallback mode are not
+// carried over.
+
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("../logger");
+
+const USER_FIELDS = ["name", "email", "status", "role", "metadata"];
+
+// How each journaled write is recorded, from its arguments and result;
+// writes that changed nothing are not recorded
+const JOURNALED = {
+  create: (args, user) => ({ op: "create", user }),
+  update: (args, user) => user && { op: "update", user },
+  remove: (args, user) => user && { op: "remove", user },
+  restore: (args, user) => user && { op: "restore", user },
+  purge: ([id], purged) => purged && { op: "purge", id },
+  setPassword: ([userId, passwordHash]) => ({
+    op: "setPassword",
+    userId,
+    passwordHash,
+  }),
+  recordAudit: ([entry]) => ({ op: "audit", entry }),
+};
+
+function userFields(user) {
+  return Object.fromEntries(USER_FIELDS.map((field) => [field, user[field]]));
+}
+
+// The in-memory user an entry is about
+function entryUserId(entry) {
+  switch (entry.op) {
+    case "purge":
+      return entry.id;
+    case "setPassword":
+      return entry.userId;
+    case "audit":
+      return entry.entry.userId;
+    default:
+      return entry.user.id;
+  }
+}
+
+function createJournal({ filePath }) {
+  const conflictsPath = filePath.replace(/(\.jsonl)?$/, ".conflicts.jsonl");
+  let entries = [];
+  // In-memory id -> PostgreSQL id of users already synced
+  let ids = {};
+  let nextSeq = 1;
+  let pendingWrite = Promise.resolve();
+
+  function write(fn) {
+    pendingWrite = pendingWrite.then(fn);
+    return pendingWrite;
+  }
+
+  function lines(records) {
+    return records.map((record) => `${JSON.stringify(record)}\n`).join("");
+  }
+
+  // Write to a temp file and rename so a crash never leaves half a file
+  async function rewrite() {
+    const header = Object.keys(ids).length > 0 ? [{ op: "ids", ids }] : [];
+    if (header.length === 0 && entries.length === 0) {
+      await fs.promises.rm(filePath, { force: true });
+      return;
+    }
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, lines([...header, ...entries]));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  return {
+    filePath,
+    conflictsPath,
+
+    get pending() {
+      return entries.length;
+    },
+
+    get entries() {
+      return [...entries];
+    },
+
+    get ids() {
+      return { ...ids };
+    },
+
+    // Read writes left from an earlier run. A crash while appending can
+    // leave the last line cut short; it is dropped.
+    async load() {
+      let text;
+      try {
+        text = await fs.promises.readFile(filePath, "utf8");
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return;
+        }
+        throw error;
+      }
+      const rows = text.split("\n").filter(Boolean);
+      rows.forEach((row, index) => {
+        let record;
+        try {
+          record = JSON.parse(row);
+        } catch (error) {
+          if (index < rows.length - 1) {
+            throw error;
+          }
+          logger.warn("Dropped an incomplete fallback journal line", {
+            journal: filePath,
+          });
+          return;
+        }
+        if (record.op === "ids") {
+          ids = record.ids;
+        } else {
+          entries.push(record);
+        }
+      });
+      nextSeq = entries.length > 0 ? entries[entries.length - 1].seq + 1 : 1;
+    },
+
+    async append(records) {
+      if (records.length === 0) {
+        return;
+      }
+      const at = new Date().toISOString();
+      const numbered = records.map((record) => ({
+        seq: nextSeq++,
+        at,
+        ...record,
+      }));
+      entries.push(...numbered);
+      await write(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(filePath, lines(numbered));
+      });
+    },
+
+    // Drop the first `count` entries once they are synced, keeping the id
+    // mapping for the entries after them
+    async compact(count, syncedIds) {
+      entries = entries.slice(count);
+      ids = syncedIds;
+      await write(rewrite);
+    },
+
+    // Forget the id mapping once the in-memory users are gone (after
+    // leaving fallback mode); entries not yet synced are kept
+    async reset() {
+      ids = {};
+      await write(rewrite);
+    },
+
+    // Wait for journal writes under way
+    async close() {
+      await pendingWrite;
+    },
+
+    // Keep conflicting entries for review; they are not retried
+    async recordConflicts(conflicts) {
+      if (conflicts.length === 0) {
+        return;
+      }
+      await fs.promises.mkdir(path.dirname(conflictsPath), { recursive: true });
+      await fs.promises.appendFile(conflictsPath, lines(conflicts));
+    },
+
+    // Rebuild in-memory state from the journal after a restart in fallback
+    // mode. Ids this journal already used are never handed out again, so
+    // entries keep referring to the right users.
+    restore(state) {
+      for (const entry of entries) {
+        const id = entryUserId(entry);
+        switch (entry.op) {
+          case "purge":
+            state.users = state.users.filter((user) => user.id !== id);
+            state.credentials = state.credentials.filter(
+              (credential) => credential.user_id !== id
+            );
+            break;
+          case "setPassword":
+            state.credentials = state.credentials.filter(
+              (credential) => credential.user_id !== id
+            );
+            state.credentials.push({
+              user_id: id,
+              password_hash: entry.passwordHash,
+              updated_at: entry.at,
+            });
+            break;
+          case "audit":
+            state.audit.push({
+              id: state.nextAuditId++,
+              action: entry.entry.action,
+              user_id: entry.entry.userId,
+              actor_id: entry.entry.actorId,
+              actor_email: entry.entry.actorEmail,
+              request_id: entry.entry.requestId,
+              before: entry.entry.before,
+              after: entry.entry.after,
+              created_at: entry.at,
+            });
+            break;
+          default:
+            state.users = state.users.filter((user) => user.id !== id);
+            state.users.push(entry.user);
+        }
+      }
+      const used = [
+        ...Object.keys(ids).map(Number),
+        ...entries.map(entryUserId),
+      ];
+      // A loop, as long journals outgrow Math.max(...used)'s argument limit
+      for (const id of used) {
+        state.nextId = Math.max(state.nextId, id + 1);
+      }
+    },
+  };
+}
+
+// The in-memory adapter with its user writes journaled. Writes inside a
+// transaction are journaled together once it commits.
+function createJournaledRepository(memory, journal) {
+  function journaled(record) {
+    const repository = { ...memory };
+    for (const [method, toEntry] of Object.entries(JOURNALED)) {
+      repository[method] = async (...args) => {
+        const result = await memory[method](...args);
+        const entry = toEntry(args, result);
+        if (entry) {
+          await record(entry);
+        }
+        return result;
+      };
+    }
+    return repository;
+  }
+
+  const repository = journaled((entry) => journal.append([entry]));
+  repository.transaction = async (fn) => {
+    const buffered = [];
+    const result = await memory.transaction(() =>
+      fn(journaled(async (entry) => buffered.push(entry)))
+    );
+    await journal.append(buffered);
+    return result;
+  };
+  return repository;
+}
+
+// Replay journal `entries` into `target` (the PostgreSQL repository) in one
+// transaction, starting from the id mapping `ids`. Returns the number of
+// writes applied, the conflicts and the updated mapping; if anything else
+// fails, nothing is applied.
+//
+// A created user whose email is already taken in PostgreSQL is the same
+// user if name, role and status match too (the ADMIN_EMAIL account, say)
+// and is mapped to it; otherwise it is a conflict, and later entries for it
+// are skipped and counted in the conflict's `skipped`. Any other entry,
+// audit entries included, about a user the journal never created is an
+// `unknown_user` conflict.
+async function replayJournal(target, entries, ids) {
+  const mapped = { ...ids };
+  const conflicts = [];
+  const unsynced = new Map();
+  let applied = 0;
+
+  function conflict(entry, reason, details = {}) {
+    const record = {
+      seq: entry.seq,
+      op: entry.op,
+      user_id: entryUserId(entry),
+      reason,
+      ...details,
+      skipped: 0,
+      entry,
+    };
+    conflicts.push(record);
+    unsynced.set(record.user_id, record);
+  }
+
+  // Another user already has `email`
+  async function emailTaken(tx, email, exceptId) {
+    const existing = await tx.findByEmail(email, { includeDeleted: true });
+    return existing && existing.id !== exceptId ? existing : null;
+  }
+
+  // In-memory ids mean nothing in PostgreSQL, so ids of users the journal
+  // never created (an actor signed in before the fallback, say) become null
+  const mapId = (id) =>
+    id === null || mapped[id] === undefined ? null : mapped[id];
+  const mapUser = (user) => user && { ...user, id: mapId(user.id) };
+
+  await target.transaction(async (tx) => {
+    for (const entry of entries) {
+      const id = entryUserId(entry);
+      if (unsynced.has(id)) {
+        unsynced.get(id).skipped++;
+        continue;
+      }
+
+      if (entry.op === "create") {
+        const existing = await emailTaken(tx, entry.user.email);
+        if (!existing) {
+          mapped[id] = (await tx.create(userFields(entry.user))).id;
+        } else if (
+          !existing.deleted_at &&
+          ["name", "role", "status"].every(
+            (field) => existing[field] === entry.user[field]
+          )
+        ) {
+          mapped[id] = existing.id;
+        } else {
+          conflict(entry, "email_taken", { email: entry.user.email });
+          continue;
+        }
+        applied++;
+        continue;
+      }
+
+      const targetId = mapped[id];
+      if (targetId === undefined) {
+        conflict(entry, "unknown_user");
+        continue;
+      }
+
+      if (entry.op === "audit") {
+        const { actorId, before, after } = entry.entry;
+        await tx.recordAudit({
+          ...entry.entry,
+          userId: targetId,
+          actorId: mapId(actorId),
+          before: mapUser(before),
+          after: mapUser(after),
+        });
+        applied++;
+        continue;
+      }
+      let result = true;
+      switch (entry.op) {
+        case "update":
+          if (await emailTaken(tx, entry.user.email, targetId)) {
+            conflict(entry, "email_taken", { email: entry.user.email });
+            continue;
+          }
+          result = await tx.update(targetId, userFields(entry.user));
+          break;
+        case "remove":
+          result = await tx.remove(targetId);
+          break;
+        case "restore":
+          result = await tx.restore(targetId);
+          break;
+        case "purge":
+          // Already gone is as good as purged
+          await tx.purge(targetId);
+          break;
+        case "setPassword":
+          await tx.setPassword(targetId, entry.passwordHash);
+          break;
+        default:
+          throw new Error(`Unknown journal entry: ${entry.op}`);
+      }
+      if (!result) {
+        conflict(entry, "user_not_found");
+        continue;
+      }
+      applied++;
+    }
+  });
+
+  return { applied, conflicts, ids: mapped };
+}
+
+module.exports = { createJournal, createJournaledRepository, replayJournal };
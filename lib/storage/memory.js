@@ -0,0 +1,565 @@
+// In-memory user repository
+//
+// Keeps every record in process memory. Used directly when
+// STORAGE_BACKEND=memory and as the fallback when PostgreSQL is unreachable.
+// The file adapter builds on top of this one and persists `state`.
+
+const { AsyncLocalStorage } = require("async_hooks");
+const { sortValue } = require("./query");
+const { roundScore, searchScore } = require("./search");
+const { uniqueViolation, versionConflict } = require("./errors");
+
+// Compare [value, id] pairs; id breaks ties so ordering matches PostgreSQL.
+// Strings compare by character code, like PostgreSQL's "C" collation.
+function compareKeys(a, b) {
+  if (a[0] < b[0]) return -1;
+  if (a[0] > b[0]) return 1;
+  return a[1] - b[1];
+}
+
+function matchesFilters(user, filters) {
+  const name = user.name.toLowerCase();
+  const createdAt = new Date(user.created_at);
+  return (
+    Boolean(user.deleted_at) === Boolean(filters.deleted) &&
+    (!filters.nameContains || name.includes(filters.nameContains)) &&
+    (!filters.namePrefix || name.startsWith(filters.namePrefix)) &&
+    (!filters.status || user.status === filters.status) &&
+    (!filters.role || user.role === filters.role) &&
+    (!filters.createdFrom || createdAt >= filters.createdFrom) &&
+    (!filters.createdTo || createdAt <= filters.createdTo)
+  );
+}
+
+// The undo record of the transaction a write runs in (see touch)
+const transactionUndo = new AsyncLocalStorage();
+
+// API keys are returned without their hash
+function publicApiKey({ key_hash, ...apiKey }) {
+  return { ...apiKey };
+}
+
+function createMemoryRepository(initialState) {
+  // Tables are created by the memory half of each migration
+  const state = initialState || { schemaMigrations: [] };
+
+  // Settles once the last transaction started has finished
+  let transactions = Promise.resolve();
+
+  // Callers get copies so stored records only change through the repository
+  const copy = (user) => structuredClone(user);
+
+  // Before a write made inside a transaction, keep what it changes as it
+  // was: a copy of each collection or id counter the first time one is
+  // written, or the length of the append-only audit log. Writes from
+  // outside the transaction (run while it awaits) are not recorded, so a
+  // rollback keeps them unless they changed a collection it changed too.
+  function touch(...keys) {
+    const undo = transactionUndo.getStore();
+    for (const key of keys) {
+      if (undo && !undo.has(key)) {
+        undo.set(
+          key,
+          key === "audit" ? state.audit.length : structuredClone(state[key])
+        );
+      }
+    }
+  }
+
+  // Writes may be made conditional on the version the caller last read
+  function assertVersion(user, version) {
+    if (version !== undefined && user.version !== version) {
+      throw versionConflict(copy(user));
+    }
+  }
+
+  function assertEmailAvailable(email, exceptId) {
+    if (
+      email &&
+      state.users.some((u) => u.email === email && u.id !== exceptId)
+    ) {
+      throw uniqueViolation("email");
+    }
+  }
+
+  const repository = {
+    backend: "memory",
+    label: "In-Memory",
+    state,
+
+    async init() {},
+
+    async ping() {},
+
+    async appliedMigrations() {
+      return [...(state.schemaMigrations || [])];
+    },
+
+    async runMigration(migration, direction) {
+      migration.memory[direction](state);
+      const applied = (state.schemaMigrations || []).filter(
+        (version) => version !== migration.version
+      );
+      state.schemaMigrations =
+        direction === "up" ? [...applied, migration.version] : applied;
+    },
+
+    async list({ filters, sort, limit, offset, cursor }) {
+      const sign = sort.direction === "asc" ? 1 : -1;
+      const keyOf = (user) => [sortValue(user, sort.column), user.id];
+      const matching = state.users
+        .filter((user) => matchesFilters(user, filters))
+        .sort((a, b) => sign * compareKeys(keyOf(a), keyOf(b)));
+      const total = matching.length;
+
+      if (!cursor) {
+        return {
+          users: matching.slice(offset, offset + limit).map(copy),
+          total,
+          hasPrev: offset > 0,
+          hasNext: offset + limit < total,
+        };
+      }
+
+      const cursorKey = [cursor.value, cursor.id];
+      if (cursor.before) {
+        const rows = matching.filter(
+          (user) => sign * compareKeys(keyOf(user), cursorKey) < 0
+        );
+        return {
+          users: rows.slice(-limit).map(copy),
+          total,
+          hasPrev: rows.length > limit,
+          hasNext: true,
+        };
+      }
+      const rows = matching.filter(
+        (user) => sign * compareKeys(keyOf(user), cursorKey) > 0
+      );
+      return {
+        users: rows.slice(0, limit).map(copy),
+        total,
+        hasPrev: true,
+        hasNext: rows.length > limit,
+      };
+    },
+
+    // Ranked fuzzy search over live users; see ./search
+    async search({ text, limit }) {
+      return state.users
+        .filter((user) => !user.deleted_at)
+        .map((user) => ({ user, score: searchScore(user, text) }))
+        .filter((match) => match.score !== null)
+        .sort((a, b) => b.score - a.score || a.user.id - b.user.id)
+        .slice(0, limit)
+        .map(({ user, score }) => ({
+          ...copy(user),
+          score: roundScore(score),
+        }));
+    },
+
+    async get(id, { includeDeleted = false } = {}) {
+      const user = state.users.find(
+        (u) => u.id === id && (includeDeleted || !u.deleted_at)
+      );
+      return user ? copy(user) : null;
+    },
+
+    async create(fields) {
+      assertEmailAvailable(fields.email);
+      touch("users", "nextId");
+      const now = new Date().toISOString();
+      const user = {
+        id: state.nextId++,
+        ...copy(fields),
+        created_at: now,
+        updated_at: now,
+        deleted_at: null,
+        version: 1,
+      };
+      state.users.push(user);
+      return copy(user);
+    },
+
+    async update(id, fields, { version } = {}) {
+      const index = state.users.findIndex((u) => u.id === id && !u.deleted_at);
+      if (index === -1) {
+        return null;
+      }
+      assertVersion(state.users[index], version);
+      assertEmailAvailable(fields.email, id);
+      touch("users");
+      state.users[index] = {
+        ...state.users[index],
+        ...copy(fields),
+        updated_at: new Date().toISOString(),
+        version: state.users[index].version + 1,
+      };
+      return copy(state.users[index]);
+    },
+
+    async findByEmail(email, { includeDeleted = false } = {}) {
+      const user = state.users.find(
+        (u) => u.email === email && (includeDeleted || !u.deleted_at)
+      );
+      return user ? copy(user) : null;
+    },
+
+    // Soft delete: the user moves to the trash
+    async remove(id, { version } = {}) {
+      const user = state.users.find((u) => u.id === id && !u.deleted_at);
+      if (!user) {
+        return null;
+      }
+      assertVersion(user, version);
+      touch("users");
+      user.deleted_at = user.updated_at = new Date().toISOString();
+      user.version++;
+      return copy(user);
+    },
+
+    async restore(id) {
+      const user = state.users.find((u) => u.id === id && u.deleted_at);
+      if (!user) {
+        return null;
+      }
+      touch("users");
+      user.deleted_at = null;
+      user.updated_at = new Date().toISOString();
+      user.version++;
+      return copy(user);
+    },
+
+    // Hard delete, whether or not the user is in the trash
+    async purge(id, { version } = {}) {
+      const index = state.users.findIndex((u) => u.id === id);
+      if (index === -1) {
+        return false;
+      }
+      assertVersion(state.users[index], version);
+      touch("users", "credentials", "apiKeys");
+      state.users.splice(index, 1);
+      // Mirror ON DELETE CASCADE
+      state.credentials = state.credentials.filter((c) => c.user_id !== id);
+      state.apiKeys = state.apiKeys.filter((k) => k.user_id !== id);
+      return true;
+    },
+
+    async getPasswordHash(userId) {
+      const credential = state.credentials.find((c) => c.user_id === userId);
+      return credential ? credential.password_hash : null;
+    },
+
+    async setPassword(userId, passwordHash) {
+      touch("credentials");
+      state.credentials = state.credentials.filter((c) => c.user_id !== userId);
+      state.credentials.push({
+        user_id: userId,
+        password_hash: passwordHash,
+        updated_at: new Date().toISOString(),
+      });
+    },
+
+    async createApiKey({ userId, name, prefix, keyHash }) {
+      touch("apiKeys", "nextApiKeyId");
+      const apiKey = {
+        id: state.nextApiKeyId++,
+        user_id: userId,
+        name,
+        prefix,
+        key_hash: keyHash,
+        created_at: new Date().toISOString(),
+        last_used_at: null,
+        revoked_at: null,
+      };
+      state.apiKeys.push(apiKey);
+      return publicApiKey(apiKey);
+    },
+
+    async listApiKeys(userId) {
+      return state.apiKeys
+        .filter((k) => k.user_id === userId)
+        .sort((a, b) => b.id - a.id)
+        .map(publicApiKey);
+    },
+
+    async findApiKey(keyHash) {
+      const apiKey = state.apiKeys.find(
+        (k) => k.key_hash === keyHash && !k.revoked_at
+      );
+      return apiKey ? publicApiKey(apiKey) : null;
+    },
+
+    async touchApiKey(id) {
+      const apiKey = state.apiKeys.find((k) => k.id === id);
+      if (apiKey) {
+        touch("apiKeys");
+        apiKey.last_used_at = new Date().toISOString();
+      }
+    },
+
+    async revokeApiKey(id, userId) {
+      const apiKey = state.apiKeys.find(
+        (k) => k.id === id && k.user_id === userId && !k.revoked_at
+      );
+      if (!apiKey) {
+        return null;
+      }
+      touch("apiKeys");
+      apiKey.revoked_at = new Date().toISOString();
+      return publicApiKey(apiKey);
+    },
+
+    async count() {
+      return state.users.filter((u) => !u.deleted_at).length;
+    },
+
+    async recordAudit(entry) {
+      touch("audit", "nextAuditId");
+      const record = {
+        id: state.nextAuditId++,
+        action: entry.action,
+        user_id: entry.userId,
+        actor_id: entry.actorId,
+        actor_email: entry.actorEmail,
+        request_id: entry.requestId,
+        before: entry.before ? copy(entry.before) : null,
+        after: entry.after ? copy(entry.after) : null,
+        created_at: new Date().toISOString(),
+      };
+      state.audit.push(record);
+      return copy(record);
+    },
+
+    async listAudit({ filters, limit, offset }) {
+      const matching = state.audit
+        .filter((entry) => {
+          const createdAt = new Date(entry.created_at);
+          return (
+            (!filters.userId || entry.user_id === filters.userId) &&
+            (!filters.action || entry.action === filters.action) &&
+            (!filters.from || createdAt >= filters.from) &&
+            (!filters.to || createdAt <= filters.to)
+          );
+        })
+        .sort((a, b) => b.id - a.id);
+      return {
+        entries: matching.slice(offset, offset + limit).map(copy),
+        total: matching.length,
+      };
+    },
+
+    async createWebhook({ url, events, secret, active, createdBy }) {
+      touch("webhooks", "nextWebhookId");
+      const now = new Date().toISOString();
+      const webhook = {
+        id: state.nextWebhookId++,
+        url,
+        events: [...events],
+        secret,
+        active,
+        created_by: createdBy,
+        created_at: now,
+        updated_at: now,
+      };
+      state.webhooks.push(webhook);
+      return copy(webhook);
+    },
+
+    async listWebhooks() {
+      return state.webhooks.map(copy);
+    },
+
+    async getWebhook(id) {
+      const webhook = state.webhooks.find((w) => w.id === id);
+      return webhook ? copy(webhook) : null;
+    },
+
+    async updateWebhook(id, { url, events, active }) {
+      const webhook = state.webhooks.find((w) => w.id === id);
+      if (!webhook) {
+        return null;
+      }
+      touch("webhooks");
+      Object.assign(webhook, {
+        url,
+        events: [...events],
+        active,
+        updated_at: new Date().toISOString(),
+      });
+      return copy(webhook);
+    },
+
+    async deleteWebhook(id) {
+      const index = state.webhooks.findIndex((w) => w.id === id);
+      if (index === -1) {
+        return false;
+      }
+      touch("webhooks", "webhookDeliveries");
+      state.webhooks.splice(index, 1);
+      // Mirror ON DELETE CASCADE
+      state.webhookDeliveries = state.webhookDeliveries.filter(
+        (d) => d.webhook_id !== id
+      );
+      return true;
+    },
+
+    async recordWebhookDelivery(delivery) {
+      touch("webhookDeliveries", "nextWebhookDeliveryId");
+      const record = {
+        id: state.nextWebhookDeliveryId++,
+        webhook_id: delivery.webhookId,
+        event_id: delivery.eventId,
+        event: delivery.event,
+        attempt: delivery.attempt,
+        success: delivery.success,
+        response_status: delivery.responseStatus,
+        error: delivery.error,
+        duration_ms: delivery.durationMs,
+        next_retry_at: delivery.nextRetryAt
+          ? delivery.nextRetryAt.toISOString()
+          : null,
+        created_at: new Date().toISOString(),
+      };
+      state.webhookDeliveries.push(record);
+      return copy(record);
+    },
+
+    async listWebhookDeliveries({ webhookId, limit, offset }) {
+      const matching = state.webhookDeliveries
+        .filter((d) => d.webhook_id === webhookId)
+        .sort((a, b) => b.id - a.id);
+      return {
+        deliveries: matching.slice(offset, offset + limit).map(copy),
+        total: matching.length,
+      };
+    },
+
+    // Claim `key` for a new request, or return the record of the request
+    // that already holds it. Expired records are dropped first, and a claim
+    // whose request never finished (created before `staleBefore`) is taken
+    // over.
+    async claimIdempotencyKey({
+      userId,
+      key,
+      fingerprint,
+      now,
+      expiresAt,
+      staleBefore,
+    }) {
+      touch("idempotencyKeys");
+      state.idempotencyKeys = state.idempotencyKeys.filter(
+        (r) => new Date(r.expires_at) > now
+      );
+      const existing = state.idempotencyKeys.find(
+        (r) => r.user_id === userId && r.key === key
+      );
+      if (
+        existing &&
+        (existing.response_status !== null ||
+          new Date(existing.created_at) >= staleBefore)
+      ) {
+        return copy(existing);
+      }
+
+      state.idempotencyKeys = state.idempotencyKeys.filter(
+        (r) => r !== existing
+      );
+      state.idempotencyKeys.push({
+        user_id: userId,
+        key,
+        fingerprint,
+        response_status: null,
+        response_headers: null,
+        response_body: null,
+        created_at: now.toISOString(),
+        expires_at: expiresAt.toISOString(),
+      });
+      return null;
+    },
+
+    async saveIdempotentResponse({ userId, key, status, headers, body }) {
+      touch("idempotencyKeys");
+      const record = state.idempotencyKeys.find(
+        (r) => r.user_id === userId && r.key === key
+      );
+      if (record) {
+        Object.assign(record, {
+          response_status: status,
+          response_headers: copy(headers),
+          response_body: copy(body),
+        });
+      }
+    },
+
+    async releaseIdempotencyKey({ userId, key }) {
+      touch("idempotencyKeys");
+      state.idempotencyKeys = state.idempotencyKeys.filter(
+        (r) => !(r.user_id === userId && r.key === key)
+      );
+    },
+
+    // Count one request in `key`'s current window; returns the hits in it and
+    // in the window before. Expired windows are cleared when a new one starts.
+    async hitRateLimit({
+      key,
+      now,
+      windowStart,
+      previousWindowStart,
+      expiresAt,
+    }) {
+      const start = windowStart.toISOString();
+      touch("rateLimits");
+      let record = state.rateLimits.find(
+        (r) => r.key === key && r.window_start === start
+      );
+      if (!record) {
+        state.rateLimits = state.rateLimits.filter(
+          (r) => new Date(r.expires_at) > now
+        );
+        record = {
+          key,
+          window_start: start,
+          hits: 0,
+          expires_at: expiresAt.toISOString(),
+        };
+        state.rateLimits.push(record);
+      }
+      record.hits += 1;
+      const previous = state.rateLimits.find(
+        (r) =>
+          r.key === key && r.window_start === previousWindowStart.toISOString()
+      );
+      return { current: record.hits, previous: previous ? previous.hits : 0 };
+    },
+
+    // Run `fn` against this repository; on error everything it changed is
+    // put back (see touch). Transactions wait for each other, so a rollback
+    // never undoes another one's writes.
+    transaction(fn) {
+      const run = transactions.then(async () => {
+        const undo = new Map();
+        try {
+          return await transactionUndo.run(undo, () => fn(repository));
+        } catch (error) {
+          for (const [key, saved] of undo) {
+            if (key === "audit") {
+              state.audit.length = saved;
+            } else {
+              state[key] = saved;
+            }
+          }
+          throw error;
+        }
+      });
+      transactions = run.catch(() => {});
+      return run;
+    },
+
+    async close() {},
+  };
+
+  return repository;
+}
+
+module.exports = { createMemoryRepository };
@@ -0,0 +1,720 @@
+// PostgreSQL user repository
+
+const { Pool } = require("pg");
+const { logger } = require("../logger");
+const { SORT_COLUMNS } = require("./query");
+const { uniqueViolation, versionConflict } = require("./errors");
+const { PREFIX_BONUS, SUBSTRING_BONUS, roundScore } = require("./search");
+
+// SQL expression each sortable column is ordered by
+function sortExpression(column) {
+  switch (SORT_COLUMNS[column]) {
+    // COALESCE keeps NULLs (e.g. missing email) ordered like empty strings;
+    // the "C" collation orders by character code whatever the database's
+    // collation, as the memory adapter does
+    case "text":
+      return `COALESCE(LOWER(${column}), '') COLLATE "C"`;
+    // Cursors carry milliseconds (JavaScript dates) but columns hold
+    // microseconds; comparing at the cursor's precision, with id breaking
+    // ties, keeps rows in the same millisecond from being skipped or repeated
+    case "date":
+      return `date_trunc('milliseconds', ${column})`;
+    default:
+      return column;
+  }
+}
+
+// API keys are returned without their hash
+const API_KEY_COLUMNS =
+  "id, user_id, name, prefix, created_at, last_used_at, revoked_at";
+
+// Escape LIKE wildcards in user input
+function likePattern(value) {
+  return value.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+// Build the WHERE clause shared by the page query and the total count
+function buildFilters(filters, params) {
+  const clauses = [
+    filters.deleted ? "deleted_at IS NOT NULL" : "deleted_at IS NULL",
+  ];
+  if (filters.nameContains) {
+    params.push(`%${likePattern(filters.nameContains)}%`);
+    clauses.push(`LOWER(name) LIKE $${params.length}`);
+  }
+  if (filters.namePrefix) {
+    params.push(`${likePattern(filters.namePrefix)}%`);
+    clauses.push(`LOWER(name) LIKE $${params.length}`);
+  }
+  if (filters.status) {
+    params.push(filters.status);
+    clauses.push(`status = $${params.length}`);
+  }
+  if (filters.role) {
+    params.push(filters.role);
+    clauses.push(`role = $${params.length}`);
+  }
+  if (filters.createdFrom) {
+    params.push(filters.createdFrom);
+    clauses.push(`created_at >= $${params.length}`);
+  }
+  if (filters.createdTo) {
+    params.push(filters.createdTo);
+    clauses.push(`created_at <= $${params.length}`);
+  }
+  return clauses;
+}
+
+// Email is the only user-supplied unique column
+function translateError(error) {
+  if (error.code === "23505") {
+    return uniqueViolation("email");
+  }
+  return error;
+}
+
+// Audit rows use *_state columns; the API calls them before/after
+function toAuditEntry({ before_state, after_state, ...row }) {
+  return { ...row, before: before_state, after: after_state };
+}
+
+// Data access shared by the pool and transaction clients
+function createQueries(db) {
+  // Writes may be made conditional on the version the caller last read.
+  // When such a write matches no row, the user is either gone (null) or at
+  // another version (VERSION_CONFLICT).
+  function versionClause(version, params) {
+    if (version === undefined) {
+      return "";
+    }
+    params.push(version);
+    return `AND version = $${params.length}`;
+  }
+
+  async function missedWrite(id, version, { includeDeleted = false } = {}) {
+    if (version === undefined) {
+      return null;
+    }
+    const result = await db.query(
+      `SELECT * FROM users WHERE id = $1
+       ${includeDeleted ? "" : "AND deleted_at IS NULL"}`,
+      [id]
+    );
+    if (result.rows[0]) {
+      throw versionConflict(result.rows[0]);
+    }
+    return null;
+  }
+
+  return {
+    async list({ filters, sort, limit, offset, cursor }) {
+      const params = [];
+      const clauses = buildFilters(filters, params);
+      const where = `WHERE ${clauses.join(" AND ")}`;
+      const countResult = await db.query(
+        `SELECT COUNT(*) FROM users ${where}`,
+        params
+      );
+      const total = parseInt(countResult.rows[0].count);
+
+      const expression = sortExpression(sort.column);
+      // Paging backwards walks the index in the opposite direction
+      const ascending = (sort.direction === "asc") !== Boolean(cursor?.before);
+      const direction = ascending ? "ASC" : "DESC";
+
+      if (cursor) {
+        const value =
+          SORT_COLUMNS[sort.column] === "date"
+            ? new Date(cursor.value)
+            : cursor.value;
+        params.push(value, cursor.id);
+        const op = ascending ? ">" : "<";
+        const v = `$${params.length - 1}`;
+        const id = `$${params.length}`;
+        clauses.push(
+          `(${expression} ${op} ${v} OR (${expression} = ${v} AND id ${op} ${id}))`
+        );
+      }
+
+      params.push(limit + 1, cursor ? 0 : offset);
+      const result = await db.query(
+        `SELECT * FROM users
+         WHERE ${clauses.join(" AND ")}
+         ORDER BY ${expression} ${direction}, id ${direction}
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+      );
+
+      const hasMore = result.rows.length > limit;
+      const users = result.rows.slice(0, limit);
+      if (!cursor) {
+        return { users, total, hasPrev: offset > 0, hasNext: hasMore };
+      }
+      if (cursor.before) {
+        return {
+          users: users.reverse(),
+          total,
+          hasPrev: hasMore,
+          hasNext: true,
+        };
+      }
+      return { users, total, hasPrev: true, hasNext: hasMore };
+    },
+
+    // Ranked fuzzy search over live users; the % operator and LIKE both use
+    // the trigram indexes. The memory adapter mirrors this scoring.
+    async search({ text, limit }) {
+      const pattern = likePattern(text);
+      const result = await db.query(
+        `SELECT * FROM (
+           SELECT users.*,
+             similarity(LOWER(name), $1)::float AS name_similarity,
+             similarity(COALESCE(LOWER(email), ''), $1)::float
+               AS email_similarity,
+             CASE
+               WHEN LOWER(name) LIKE $2 OR LOWER(email) LIKE $2 THEN $4::float
+               WHEN LOWER(name) LIKE $3 OR LOWER(email) LIKE $3 THEN $5::float
+               ELSE 0
+             END AS bonus
+           FROM users
+           WHERE deleted_at IS NULL
+             AND (LOWER(name) % $1 OR LOWER(email) % $1
+                  OR LOWER(name) LIKE $3 OR LOWER(email) LIKE $3)
+         ) matches
+         ORDER BY
+           CASE WHEN name_similarity >= email_similarity
+             THEN name_similarity ELSE email_similarity END + bonus DESC,
+           id ASC
+         LIMIT $6`,
+        [
+          text,
+          `${pattern}%`,
+          `%${pattern}%`,
+          PREFIX_BONUS,
+          SUBSTRING_BONUS,
+          limit,
+        ]
+      );
+      return result.rows.map(
+        ({ name_similarity, email_similarity, bonus, ...user }) => ({
+          ...user,
+          score: roundScore(
+            Math.max(name_similarity, email_similarity) + Number(bonus)
+          ),
+        })
+      );
+    },
+
+    async get(id, { includeDeleted = false } = {}) {
+      const result = await db.query(
+        `SELECT * FROM users WHERE id = $1
+         ${includeDeleted ? "" : "AND deleted_at IS NULL"}`,
+        [id]
+      );
+      return result.rows[0] || null;
+    },
+
+    async create({ name, email, status, role, metadata }) {
+      try {
+        const result = await db.query(
+          `INSERT INTO users (name, email, status, role, metadata)
+           VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+          [name, email, status, role, JSON.stringify(metadata)]
+        );
+        return result.rows[0];
+      } catch (error) {
+        throw translateError(error);
+      }
+    },
+
+    async update(
+      id,
+      { name, email, status, role, metadata },
+      { version } = {}
+    ) {
+      const params = [name, email, status, role, JSON.stringify(metadata), id];
+      let result;
+      try {
+        result = await db.query(
+          `UPDATE users
+           SET name = $1, email = $2, status = $3, role = $4, metadata = $5,
+               updated_at = CURRENT_TIMESTAMP, version = version + 1
+           WHERE id = $6 AND deleted_at IS NULL
+           ${versionClause(version, params)} RETURNING *`,
+          params
+        );
+      } catch (error) {
+        throw translateError(error);
+      }
+      return result.rows[0] || missedWrite(id, version);
+    },
+
+    async findByEmail(email, { includeDeleted = false } = {}) {
+      const result = await db.query(
+        `SELECT * FROM users WHERE email = $1
+         ${includeDeleted ? "" : "AND deleted_at IS NULL"}`,
+        [email]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Soft delete: the user moves to the trash
+    async remove(id, { version } = {}) {
+      const params = [id];
+      const result = await db.query(
+        `UPDATE users
+         SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+             version = version + 1
+         WHERE id = $1 AND deleted_at IS NULL
+         ${versionClause(version, params)} RETURNING *`,
+        params
+      );
+      return result.rows[0] || missedWrite(id, version);
+    },
+
+    async restore(id) {
+      const result = await db.query(
+        `UPDATE users
+         SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP,
+             version = version + 1
+         WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *`,
+        [id]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Hard delete, whether or not the user is in the trash
+    async purge(id, { version } = {}) {
+      const params = [id];
+      const result = await db.query(
+        `DELETE FROM users
+         WHERE id = $1 ${versionClause(version, params)} RETURNING id`,
+        params
+      );
+      if (result.rows.length > 0) {
+        return true;
+      }
+      await missedWrite(id, version, { includeDeleted: true });
+      return false;
+    },
+
+    async getPasswordHash(userId) {
+      const result = await db.query(
+        "SELECT password_hash FROM user_credentials WHERE user_id = $1",
+        [userId]
+      );
+      return result.rows[0] ? result.rows[0].password_hash : null;
+    },
+
+    async setPassword(userId, passwordHash) {
+      await db.query(
+        `INSERT INTO user_credentials (user_id, password_hash) VALUES ($1, $2)
+         ON CONFLICT (user_id)
+         DO UPDATE SET password_hash = $2, updated_at = CURRENT_TIMESTAMP`,
+        [userId, passwordHash]
+      );
+    },
+
+    async createApiKey({ userId, name, prefix, keyHash }) {
+      const result = await db.query(
+        `INSERT INTO api_keys (user_id, name, prefix, key_hash)
+         VALUES ($1, $2, $3, $4) RETURNING ${API_KEY_COLUMNS}`,
+        [userId, name, prefix, keyHash]
+      );
+      return result.rows[0];
+    },
+
+    async listApiKeys(userId) {
+      const result = await db.query(
+        `SELECT ${API_KEY_COLUMNS} FROM api_keys
+         WHERE user_id = $1 ORDER BY id DESC`,
+        [userId]
+      );
+      return result.rows;
+    },
+
+    async findApiKey(keyHash) {
+      const result = await db.query(
+        `SELECT ${API_KEY_COLUMNS} FROM api_keys
+         WHERE key_hash = $1 AND revoked_at IS NULL`,
+        [keyHash]
+      );
+      return result.rows[0] || null;
+    },
+
+    async touchApiKey(id) {
+      await db.query(
+        "UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1",
+        [id]
+      );
+    },
+
+    async revokeApiKey(id, userId) {
+      const result = await db.query(
+        `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+         RETURNING ${API_KEY_COLUMNS}`,
+        [id, userId]
+      );
+      return result.rows[0] || null;
+    },
+
+    async count() {
+      const result = await db.query(
+        "SELECT COUNT(*) FROM users WHERE deleted_at IS NULL"
+      );
+      return parseInt(result.rows[0].count);
+    },
+
+    async recordAudit(entry) {
+      const result = await db.query(
+        `INSERT INTO audit_log
+           (action, user_id, actor_id, actor_email, request_id,
+            before_state, after_state)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [
+          entry.action,
+          entry.userId,
+          entry.actorId,
+          entry.actorEmail,
+          entry.requestId,
+          entry.before && JSON.stringify(entry.before),
+          entry.after && JSON.stringify(entry.after),
+        ]
+      );
+      return toAuditEntry(result.rows[0]);
+    },
+
+    async listAudit({ filters, limit, offset }) {
+      const params = [];
+      const clauses = [];
+      if (filters.userId) {
+        params.push(filters.userId);
+        clauses.push(`user_id = $${params.length}`);
+      }
+      if (filters.action) {
+        params.push(filters.action);
+        clauses.push(`action = $${params.length}`);
+      }
+      if (filters.from) {
+        params.push(filters.from);
+        clauses.push(`created_at >= $${params.length}`);
+      }
+      if (filters.to) {
+        params.push(filters.to);
+        clauses.push(`created_at <= $${params.length}`);
+      }
+      const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+
+      const countResult = await db.query(
+        `SELECT COUNT(*) FROM audit_log ${where}`,
+        params
+      );
+      params.push(limit, offset);
+      const result = await db.query(
+        `SELECT * FROM audit_log ${where} ORDER BY id DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+      );
+      return {
+        entries: result.rows.map(toAuditEntry),
+        total: parseInt(countResult.rows[0].count),
+      };
+    },
+
+    // Claim `key` for a new request, or return the record of the request
+    // that already holds it. Expired records are dropped first, and a claim
+    // whose request never finished (created before `staleBefore`) is taken
+    // over.
+    async claimIdempotencyKey({
+      userId,
+      key,
+      fingerprint,
+      now,
+      expiresAt,
+      staleBefore,
+    }) {
+      await db.query("DELETE FROM idempotency_keys WHERE expires_at <= $1", [
+        now,
+      ]);
+      await db.query(
+        `DELETE FROM idempotency_keys
+         WHERE user_id = $1 AND key = $2
+           AND response_status IS NULL AND created_at < $3`,
+        [userId, key, staleBefore]
+      );
+      try {
+        await db.query(
+          `INSERT INTO idempotency_keys
+             (user_id, key, fingerprint, created_at, expires_at)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [userId, key, fingerprint, now, expiresAt]
+        );
+        return null;
+      } catch (error) {
+        if (error.code !== "23505") {
+          throw error;
+        }
+      }
+      const result = await db.query(
+        "SELECT * FROM idempotency_keys WHERE user_id = $1 AND key = $2",
+        [userId, key]
+      );
+      return result.rows[0] || null;
+    },
+
+    async saveIdempotentResponse({ userId, key, status, headers, body }) {
+      await db.query(
+        `UPDATE idempotency_keys
+         SET response_status = $3, response_headers = $4, response_body = $5
+         WHERE user_id = $1 AND key = $2`,
+        [userId, key, status, JSON.stringify(headers), JSON.stringify(body)]
+      );
+    },
+
+    async releaseIdempotencyKey({ userId, key }) {
+      await db.query(
+        "DELETE FROM idempotency_keys WHERE user_id = $1 AND key = $2",
+        [userId, key]
+      );
+    },
+
+    // Count one request in `key`'s current window; returns the hits in it and
+    // in the window before. Expired windows are cleared when a new one starts.
+    async hitRateLimit({
+      key,
+      now,
+      windowStart,
+      previousWindowStart,
+      expiresAt,
+    }) {
+      const result = await db.query(
+        `INSERT INTO rate_limits (key, window_start, hits, expires_at)
+         VALUES ($1, $2, 1, $3)
+         ON CONFLICT (key, window_start)
+         DO UPDATE SET hits = rate_limits.hits + 1
+         RETURNING hits`,
+        [key, windowStart, expiresAt]
+      );
+      const current = result.rows[0].hits;
+      if (current === 1) {
+        await db.query("DELETE FROM rate_limits WHERE expires_at <= $1", [now]);
+      }
+      const previous = await db.query(
+        "SELECT hits FROM rate_limits WHERE key = $1 AND window_start = $2",
+        [key, previousWindowStart]
+      );
+      return {
+        current,
+        previous: previous.rows[0] ? previous.rows[0].hits : 0,
+      };
+    },
+
+    async createWebhook({ url, events, secret, active, createdBy }) {
+      const result = await db.query(
+        `INSERT INTO webhooks (url, events, secret, active, created_by)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [url, JSON.stringify(events), secret, active, createdBy]
+      );
+      return result.rows[0];
+    },
+
+    async listWebhooks() {
+      const result = await db.query("SELECT * FROM webhooks ORDER BY id");
+      return result.rows;
+    },
+
+    async getWebhook(id) {
+      const result = await db.query("SELECT * FROM webhooks WHERE id = $1", [
+        id,
+      ]);
+      return result.rows[0] || null;
+    },
+
+    async updateWebhook(id, { url, events, active }) {
+      const result = await db.query(
+        `UPDATE webhooks
+         SET url = $1, events = $2, active = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4 RETURNING *`,
+        [url, JSON.stringify(events), active, id]
+      );
+      return result.rows[0] || null;
+    },
+
+    async deleteWebhook(id) {
+      const result = await db.query(
+        "DELETE FROM webhooks WHERE id = $1 RETURNING id",
+        [id]
+      );
+      return result.rows.length > 0;
+    },
+
+    async recordWebhookDelivery(delivery) {
+      const result = await db.query(
+        `INSERT INTO webhook_deliveries
+           (webhook_id, event_id, event, attempt, success, response_status,
+            error, duration_ms, next_retry_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+        [
+          delivery.webhookId,
+          delivery.eventId,
+          delivery.event,
+          delivery.attempt,
+          delivery.success,
+          delivery.responseStatus,
+          delivery.error,
+          delivery.durationMs,
+          delivery.nextRetryAt,
+        ]
+      );
+      return result.rows[0];
+    },
+
+    async listWebhookDeliveries({ webhookId, limit, offset }) {
+      const countResult = await db.query(
+        "SELECT COUNT(*) FROM webhook_deliveries WHERE webhook_id = $1",
+        [webhookId]
+      );
+      const result = await db.query(
+        `SELECT * FROM webhook_deliveries WHERE webhook_id = $1
+         ORDER BY id DESC LIMIT $2 OFFSET $3`,
+        [webhookId, limit, offset]
+      );
+      return {
+        deliveries: result.rows,
+        total: parseInt(countResult.rows[0].count),
+      };
+    },
+  };
+}
+
+// Give up on a connection attempt after this long, so an unreachable
+// server fails health checks instead of hanging them
+const CONNECT_TIMEOUT = 5000;
+
+// DATABASE_SSL modes: "require" encrypts without checking the server
+// certificate (managed hosts often use their own CA), "verify" checks it
+const SSL_MODES = {
+  disable: false,
+  require: { rejectUnauthorized: false },
+  verify: { rejectUnauthorized: true },
+};
+
+function createPostgresRepository({
+  connectionString,
+  ssl = "disable",
+  pool: {
+    max = 10,
+    connectionTimeout = CONNECT_TIMEOUT,
+    idleTimeout = 30000,
+    statementTimeout = 0,
+  } = {},
+}) {
+  const pool = new Pool({
+    connectionString,
+    ssl: SSL_MODES[ssl],
+    max,
+    connectionTimeoutMillis: connectionTimeout,
+    idleTimeoutMillis: idleTimeout,
+    // 0 leaves queries unbounded
+    ...(statementTimeout > 0 && { statement_timeout: statementTimeout }),
+  });
+  // An idle connection dropped by the server is replaced on the next query;
+  // without a listener the error would crash the process
+  pool.on("error", (error) => {
+    logger.warn("Idle PostgreSQL connection lost", { error });
+  });
+
+  // Created once per process, before the first migration lookup
+  let migrationsTable = null;
+  function ensureMigrationsTable() {
+    migrationsTable =
+      migrationsTable ||
+      pool
+        .query(
+          `CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(255) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )`
+        )
+        .catch((error) => {
+          migrationsTable = null;
+          throw error;
+        });
+    return migrationsTable;
+  }
+
+  return {
+    backend: "postgres",
+    label: "PostgreSQL",
+    pool,
+
+    async init() {
+      // Fail fast (and let the caller fall back) if the server is unreachable
+      await pool.query("SELECT 1");
+    },
+
+    async ping() {
+      await pool.query("SELECT 1");
+    },
+
+    async appliedMigrations() {
+      await ensureMigrationsTable();
+      const result = await pool.query(
+        "SELECT version FROM schema_migrations ORDER BY version"
+      );
+      return result.rows.map((row) => row.version);
+    },
+
+    // Run one migration and record it atomically
+    async runMigration(migration, direction) {
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        await client.query(migration[direction]);
+        if (direction === "up") {
+          await client.query(
+            "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+            [migration.version, migration.name]
+          );
+        } else {
+          await client.query(
+            "DELETE FROM schema_migrations WHERE version = $1",
+            [migration.version]
+          );
+        }
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    ...createQueries(pool),
+
+    // Run `fn` with a repository bound to one client inside BEGIN/COMMIT
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const result = await fn(createQueries(client));
+        await client.query("COMMIT");
+        return result;
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+}
+
+module.exports = { createPostgresRepository };
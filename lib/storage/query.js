@@ -0,0 +1,179 @@
+// List query parsing
+//
+// Turns GET /api/users query-string parameters into a normalized query that
+// every storage adapter understands, so paging, sorting and filtering behave
+// the same whichever backend is active.
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Sortable columns and how their values compare
+const SORT_COLUMNS = {
+  id: "number",
+  name: "text",
+  email: "text",
+  status: "text",
+  role: "text",
+  created_at: "date",
+  updated_at: "date",
+  deleted_at: "date",
+};
+
+function parsePositiveInt(value, name) {
+  if (!/^\d+$/.test(String(value)) || Number(value) < 1) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return Number(value);
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (typeof value !== "string" || isNaN(date.getTime())) {
+    throw new Error(`${name} must be a valid date`);
+  }
+  return date;
+}
+
+// Cursors are opaque to clients: base64url JSON of the row the page ended on
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+// Whether a cursor's `value` has the type of the sort column's values
+const CURSOR_VALUE_CHECKS = {
+  number: Number.isInteger,
+  text: (value) => typeof value === "string",
+  date: (value) => typeof value === "string" && !isNaN(Date.parse(value)),
+};
+
+// Problems with a cursor are reported as `invalid_cursor`
+function cursorError(message) {
+  return Object.assign(new Error(message), { problem: "invalid_cursor" });
+}
+
+function decodeCursor(value, sort) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(value), "base64url").toString());
+  } catch (error) {
+    throw cursorError("cursor is invalid");
+  }
+  if (
+    !cursor ||
+    cursor.sort !== sort.column ||
+    cursor.order !== sort.direction ||
+    !Number.isInteger(cursor.id)
+  ) {
+    throw cursorError("cursor does not match the requested sort");
+  }
+  if (!CURSOR_VALUE_CHECKS[SORT_COLUMNS[sort.column]](cursor.value)) {
+    throw cursorError("cursor is invalid");
+  }
+  return cursor;
+}
+
+// Value used for ordering; text sorts case-insensitively
+function sortValue(user, column) {
+  const value = user[column];
+  switch (SORT_COLUMNS[column]) {
+    case "text":
+      return value == null ? "" : String(value).toLowerCase();
+    case "date":
+      return new Date(value).toISOString();
+    default:
+      return value;
+  }
+}
+
+// Returns { query } on success or { error, problem } when a parameter is
+// invalid, `problem` being the code to answer with. With `trash` the query
+// covers soft-deleted users instead of live ones.
+function parseListQuery(params, { trash = false } = {}) {
+  try {
+    const limit =
+      params.limit === undefined
+        ? DEFAULT_LIMIT
+        : Math.min(parsePositiveInt(params.limit, "limit"), MAX_LIMIT);
+
+    // deleted_at is only set (and so only sortable) in the trash
+    const columns = Object.keys(SORT_COLUMNS).filter(
+      (column) => trash || column !== "deleted_at"
+    );
+    const column = params.sort || (trash ? "deleted_at" : "created_at");
+    if (!columns.includes(column)) {
+      throw new Error(`sort must be one of: ${columns.join(", ")}`);
+    }
+    const direction = (params.order || "desc").toLowerCase();
+    if (direction !== "asc" && direction !== "desc") {
+      throw new Error("order must be asc or desc");
+    }
+    const sort = { column, direction };
+
+    const filters = { deleted: trash };
+    if (params.name_contains) {
+      filters.nameContains = String(params.name_contains).toLowerCase();
+    }
+    if (params.name_prefix) {
+      filters.namePrefix = String(params.name_prefix).toLowerCase();
+    }
+    if (params.status) {
+      filters.status = String(params.status);
+    }
+    if (params.role) {
+      filters.role = String(params.role);
+    }
+    if (params.created_from) {
+      filters.createdFrom = parseDate(params.created_from, "created_from");
+    }
+    if (params.created_to) {
+      filters.createdTo = parseDate(params.created_to, "created_to");
+    }
+
+    if (params.cursor !== undefined && params.page !== undefined) {
+      throw new Error("use either cursor or page, not both");
+    }
+
+    const query = { limit, sort, filters, offset: 0, page: null, cursor: null };
+    if (params.cursor !== undefined) {
+      query.cursor = decodeCursor(params.cursor, sort);
+    } else {
+      query.page =
+        params.page === undefined ? 1 : parsePositiveInt(params.page, "page");
+      query.offset = (query.page - 1) * limit;
+    }
+
+    return { query };
+  } catch (error) {
+    return {
+      error: error.message,
+      problem: error.problem || "invalid_parameter",
+    };
+  }
+}
+
+// Cursors pointing past the last row and before the first row of a page
+function pageCursors(query, users) {
+  if (users.length === 0) {
+    return { next: null, prev: null };
+  }
+  const cursorFor = (user, before) => ({
+    sort: query.sort.column,
+    order: query.sort.direction,
+    value: sortValue(user, query.sort.column),
+    id: user.id,
+    before,
+  });
+  return {
+    next: encodeCursor(cursorFor(users[users.length - 1], false)),
+    prev: encodeCursor(cursorFor(users[0], true)),
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORT_COLUMNS,
+  parseListQuery,
+  pageCursors,
+  sortValue,
+};
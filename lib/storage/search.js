@@ -0,0 +1,165 @@
+// User search
+//
+// GET /api/users/search ranks users by trigram similarity of their name or
+// email to the query, the way PostgreSQL's pg_trgm extension does, plus a
+// bonus for literal prefix or substring matches. The PostgreSQL adapter does
+// this in SQL (backed by trigram indexes); the memory adapter uses the
+// JavaScript port below, so both backends return the same users in the same
+// order.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_QUERY_LENGTH = 100;
+
+// pg_trgm's default pg_trgm.similarity_threshold, used by the % operator
+const SIMILARITY_THRESHOLD = 0.3;
+const PREFIX_BONUS = 1;
+const SUBSTRING_BONUS = 0.5;
+
+// Returns { query } on success or { error } when a parameter is invalid
+function parseSearchQuery(params) {
+  const text = String(params.q || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+  if (!text) {
+    return { error: "q is required" };
+  }
+  if (text.length > MAX_QUERY_LENGTH) {
+    return { error: `q must be at most ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (params.limit !== undefined) {
+    if (!/^\d+$/.test(String(params.limit)) || Number(params.limit) < 1) {
+      return { error: "limit must be a positive integer" };
+    }
+    limit = Math.min(Number(params.limit), MAX_LIMIT);
+  }
+
+  return { query: { text, limit } };
+}
+
+// Words as pg_trgm sees them: runs of letters and digits
+function words(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// pg_trgm's trigram set: each word padded with two leading spaces and one
+// trailing space
+function trigrams(text) {
+  const set = new Set();
+  for (const word of words(text)) {
+    const padded = `  ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      set.add(padded.slice(i, i + 3));
+    }
+  }
+  return set;
+}
+
+// pg_trgm similarity(): shared trigrams over all distinct trigrams, as a
+// single-precision float like PostgreSQL's `real`
+function similarity(a, b) {
+  const left = trigrams(a);
+  const right = trigrams(b);
+  let shared = 0;
+  for (const trigram of left) {
+    if (right.has(trigram)) {
+      shared++;
+    }
+  }
+  const total = left.size + right.size - shared;
+  return total === 0 ? 0 : Math.fround(shared / total);
+}
+
+// Score of one user for a normalized query, or null when it does not match.
+// Mirrors the SQL in the PostgreSQL adapter.
+function searchScore(user, text) {
+  const name = user.name.toLowerCase();
+  const email = (user.email || "").toLowerCase();
+  const fuzzy = Math.max(similarity(name, text), similarity(email, text));
+
+  let bonus = 0;
+  if (name.startsWith(text) || email.startsWith(text)) {
+    bonus = PREFIX_BONUS;
+  } else if (name.includes(text) || email.includes(text)) {
+    bonus = SUBSTRING_BONUS;
+  }
+
+  return fuzzy >= SIMILARITY_THRESHOLD || bonus > 0 ? fuzzy + bonus : null;
+}
+
+// Scores are reported to three decimals
+function roundScore(score) {
+  return Math.round(score * 1000) / 1000;
+}
+
+// [start, end) ranges of `value` that match the query: literal occurrences
+// of each query term, or failing that the words of `value` similar to one
+// of the term's words
+function highlightRanges(value, text) {
+  if (!value) {
+    return [];
+  }
+  const lower = value.toLowerCase();
+  const ranges = [];
+
+  for (const term of text.split(" ")) {
+    let found = false;
+    for (
+      let at = lower.indexOf(term);
+      at !== -1;
+      at = lower.indexOf(term, at + term.length)
+    ) {
+      ranges.push([at, at + term.length]);
+      found = true;
+    }
+    if (found) {
+      continue;
+    }
+    for (const match of lower.matchAll(/[\p{L}\p{N}]+/gu)) {
+      if (
+        words(term).some(
+          (word) => similarity(match[0], word) >= SIMILARITY_THRESHOLD
+        )
+      ) {
+        ranges.push([match.index, match.index + match[0].length]);
+      }
+    }
+  }
+
+  // Sort and merge overlapping ranges
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
+    }
+  }
+  return merged;
+}
+
+// Highlights for the fields search looks at
+function highlightUser(user, text) {
+  return {
+    name: highlightRanges(user.name, text),
+    email: highlightRanges(user.email, text),
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  PREFIX_BONUS,
+  SIMILARITY_THRESHOLD,
+  SUBSTRING_BONUS,
+  highlightUser,
+  parseSearchQuery,
+  roundScore,
+  searchScore,
+  similarity,
+};
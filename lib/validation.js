@@ -0,0 +1,105 @@
+// User input validation
+//
+// Validates request bodies for user writes and returns either the cleaned
+// value or a map of field-level error messages.
+
+const USER_STATUSES = ["active", "suspended", "invited"];
+const USER_ROLES = ["admin", "editor", "viewer"];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_LENGTH = 255;
+const MAX_METADATA_BYTES = 10 * 1024;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Validate a full user body (create or replace); optional fields default.
+// `password` is only returned when given, so callers can hash and store it.
+function validateUser(body) {
+  const input = isPlainObject(body) ? body : {};
+  const value = {};
+  const errors = {};
+
+  // Name: required
+  const name = typeof input.name === "string" ? input.name.trim() : "";
+  if (!name) {
+    errors.name = "Name is required";
+  } else if (name.length > MAX_LENGTH) {
+    errors.name = `Name must be at most ${MAX_LENGTH} characters`;
+  } else {
+    value.name = name;
+  }
+
+  // Email: optional, stored lower-cased so uniqueness ignores case
+  if (input.email === undefined || input.email === null || input.email === "") {
+    value.email = null;
+  } else if (
+    typeof input.email !== "string" ||
+    !EMAIL_PATTERN.test(input.email.trim())
+  ) {
+    errors.email = "Email must be a valid email address";
+  } else if (input.email.trim().length > MAX_LENGTH) {
+    errors.email = `Email must be at most ${MAX_LENGTH} characters`;
+  } else {
+    value.email = input.email.trim().toLowerCase();
+  }
+
+  // Status
+  if (input.status === undefined) {
+    value.status = "active";
+  } else if (!USER_STATUSES.includes(input.status)) {
+    errors.status = `Status must be one of: ${USER_STATUSES.join(", ")}`;
+  } else {
+    value.status = input.status;
+  }
+
+  // Role
+  if (input.role === undefined) {
+    value.role = "viewer";
+  } else if (!USER_ROLES.includes(input.role)) {
+    errors.role = `Role must be one of: ${USER_ROLES.join(", ")}`;
+  } else {
+    value.role = input.role;
+  }
+
+  // Metadata: free-form JSON object
+  if (input.metadata === undefined || input.metadata === null) {
+    value.metadata = {};
+  } else if (!isPlainObject(input.metadata)) {
+    errors.metadata = "Metadata must be a JSON object";
+  } else if (
+    Buffer.byteLength(JSON.stringify(input.metadata)) > MAX_METADATA_BYTES
+  ) {
+    errors.metadata = `Metadata must be at most ${MAX_METADATA_BYTES} bytes`;
+  } else {
+    value.metadata = input.metadata;
+  }
+
+  // Password: optional; only present when setting or changing it
+  if (input.password !== undefined) {
+    if (
+      typeof input.password !== "string" ||
+      input.password.length < MIN_PASSWORD_LENGTH ||
+      input.password.length > MAX_PASSWORD_LENGTH
+    ) {
+      errors.password = `Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`;
+    } else {
+      value.password = input.password;
+    }
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { value };
+}
+
+module.exports = {
+  MAX_LENGTH,
+  MAX_METADATA_BYTES,
+  MAX_PASSWORD_LENGTH,
+  MIN_PASSWORD_LENGTH,
+  USER_ROLES,
+  USER_STATUSES,
+  validateUser,
+};
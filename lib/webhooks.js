@@ -0,0 +1,310 @@
+// Outgoing webhooks
+//
+// Subscriptions name a URL and the user events it wants. The dispatcher
+// listens to the event hub (so every change that reaches GET /api/events is
+// also delivered here) and POSTs each event to the matching subscriptions,
+// signed with the subscription's secret. Failed deliveries are retried with
+// exponential backoff and every attempt is written to the delivery log.
+// Delivery happens after the API response is under way and never fails it.
+
+const crypto = require("crypto");
+const { USER_EVENTS } = require("./events");
+const { logger } = require("./logger");
+
+const MAX_URL_LENGTH = 2048;
+const SECRET_PREFIX = "whsec_";
+const SIGNATURE_HEADER = "X-Webhook-Signature";
+
+// The wait before each retry doubles: 1s, 2s, 4s, 8s
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 1000;
+const DELIVERY_TIMEOUT = 10 * 1000;
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Validate a full subscription body (create or replace); `events` defaults
+// to every user event and `active` to true
+function validateWebhook(body) {
+  const input = isPlainObject(body) ? body : {};
+  const value = {};
+  const errors = {};
+
+  // URL: required, http or https
+  const url = typeof input.url === "string" ? input.url.trim() : "";
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    // Reported below
+  }
+  if (!url) {
+    errors.url = "URL is required";
+  } else if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+    errors.url = "URL must be an http or https URL";
+  } else if (url.length > MAX_URL_LENGTH) {
+    errors.url = `URL must be at most ${MAX_URL_LENGTH} characters`;
+  } else {
+    value.url = url;
+  }
+
+  // Events
+  if (input.events === undefined) {
+    value.events = [...USER_EVENTS];
+  } else if (
+    !Array.isArray(input.events) ||
+    input.events.length === 0 ||
+    !input.events.every((event) => USER_EVENTS.includes(event))
+  ) {
+    errors.events = `Events must be a non-empty list of: ${USER_EVENTS.join(", ")}`;
+  } else {
+    value.events = USER_EVENTS.filter((event) => input.events.includes(event));
+  }
+
+  // Active
+  if (input.active === undefined) {
+    value.active = true;
+  } else if (typeof input.active !== "boolean") {
+    errors.active = "Active must be true or false";
+  } else {
+    value.active = input.active;
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { value };
+}
+
+function generateWebhookSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(24).toString("hex");
+}
+
+// Subscriptions are returned without their secret
+function publicWebhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+// "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"; receivers
+// recompute the HMAC and should reject old timestamps to stop replays
+function signPayload(secret, body, timestamp) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Returns { query } on success or { error } when a parameter is invalid
+function parseDeliveryQuery(params) {
+  let limit = DEFAULT_LIMIT;
+  if (params.limit !== undefined) {
+    if (!/^\d+$/.test(String(params.limit)) || Number(params.limit) < 1) {
+      return { error: "limit must be a positive integer" };
+    }
+    limit = Math.min(Number(params.limit), MAX_LIMIT);
+  }
+
+  let page = 1;
+  if (params.page !== undefined) {
+    if (!/^\d+$/.test(String(params.page)) || Number(params.page) < 1) {
+      return { error: "page must be a positive integer" };
+    }
+    page = Number(params.page);
+  }
+
+  return { query: { limit, page, offset: (page - 1) * limit } };
+}
+
+// Why a delivery failed, from a fetch error
+function failureReason(error, timeout) {
+  if (error.name === "TimeoutError") {
+    return `Timed out after ${timeout} ms`;
+  }
+  return (
+    (error.cause && (error.cause.code || error.cause.message)) || error.message
+  );
+}
+
+// Deliver hub events to subscriptions. Retries are timers in this process,
+// so retries still pending at shutdown are dropped (they stay visible in the
+// delivery log with a next_retry_at); deliveries under way are waited for.
+function createWebhookDispatcher({
+  repository,
+  hub,
+  maxAttempts = MAX_ATTEMPTS,
+  retryBaseDelay = RETRY_BASE_DELAY,
+  timeout = DELIVERY_TIMEOUT,
+}) {
+  const timers = new Set();
+  const inFlight = new Set();
+  let closed = false;
+
+  // Keep track of `promise` until it settles, so close() can wait for it
+  function track(promise) {
+    inFlight.add(promise);
+    promise.finally(() => inFlight.delete(promise)).catch(() => {});
+    return promise;
+  }
+
+  function schedule(fn, delay) {
+    if (closed) {
+      return;
+    }
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      track(fn());
+    }, delay);
+    // Pending retries do not keep the process alive
+    timer.unref();
+    timers.add(timer);
+  }
+
+  // POST one event to one subscription and log the attempt. Returns the
+  // delivery log entry.
+  async function attempt(webhook, event, number) {
+    const body = JSON.stringify({
+      id: event.id,
+      type: event.type,
+      created_at: event.timestamp,
+      data: event.data,
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "user-management-api-webhooks",
+          "X-Webhook-Id": event.id,
+          "X-Webhook-Event": event.type,
+          "X-Webhook-Attempt": String(number),
+          [SIGNATURE_HEADER]: signPayload(webhook.secret, body, timestamp),
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeout),
+      });
+      responseStatus = response.status;
+      // The response body is not used
+      await response.arrayBuffer().catch(() => {});
+      if (!response.ok) {
+        error = `Receiver responded with ${response.status}`;
+      }
+    } catch (fetchError) {
+      error = failureReason(fetchError, timeout);
+    }
+
+    const retry = error !== null && number < maxAttempts;
+    const delay = retryBaseDelay * 2 ** (number - 1);
+    const delivery = await repository.recordWebhookDelivery({
+      webhookId: webhook.id,
+      eventId: event.id,
+      event: event.type,
+      attempt: number,
+      success: error === null,
+      responseStatus,
+      error,
+      durationMs: Date.now() - started,
+      nextRetryAt: retry ? new Date(Date.now() + delay) : null,
+    });
+
+    if (retry) {
+      schedule(() => retryDelivery(webhook.id, event, number + 1), delay);
+    }
+    return delivery;
+  }
+
+  // Retries use the subscription as it is now: a deleted or disabled
+  // subscription stops retrying, a changed URL is picked up
+  async function retryDelivery(webhookId, event, number) {
+    try {
+      const webhook = await repository.getWebhook(webhookId);
+      if (webhook && webhook.active) {
+        await attempt(webhook, event, number);
+      }
+    } catch (error) {
+      logger.error("Error delivering webhook", {
+        webhook_id: webhookId,
+        event_id: event.id,
+        error,
+      });
+    }
+  }
+
+  async function dispatch(event) {
+    const webhooks = await repository.listWebhooks();
+    await Promise.all(
+      webhooks
+        .filter(
+          (webhook) => webhook.active && webhook.events.includes(event.type)
+        )
+        .map((webhook) =>
+          attempt(webhook, event, 1).catch((error) =>
+            logger.error("Error delivering webhook", {
+              webhook_id: webhook.id,
+              event_id: event.id,
+              error,
+            })
+          )
+        )
+    );
+  }
+
+  const unsubscribe = hub.subscribe((event) => {
+    track(
+      dispatch(event).catch((error) =>
+        logger.error("Error dispatching webhooks", {
+          event_id: event.id,
+          error,
+        })
+      )
+    );
+  });
+
+  return {
+    // Send a webhook.ping event to one subscription, whatever its filter
+    // and active flag, and return the first attempt's log entry. Failed
+    // pings are retried like any other delivery.
+    ping(webhook) {
+      return attempt(
+        webhook,
+        {
+          id: `ping-${crypto.randomUUID()}`,
+          type: "webhook.ping",
+          data: { webhook: publicWebhook(webhook) },
+          timestamp: new Date().toISOString(),
+        },
+        1
+      );
+    },
+
+    // Stop listening, drop pending retries and wait for deliveries under
+    // way (each is bounded by the delivery timeout)
+    async close() {
+      closed = true;
+      unsubscribe();
+      for (const timer of timers) {
+        clearTimeout(timer);
+      }
+      timers.clear();
+      await Promise.allSettled([...inFlight]);
+    },
+  };
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  SIGNATURE_HEADER,
+  createWebhookDispatcher,
+  generateWebhookSecret,
+  parseDeliveryQuery,
+  publicWebhook,
+  signPayload,
+  validateWebhook,
+};
@@ -0,0 +1,24 @@
+// Initial users table
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+
+  down: `DROP TABLE IF EXISTS users`,
+
+  memory: {
+    up(state) {
+      state.users = state.users || [];
+      state.nextId = state.nextId || 1;
+    },
+    down(state) {
+      delete state.users;
+      delete state.nextId;
+    },
+  },
+};
@@ -0,0 +1,41 @@
+// Email, status, role, metadata and updated_at on users
+
+module.exports = {
+  up: `
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS email VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'active',
+      ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+      ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+    CREATE UNIQUE INDEX IF NOT EXISTS users_email_key ON users (email);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS users_email_key;
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS email,
+      DROP COLUMN IF EXISTS status,
+      DROP COLUMN IF EXISTS role,
+      DROP COLUMN IF EXISTS metadata,
+      DROP COLUMN IF EXISTS updated_at;
+  `,
+
+  memory: {
+    up(state) {
+      state.users = state.users.map((user) => ({
+        email: null,
+        status: "active",
+        role: "viewer",
+        metadata: {},
+        updated_at: user.created_at,
+        ...user,
+      }));
+    },
+    down(state) {
+      state.users = state.users.map(
+        ({ email, status, role, metadata, updated_at, ...user }) => user
+      );
+    },
+  },
+};
@@ -0,0 +1,39 @@
+// Login passwords and API keys
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS user_credentials (
+      user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+      password_hash VARCHAR(255) NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      prefix VARCHAR(16) NOT NULL,
+      key_hash VARCHAR(64) NOT NULL UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP,
+      revoked_at TIMESTAMP
+    );
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS api_keys;
+    DROP TABLE IF EXISTS user_credentials;
+  `,
+
+  memory: {
+    up(state) {
+      state.credentials = state.credentials || [];
+      state.apiKeys = state.apiKeys || [];
+      state.nextApiKeyId = state.nextApiKeyId || 1;
+    },
+    down(state) {
+      delete state.credentials;
+      delete state.apiKeys;
+      delete state.nextApiKeyId;
+    },
+  },
+};
@@ -0,0 +1,32 @@
+// Append-only audit trail of user mutations
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id SERIAL PRIMARY KEY,
+      action VARCHAR(20) NOT NULL,
+      user_id INTEGER NOT NULL,
+      actor_id INTEGER,
+      actor_email VARCHAR(255),
+      request_id VARCHAR(64),
+      before_state JSONB,
+      after_state JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS audit_log_user_id_idx ON audit_log (user_id);
+    CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log (created_at);
+  `,
+
+  down: `DROP TABLE IF EXISTS audit_log`,
+
+  memory: {
+    up(state) {
+      state.audit = state.audit || [];
+      state.nextAuditId = state.nextAuditId || 1;
+    },
+    down(state) {
+      delete state.audit;
+      delete state.nextAuditId;
+    },
+  },
+};
@@ -0,0 +1,23 @@
+// Soft delete marker on users
+
+module.exports = {
+  up: `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+    CREATE INDEX IF NOT EXISTS users_deleted_at_idx ON users (deleted_at);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS users_deleted_at_idx;
+    ALTER TABLE users DROP COLUMN IF EXISTS deleted_at;
+  `,
+
+  memory: {
+    up(state) {
+      state.users = state.users.map((user) => ({ deleted_at: null, ...user }));
+    },
+    down(state) {
+      // Like dropping the column: soft-deleted users become visible again
+      state.users = state.users.map(({ deleted_at, ...user }) => user);
+    },
+  },
+};
@@ -0,0 +1,23 @@
+// Trigram indexes for GET /api/users/search
+
+module.exports = {
+  up: `
+    CREATE EXTENSION IF NOT EXISTS pg_trgm;
+    CREATE INDEX IF NOT EXISTS users_name_trgm_idx
+      ON users USING GIN (LOWER(name) gin_trgm_ops);
+    CREATE INDEX IF NOT EXISTS users_email_trgm_idx
+      ON users USING GIN (LOWER(email) gin_trgm_ops);
+  `,
+
+  // The extension is left installed; other objects may depend on it
+  down: `
+    DROP INDEX IF EXISTS users_email_trgm_idx;
+    DROP INDEX IF EXISTS users_name_trgm_idx;
+  `,
+
+  // The memory adapter scans users in JavaScript
+  memory: {
+    up() {},
+    down() {},
+  },
+};
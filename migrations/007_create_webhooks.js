@@ -0,0 +1,51 @@
+// Webhook subscriptions and their delivery log
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id SERIAL PRIMARY KEY,
+      url VARCHAR(2048) NOT NULL,
+      events JSONB NOT NULL,
+      secret VARCHAR(255) NOT NULL,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_by INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id SERIAL PRIMARY KEY,
+      webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+      event_id VARCHAR(64) NOT NULL,
+      event VARCHAR(50) NOT NULL,
+      attempt INTEGER NOT NULL,
+      success BOOLEAN NOT NULL,
+      response_status INTEGER,
+      error TEXT,
+      duration_ms INTEGER,
+      next_retry_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook_id_idx
+      ON webhook_deliveries (webhook_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS webhook_deliveries;
+    DROP TABLE IF EXISTS webhooks;
+  `,
+
+  memory: {
+    up(state) {
+      state.webhooks = state.webhooks || [];
+      state.nextWebhookId = state.nextWebhookId || 1;
+      state.webhookDeliveries = state.webhookDeliveries || [];
+      state.nextWebhookDeliveryId = state.nextWebhookDeliveryId || 1;
+    },
+    down(state) {
+      delete state.webhooks;
+      delete state.nextWebhookId;
+      delete state.webhookDeliveries;
+      delete state.nextWebhookDeliveryId;
+    },
+  },
+};
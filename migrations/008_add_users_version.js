@@ -0,0 +1,20 @@
+// Row version on users, incremented by every write; served as the ETag
+
+module.exports = {
+  up: `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+  `,
+
+  down: `
+    ALTER TABLE users DROP COLUMN IF EXISTS version;
+  `,
+
+  memory: {
+    up(state) {
+      state.users = state.users.map((user) => ({ version: 1, ...user }));
+    },
+    down(state) {
+      state.users = state.users.map(({ version, ...user }) => user);
+    },
+  },
+};
@@ -0,0 +1,30 @@
+// Stored responses for requests sent with an Idempotency-Key
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      user_id INTEGER NOT NULL,
+      key VARCHAR(255) NOT NULL,
+      fingerprint VARCHAR(64) NOT NULL,
+      response_status INTEGER,
+      response_headers JSONB,
+      response_body JSONB,
+      created_at TIMESTAMP NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      PRIMARY KEY (user_id, key)
+    );
+    CREATE INDEX IF NOT EXISTS idempotency_keys_expires_at_idx
+      ON idempotency_keys (expires_at);
+  `,
+
+  down: `DROP TABLE IF EXISTS idempotency_keys`,
+
+  memory: {
+    up(state) {
+      state.idempotencyKeys = state.idempotencyKeys || [];
+    },
+    down(state) {
+      delete state.idempotencyKeys;
+    },
+  },
+};
@@ -0,0 +1,26 @@
+// Request counters for rate limiting with RATE_LIMIT_STORE=database
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      key VARCHAR(255) NOT NULL,
+      window_start TIMESTAMP NOT NULL,
+      hits INTEGER NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      PRIMARY KEY (key, window_start)
+    );
+    CREATE INDEX IF NOT EXISTS rate_limits_expires_at_idx
+      ON rate_limits (expires_at);
+  `,
+
+  down: `DROP TABLE IF EXISTS rate_limits`,
+
+  memory: {
+    up(state) {
+      state.rateLimits = state.rateLimits || [];
+    },
+    down(state) {
+      delete state.rateLimits;
+    },
+  },
+};
@@ -1,161 +1,235 @@
 // API Testing Functions
-
-// Test GET /api/users endpoint
-async function testGetUsers() {
-  const resultDiv = document.getElementById("getTestResult");
-  resultDiv.style.display = "block";
-  resultDiv.textContent = "Testing GET /api/users...";
-  resultDiv.className = "test-result";
-
+//
+// The cards are generated from the OpenAPI document: one per operation,
+// grouped by tag, with inputs for its parameters and an example body. The
+// custom card below them sends any request.
+
+const TITLE_CLASSES = {
+  get: "api-get-title",
+  post: "api-post-title",
+  delete: "api-delete-title",
+};
+const BUTTON_CLASSES = {
+  get: "btn-api-get",
+  post: "btn-api-post",
+  delete: "btn-api-delete",
+};
+
+document.addEventListener("DOMContentLoaded", async function () {
+  const container = document.getElementById("specTestCards");
   try {
-    const startTime = Date.now();
-    const response = await fetch(`${API_BASE}/users`);
-    const endTime = Date.now();
-    const data = await response.json();
-
-    const result = {
-      status: response.status,
-      statusText: response.statusText,
-      responseTime: `${endTime - startTime}ms`,
-      headers: {
-        "content-type": response.headers.get("content-type"),
-        "content-length": response.headers.get("content-length"),
-      },
-      body: data,
-    };
-
-    resultDiv.textContent =
-      `✅ SUCCESS (${response.status})\n\n` +
-      `Response Time: ${result.responseTime}\n` +
-      `Content-Type: ${result.headers["content-type"]}\n\n` +
-      `Response Body:\n${JSON.stringify(data, null, 2)}`;
-    resultDiv.className = "test-result success";
+    renderTestCards(container, await loadOpenApi());
   } catch (error) {
-    resultDiv.textContent = `❌ ERROR\n\n${error.message}`;
-    resultDiv.className = "test-result error";
+    console.error("Error loading API description:", error);
+    container.textContent = `❌ Could not load the API description: ${error.message}`;
   }
-}
-
-// Test GET /api/health endpoint
-async function testHealthCheck() {
-  const resultDiv = document.getElementById("getTestResult");
-  resultDiv.style.display = "block";
-  resultDiv.textContent = "Testing GET /api/health...";
-  resultDiv.className = "test-result";
-
-  try {
-    const startTime = Date.now();
-    const response = await fetch(`${API_BASE}/health`);
-    const endTime = Date.now();
-    const data = await response.json();
+});
 
-    resultDiv.textContent =
-      `✅ SUCCESS (${response.status})\n\n` +
-      `Response Time: ${endTime - startTime}ms\n\n` +
-      `Response Body:\n${JSON.stringify(data, null, 2)}`;
-    resultDiv.className = "test-result success";
-  } catch (error) {
-    resultDiv.textContent = `❌ ERROR\n\n${error.message}`;
-    resultDiv.className = "test-result error";
-  }
+// Event streams never finish, so they cannot be tried from a card
+function isStreaming(operation) {
+  return Object.values(operation.responses).some(
+    (response) => response.content && response.content["text/event-stream"]
+  );
 }
 
-// Test POST /api/users endpoint
-async function testPostUser() {
-  const resultDiv = document.getElementById("postTestResult");
-  const nameInput = document.getElementById("testUserName");
-
-  if (!nameInput.value.trim()) {
-    alert("Please enter a name for the test user");
-    return;
+function renderTestCards(container, spec) {
+  const base = spec.servers && spec.servers[0] ? spec.servers[0].url : "";
+  container.innerHTML = "";
+  for (const { tag, operations } of operationsByTag(spec)) {
+    const testable = operations.filter(
+      ({ operation }) => !isStreaming(operation)
+    );
+    if (testable.length === 0) {
+      continue;
+    }
+    const group = document.createElement("details");
+    group.className = "api-test-group";
+    group.innerHTML = `<summary>${escapeHtml(tag)} (${testable.length})</summary>`;
+    for (const entry of testable) {
+      group.appendChild(renderTestCard(spec, base, entry));
+    }
+    container.appendChild(group);
   }
+}
 
-  resultDiv.style.display = "block";
-  resultDiv.textContent = "Testing POST /api/users...";
-  resultDiv.className = "test-result";
-
-  try {
-    const startTime = Date.now();
-    const response = await fetch(`${API_BASE}/users`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ name: nameInput.value.trim() }),
+// One card: parameter inputs, a body editor and a send button
+function renderTestCard(spec, base, entry) {
+  const { method, path, operation, parameters } = entry;
+  const card = document.createElement("div");
+  card.className = "api-test-card";
+
+  const inputs = parameters
+    .map(
+      (parameter) => `
+        <input
+          type="text"
+          class="test-input"
+          data-in="${parameter.in}"
+          data-name="${escapeHtml(parameter.name)}"
+          placeholder="${escapeHtml(parameter.name)} (${parameter.in}${parameter.required ? ", required" : ""})"
+          title="${escapeHtml(parameter.description || "")}"
+        />`
+    )
+    .join("");
+
+  const content = operation.requestBody ? operation.requestBody.content : {};
+  const types = Object.keys(content);
+  const typeSelect =
+    types.length > 1
+      ? `<select class="test-method-select test-body-type">${types
+          .map((type) => `<option value="${type}">${type}</option>`)
+          .join("")}</select>`
+      : "";
+  const bodyEditor =
+    types.length > 0
+      ? `<textarea class="test-payload" rows="6">${escapeHtml(
+          mediaExample(spec, types[0], content[types[0]])
+        )}</textarea>`
+      : "";
+
+  card.innerHTML = `
+    <h3 class="${TITLE_CLASSES[method] || "api-custom-title"}">
+      ${method.toUpperCase()} ${escapeHtml(base + path)}
+    </h3>
+    <p>${escapeHtml(operation.summary || "")}</p>
+    <div class="test-input-grid">
+      ${inputs}
+      ${typeSelect}
+      <button class="btn ${BUTTON_CLASSES[method] || "btn-api-custom"}">
+        🚀 Send
+      </button>
+    </div>
+    ${bodyEditor}
+    <div class="test-result hidden"></div>
+  `;
+
+  const select = card.querySelector(".test-body-type");
+  if (select) {
+    select.addEventListener("change", () => {
+      card.querySelector(".test-payload").value = mediaExample(
+        spec,
+        select.value,
+        content[select.value]
+      );
     });
-    const endTime = Date.now();
-    const data = await response.json();
-
-    const result =
-      `✅ SUCCESS (${response.status})\n\n` +
-      `Response Time: ${endTime - startTime}ms\n` +
-      `Request Body: ${JSON.stringify(
-        { name: nameInput.value.trim() },
-        null,
-        2
-      )}\n\n` +
-      `Response Body:\n${JSON.stringify(data, null, 2)}`;
-
-    resultDiv.textContent = result;
-    resultDiv.className = "test-result success";
-
-    // Refresh users list and clear input
-    loadUsers();
-    nameInput.value = "";
-  } catch (error) {
-    resultDiv.textContent = `❌ ERROR\n\n${error.message}`;
-    resultDiv.className = "test-result error";
   }
+  card
+    .querySelector("button")
+    .addEventListener("click", () => sendTestRequest(card, base, entry, types));
+  return card;
 }
 
-// Test DELETE /api/users/:id endpoint
-async function testDeleteUser() {
-  const resultDiv = document.getElementById("deleteTestResult");
-  const idInput = document.getElementById("testDeleteId");
-
-  if (!idInput.value) {
-    alert("Please enter a user ID to delete");
+// Build the request from a card's inputs and send it
+async function sendTestRequest(
+  card,
+  base,
+  { method, path, parameters },
+  types
+) {
+  const values = {};
+  card.querySelectorAll("input[data-name]").forEach((input) => {
+    if (input.value.trim()) {
+      values[`${input.dataset.in}:${input.dataset.name}`] = input.value.trim();
+    }
+  });
+
+  const missing = parameters.find(
+    (parameter) =>
+      parameter.required && !values[`${parameter.in}:${parameter.name}`]
+  );
+  if (missing) {
+    alert(`Please enter ${missing.name}`);
     return;
   }
 
-  const userId = parseInt(idInput.value);
-  const user = users.find((u) => u.id === userId);
+  const query = new URLSearchParams();
+  const headers = {};
+  for (const parameter of parameters) {
+    const value = values[`${parameter.in}:${parameter.name}`];
+    if (value && parameter.in === "query") {
+      query.set(parameter.name, value);
+    } else if (value && parameter.in === "header") {
+      headers[parameter.name] = value;
+    }
+  }
+  const url =
+    base +
+    path.replace(/\{(\w+)\}/g, (match, name) =>
+      encodeURIComponent(values[`path:${name}`])
+    ) +
+    (query.toString() ? `?${query}` : "");
+
+  const options = { method: method.toUpperCase(), headers };
+  const payloadInput = card.querySelector(".test-payload");
+  if (payloadInput) {
+    const select = card.querySelector(".test-body-type");
+    const type = select ? select.value : types[0];
+    if (/json$/.test(type)) {
+      try {
+        JSON.parse(payloadInput.value);
+      } catch (error) {
+        alert("Invalid JSON in the request body. Please check your syntax.");
+        return;
+      }
+    }
+    headers["Content-Type"] = type;
+    options.body = payloadInput.value;
+  }
 
-  if (!user) {
-    alert(
-      `User with ID ${userId} not found. Please check the user list above.`
-    );
+  if (method === "delete" && !confirm(`Send DELETE ${url}?`)) {
     return;
   }
 
-  if (!confirm(`Delete user "${user.name}" (ID: ${userId})?`)) {
-    return;
+  await runTestRequest(card.querySelector(".test-result"), url, options);
+
+  // Refresh users if this changed them
+  if (method !== "get" && path.startsWith("/users")) {
+    loadUsers();
   }
+}
 
+// Send a request and show the outcome in `resultDiv`
+async function runTestRequest(resultDiv, url, options) {
   resultDiv.style.display = "block";
-  resultDiv.textContent = `Testing DELETE /api/users/${userId}...`;
+  resultDiv.classList.remove("hidden");
+  resultDiv.textContent = `Testing ${options.method} ${url}...`;
   resultDiv.className = "test-result";
 
   try {
     const startTime = Date.now();
-    const response = await fetch(`${API_BASE}/users/${userId}`, {
-      method: "DELETE",
-    });
+    const response = await fetch(url, options);
     const endTime = Date.now();
-    const data = await response.json();
 
-    const result =
-      `✅ SUCCESS (${response.status})\n\n` +
+    let data;
+    const contentType = response.headers.get("content-type");
+    if (contentType && contentType.includes("json")) {
+      data = await response.json();
+    } else {
+      data = await response.text();
+    }
+
+    let result =
+      `${response.ok ? "✅ SUCCESS" : "❌ FAILED"} (${response.status} ${
+        response.statusText
+      })\n\n` +
       `Response Time: ${endTime - startTime}ms\n` +
-      `Deleted User: ${user.name} (ID: ${userId})\n\n` +
-      `Response Body:\n${JSON.stringify(data, null, 2)}`;
+      `Content-Type: ${contentType}\n`;
 
-    resultDiv.textContent = result;
-    resultDiv.className = "test-result success";
+    if (options.body) {
+      result += `\nRequest Body (${options.headers["Content-Type"]}):\n${options.body}\n`;
+    }
 
-    // Refresh users list and clear input
-    loadUsers();
-    idInput.value = "";
+    result += `\nResponse Body:\n`;
+    if (typeof data === "string") {
+      result += data;
+    } else {
+      result += JSON.stringify(data, null, 2);
+    }
+
+    resultDiv.textContent = result;
+    resultDiv.className = response.ok
+      ? "test-result success"
+      : "test-result error";
   } catch (error) {
     resultDiv.textContent = `❌ ERROR\n\n${error.message}`;
     resultDiv.className = "test-result error";
@@ -178,8 +252,8 @@ async function testCustomEndpoint() {
   const endpoint = endpointInput.value.trim();
   let payload = null;
 
-  // Parse payload for POST/PUT requests
-  if ((method === "POST" || method === "PUT") && payloadInput.value.trim()) {
+  // Parse payload for POST/PUT/PATCH requests
+  if (["POST", "PUT", "PATCH"].includes(method) && payloadInput.value.trim()) {
     try {
       payload = JSON.parse(payloadInput.value.trim());
     } catch (error) {
@@ -188,63 +262,30 @@ async function testCustomEndpoint() {
     }
   }
 
-  resultDiv.style.display = "block";
-  resultDiv.textContent = `Testing ${method} ${endpoint}...`;
-  resultDiv.className = "test-result";
-
-  try {
-    const startTime = Date.now();
-    const options = {
-      method: method,
-      headers: {
-        "Content-Type": "application/json",
-      },
-    };
-
-    if (payload) {
-      options.body = JSON.stringify(payload);
-    }
-
-    const response = await fetch(endpoint, options);
-    const endTime = Date.now();
-
-    let data;
-    const contentType = response.headers.get("content-type");
-    if (contentType && contentType.includes("application/json")) {
-      data = await response.json();
-    } else {
-      data = await response.text();
-    }
-
-    let result =
-      `${response.ok ? "✅ SUCCESS" : "❌ FAILED"} (${response.status} ${
-        response.statusText
-      })\n\n` +
-      `Response Time: ${endTime - startTime}ms\n` +
-      `Content-Type: ${contentType}\n`;
+  // PATCH bodies: an array of operations is a JSON Patch, an object a
+  // JSON Merge Patch
+  let requestType = "application/json";
+  if (method === "PATCH") {
+    requestType = Array.isArray(payload)
+      ? "application/json-patch+json"
+      : "application/merge-patch+json";
+  }
 
-    if (payload) {
-      result += `\nRequest Body:\n${JSON.stringify(payload, null, 2)}\n`;
-    }
+  const options = {
+    method: method,
+    headers: {
+      "Content-Type": requestType,
+    },
+  };
 
-    result += `\nResponse Body:\n`;
-    if (typeof data === "string") {
-      result += data;
-    } else {
-      result += JSON.stringify(data, null, 2);
-    }
+  if (payload) {
+    options.body = JSON.stringify(payload, null, 2);
+  }
 
-    resultDiv.textContent = result;
-    resultDiv.className = response.ok
-      ? "test-result success"
-      : "test-result error";
+  await runTestRequest(resultDiv, endpoint, options);
 
-    // Refresh users if this was a user-related operation
-    if (endpoint.includes("/users")) {
-      loadUsers();
-    }
-  } catch (error) {
-    resultDiv.textContent = `❌ ERROR\n\n${error.message}`;
-    resultDiv.className = "test-result error";
+  // Refresh users if this was a user-related operation
+  if (endpoint.includes("/users")) {
+    loadUsers();
   }
 }
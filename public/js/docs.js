@@ -0,0 +1,174 @@
+// API Reference page, rendered from /api/openapi.json
+
+document.addEventListener("DOMContentLoaded", async function () {
+  try {
+    renderDocs(await loadOpenApi());
+  } catch (error) {
+    console.error("Error loading API description:", error);
+    const messageDiv = document.getElementById("message");
+    messageDiv.textContent = `❌ Error: ${error.message}`;
+    messageDiv.className = "message error";
+    messageDiv.style.display = "block";
+  }
+});
+
+// Create an element with an optional class and text
+function element(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) {
+    node.className = className;
+  }
+  if (text !== undefined) {
+    node.textContent = text;
+  }
+  return node;
+}
+
+function tagId(tag) {
+  return `tag-${tag.toLowerCase().replace(/[^a-z0-9]+/g, "-")}`;
+}
+
+function renderDocs(spec) {
+  const base = spec.servers && spec.servers[0] ? spec.servers[0].url : "";
+  document.getElementById("docsDescription").textContent =
+    `${spec.info.title} ${spec.info.version} - ${spec.info.description}`;
+
+  const nav = document.getElementById("docsNav");
+  const docs = document.getElementById("docs");
+  for (const { tag, operations } of operationsByTag(spec)) {
+    const link = element("a", "", tag);
+    link.href = `#${tagId(tag)}`;
+    nav.appendChild(link);
+
+    const section = element("div", "section");
+    section.id = tagId(tag);
+    section.appendChild(element("h2", "", tag));
+    for (const entry of operations) {
+      section.appendChild(renderOperation(spec, base, entry));
+    }
+    docs.appendChild(section);
+  }
+
+  if (spec["x-problem-types"]) {
+    const link = element("a", "", "Errors");
+    link.href = "#errors";
+    nav.appendChild(link);
+    docs.appendChild(renderProblemTypes(spec));
+  }
+}
+
+// Error codes; each row is the target of a problem's `type` link
+function renderProblemTypes(spec) {
+  const section = element("div", "section");
+  section.id = "errors";
+  section.appendChild(element("h2", "", "Errors"));
+  section.appendChild(
+    element(
+      "p",
+      "",
+      "Errors are application/problem+json bodies with a stable code, a message in detail, the request_id and, for validation errors, a fields object."
+    )
+  );
+  const table = renderTable(
+    ["Code", "Status", "Title"],
+    Object.entries(spec["x-problem-types"]).map(([code, { status, title }]) => [
+      code,
+      String(status),
+      title,
+    ])
+  );
+  table.querySelectorAll("tr").forEach((row, i) => {
+    if (i > 0) {
+      row.id = `problem-${row.firstChild.textContent}`;
+    }
+  });
+  section.appendChild(table);
+  return section;
+}
+
+// One collapsible operation: parameters, request body and responses
+function renderOperation(spec, base, { method, path, operation, parameters }) {
+  const details = element("details", "docs-operation");
+  const summary = element("summary");
+  summary.appendChild(
+    element("span", `docs-method docs-method-${method}`, method.toUpperCase())
+  );
+  summary.appendChild(element("code", "docs-path", base + path));
+  summary.appendChild(element("span", "docs-summary", operation.summary));
+  details.appendChild(summary);
+
+  const body = element("div", "docs-operation-body");
+  for (const paragraph of (operation.description || "").split("\n\n")) {
+    if (paragraph) {
+      body.appendChild(element("p", "", paragraph.replace(/`/g, "")));
+    }
+  }
+  if (operation.security && operation.security.length === 0) {
+    body.appendChild(element("p", "docs-note", "No authentication needed."));
+  }
+
+  if (parameters.length > 0) {
+    body.appendChild(element("h4", "", "Parameters"));
+    body.appendChild(
+      renderTable(
+        ["Name", "In", "Type", "Description"],
+        parameters.map((parameter) => [
+          parameter.name + (parameter.required ? " *" : ""),
+          parameter.in,
+          schemaType(spec, parameter.schema),
+          parameter.description || "",
+        ])
+      )
+    );
+  }
+
+  if (operation.requestBody) {
+    body.appendChild(element("h4", "", "Request body"));
+    for (const [type, media] of Object.entries(operation.requestBody.content)) {
+      body.appendChild(element("p", "docs-note", type));
+      const schema = resolveRef(spec, media.schema || {});
+      if (schema.properties) {
+        body.appendChild(
+          renderTable(
+            ["Field", "Type", "Description"],
+            Object.entries(schema.properties).map(([name, property]) => [
+              name + ((schema.required || []).includes(name) ? " *" : ""),
+              schemaType(spec, property),
+              resolveRef(spec, property).description || "",
+            ])
+          )
+        );
+      }
+      body.appendChild(
+        element("pre", "docs-example", mediaExample(spec, type, media))
+      );
+    }
+  }
+
+  body.appendChild(element("h4", "", "Responses"));
+  body.appendChild(
+    renderTable(
+      ["Status", "Description"],
+      Object.entries(operation.responses).map(([status, response]) => [
+        status,
+        resolveRef(spec, response).description,
+      ])
+    )
+  );
+
+  details.appendChild(body);
+  return details;
+}
+
+function renderTable(headings, rows) {
+  const table = element("table", "docs-table");
+  const head = element("tr");
+  headings.forEach((heading) => head.appendChild(element("th", "", heading)));
+  table.appendChild(head);
+  for (const cells of rows) {
+    const row = element("tr");
+    cells.forEach((cell) => row.appendChild(element("td", "", cell)));
+    table.appendChild(row);
+  }
+  return table;
+}
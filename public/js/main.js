@@ -1,7 +1,28 @@
 // User Management System - Main JavaScript
 
 const API_BASE = "/api";
+const PAGE_SIZE = 12;
 let users = [];
+let currentPage = 1;
+let pagination = null;
+let totalUsers = 0;
+let currentUser = null;
+let currentPermissions = [];
+let showingTrash = false;
+let searchQuery = "";
+let searchTimer = null;
+let loadSequence = 0;
+let eventSource = null;
+let statsTimer = null;
+// The user as it was when the edit modal opened; PUT sends its version in
+// If-Match. conflictUser holds the newer server copy after a 412.
+let editingUser = null;
+let conflictUser = null;
+const SEARCH_DELAY = 250;
+// Bursts of change events (bulk requests, imports) re-read the count once
+const STATS_DELAY = 500;
+// How often the status panel re-checks /api/health
+const HEALTH_INTERVAL = 30000;
 
 // DOM Elements
 const userForm = document.getElementById("userForm");
@@ -12,19 +33,125 @@ const totalUsersSpan = document.getElementById("totalUsers");
 const apiStatusSpan = document.getElementById("apiStatus");
 const editModal = document.getElementById("editModal");
 const closeModal = document.querySelector(".close");
+const loginForm = document.getElementById("loginForm");
 
 // Initialize app
 document.addEventListener("DOMContentLoaded", function () {
-  loadUsers();
-  checkApiStatus();
   setupEventListeners();
+  checkApiStatus();
+  setInterval(checkApiStatus, HEALTH_INTERVAL);
+  checkSession();
 });
 
+// Whether the signed-in user holds a permission (e.g. "users:delete")
+function can(permission) {
+  return currentPermissions.includes(permission);
+}
+
+// Edit is hidden on admin accounts unless the caller may manage admins
+function canEditUser(user) {
+  return (
+    can("users:update") && (user.role !== "admin" || can("users:manage_admins"))
+  );
+}
+
+// Show the app for a signed-in user, or the login form
+function setCurrentUser(user, permissions = []) {
+  currentUser = user;
+  currentPermissions = user ? permissions : [];
+  document
+    .getElementById("addUserSection")
+    .classList.toggle("hidden", !can("users:create"));
+  document
+    .getElementById("trashToggle")
+    .classList.toggle("hidden", !can("users:restore"));
+  document
+    .getElementById("importButton")
+    .classList.toggle("hidden", !can("users:create"));
+  if (showingTrash && !can("users:restore")) {
+    setTrashMode(false);
+  }
+  document.body.classList.toggle("logged-out", !user);
+  document.getElementById("userBar").classList.toggle("hidden", !user);
+  subscribeToEvents(Boolean(user));
+  document.getElementById("currentUserName").textContent = user
+    ? user.name
+    : "";
+}
+
+// Restore an existing session, if any
+async function checkSession() {
+  try {
+    const response = await fetch(`${API_BASE}/auth/me`);
+    const data = await response.json();
+    setCurrentUser(data.success ? data.user : null, data.permissions);
+    if (data.success) {
+      loadUsers();
+    }
+  } catch (error) {
+    console.error("Session check failed:", error);
+    setCurrentUser(null);
+  }
+}
+
+// Handle login form
+async function handleLogin(event) {
+  event.preventDefault();
+
+  try {
+    const response = await fetch(`${API_BASE}/auth/login`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        email: document.getElementById("loginEmail").value.trim(),
+        password: document.getElementById("loginPassword").value,
+      }),
+    });
+
+    const data = await response.json();
+
+    if (data.success) {
+      loginForm.reset();
+      setCurrentUser(data.user, data.permissions);
+      showMessage(`✅ Welcome, ${data.user.name}!`, "success");
+      loadUsers();
+    } else {
+      throw apiError(data, "Failed to log in");
+    }
+  } catch (error) {
+    console.error("Error logging in:", error);
+    showMessage(error, "error");
+  }
+}
+
+// Log out
+async function logout() {
+  try {
+    await fetch(`${API_BASE}/auth/logout`, { method: "POST" });
+  } finally {
+    setCurrentUser(null);
+    users = [];
+  }
+}
+
 // Setup event listeners
 function setupEventListeners() {
+  loginForm.addEventListener("submit", handleLogin);
   userForm.addEventListener("submit", handleAddUser);
   editUserForm.addEventListener("submit", handleEditUser);
   closeModal.addEventListener("click", closeEditModal);
+  document
+    .getElementById("importFile")
+    .addEventListener("change", handleImportFile);
+  document.getElementById("userSearch").addEventListener("input", (event) => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      searchQuery = event.target.value.trim();
+      loadUsers(1);
+    }, SEARCH_DELAY);
+  });
   window.addEventListener("click", function (event) {
     if (event.target === editModal) {
       closeEditModal();
@@ -35,39 +162,74 @@ function setupEventListeners() {
 // API Status Check
 async function checkApiStatus() {
   try {
+    // A 503 still carries the health body
     const response = await fetch(`${API_BASE}/health`);
     const data = await response.json();
-    apiStatusSpan.textContent = data.success ? "✅" : "❌";
+    apiStatusSpan.textContent = "✅";
 
-    // Update database status information
     if (data.database) {
-      document.getElementById("dbStatus").textContent = data.database.connected
-        ? "🟢 Connected"
-        : "🔴 Disconnected";
+      const { database } = data;
+      let status = "🔴 Disconnected";
+      if (database.fallback) {
+        status = "🟡 Fallback";
+      } else if (database.connected) {
+        status = "🟢 Connected";
+      }
+      document.getElementById("dbStatus").textContent = status;
       document.getElementById("dbType").textContent =
-        data.database.type || "Unknown";
+        database.type || "Unknown";
+      document.getElementById("dbStatusDetail").textContent =
+        databaseDetail(database);
       document.getElementById("dbLastUpdated").textContent =
         new Date().toLocaleString();
-
-      // Update database status text
-      document.getElementById("dbStatusText").textContent = "Database Status";
     } else {
       document.getElementById("dbStatus").textContent = "🟡 Unknown";
       document.getElementById("dbType").textContent = "Unknown";
+      document.getElementById("dbStatusDetail").textContent = "Unknown";
       document.getElementById("dbLastUpdated").textContent = "Unknown";
     }
   } catch (error) {
     apiStatusSpan.textContent = "❌";
     document.getElementById("dbStatus").textContent = "🔴 Error";
     document.getElementById("dbType").textContent = "Error";
+    document.getElementById("dbStatusDetail").textContent = "API unreachable";
     document.getElementById("dbLastUpdated").textContent = "Error";
     console.error("API health check failed:", error);
   }
 }
 
-// Show message
+// One line for the panel, e.g. "Healthy (3 ms)" or "In-memory fallback,
+// reconnecting, 2 writes to sync (last error: ECONNREFUSED)"
+function databaseDetail(database) {
+  const lastError =
+    database.last_error && database.last_error.code
+      ? ` (last error: ${database.last_error.code})`
+      : "";
+  if (database.fallback) {
+    const pending = database.pending_sync
+      ? `, ${database.pending_sync} writes to sync`
+      : "";
+    return `In-memory fallback, reconnecting${pending}${lastError}`;
+  }
+  if (!database.connected) {
+    return `Unreachable${lastError}`;
+  }
+  // Left over when replaying the fallback journal failed; it is retried
+  if (database.pending_sync) {
+    return `Healthy (${database.latency_ms} ms), ${database.pending_sync} fallback writes to sync`;
+  }
+  return `Healthy (${database.latency_ms} ms)`;
+}
+
+// Show message. `message` is text or an Error; errors from the API (see
+// apiError) show their problem details: the detail, each field error and a
+// reference to quote when reporting the problem.
 function showMessage(message, type = "success") {
-  messageDiv.textContent = message;
+  if (message instanceof Error) {
+    renderProblem(message);
+  } else {
+    messageDiv.textContent = message;
+  }
   messageDiv.className = `message ${type}`;
   messageDiv.style.display = "block";
 
@@ -77,8 +239,59 @@ function showMessage(message, type = "success") {
   }, 5000);
 }
 
-// Load users from API
-async function loadUsers() {
+function renderProblem(error) {
+  const problem = error.problem || {};
+  messageDiv.textContent = `❌ ${problem.detail || `Error: ${error.message}`}`;
+
+  const fieldMessages = Object.values(problem.fields || {}).filter(
+    (text) => text !== problem.detail
+  );
+  if (fieldMessages.length > 0) {
+    const list = document.createElement("ul");
+    list.className = "message-fields";
+    for (const text of fieldMessages) {
+      const item = document.createElement("li");
+      item.textContent = text;
+      list.appendChild(item);
+    }
+    messageDiv.appendChild(list);
+  }
+
+  if (problem.request_id) {
+    const reference = document.createElement("small");
+    reference.className = "message-reference";
+    reference.textContent = `${problem.code} · request ${problem.request_id}`;
+    messageDiv.appendChild(reference);
+  }
+}
+
+// An Error for a failed API call, carrying its problem details
+// (application/problem+json) for showMessage
+function apiError(data, fallback) {
+  const error = new Error(data.detail || fallback);
+  error.problem = data;
+  return error;
+}
+
+// Parse the optional metadata textarea into an object
+function parseMetadata(text) {
+  if (!text.trim()) {
+    return {};
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error("Metadata must be valid JSON");
+  }
+}
+
+// Load a page of users (or the search results) from API
+async function loadUsers(page = currentPage) {
+  // Only the latest request may render, so fast typing cannot show stale
+  // results
+  const sequence = ++loadSequence;
+  const searching = Boolean(searchQuery) && !showingTrash;
+
   try {
     usersContainer.innerHTML = `
       <div class="loading">
@@ -87,15 +300,46 @@ async function loadUsers() {
       </div>
     `;
 
-    const response = await fetch(`${API_BASE}/users`);
+    const response = await fetch(
+      searching
+        ? `${API_BASE}/users/search?q=${encodeURIComponent(
+            searchQuery
+          )}&limit=${PAGE_SIZE}`
+        : `${API_BASE}/users${showingTrash ? "/trash" : ""}?page=${page}&limit=${PAGE_SIZE}`
+    );
+    // Session expired or was never there
+    if (response.status === 401) {
+      setCurrentUser(null);
+      return;
+    }
+
     const data = await response.json();
+    if (sequence !== loadSequence) {
+      return;
+    }
 
-    if (data.success) {
+    if (data.success && searching) {
+      // Search results are ranked, not paged
       users = data.users;
+      pagination = null;
       displayUsers(users);
-      updateStats();
+    } else if (data.success) {
+      // Step back if the page emptied out (e.g. after deleting its last user)
+      if (data.users.length === 0 && page > 1) {
+        loadUsers(page - 1);
+        return;
+      }
+      users = data.users;
+      currentPage = page;
+      pagination = data.pagination;
+      displayUsers(users);
+      // Stats count live users only
+      if (!showingTrash) {
+        totalUsers = data.total;
+        updateStats();
+      }
     } else {
-      throw new Error(data.error || "Failed to load users");
+      throw apiError(data, "Failed to load users");
     }
   } catch (error) {
     console.error("Error loading users:", error);
@@ -108,8 +352,76 @@ async function loadUsers() {
   }
 }
 
+// Switch the user list between live users and the trash
+function setTrashMode(enabled) {
+  showingTrash = enabled;
+  currentPage = 1;
+  // Search covers live users only
+  const searchInput = document.getElementById("userSearch");
+  searchInput.value = "";
+  searchQuery = "";
+  searchInput.classList.toggle("hidden", enabled);
+  document.getElementById("userListTitle").textContent = enabled
+    ? "🗑️ Trash"
+    : "👥 User List";
+  document.getElementById("trashToggle").textContent = enabled
+    ? "👥 Back to Users"
+    : "🗑️ View Trash";
+}
+
+function toggleTrash() {
+  setTrashMode(!showingTrash);
+  loadUsers(1);
+}
+
+// Card buttons: edit/delete for live users, restore/purge in the trash
+function userActions(user) {
+  if (showingTrash) {
+    return `
+      ${
+        can("users:restore")
+          ? `<button onclick="restoreUser(${user.id})" class="btn btn-small btn-success">♻️ Restore</button>`
+          : ""
+      }
+      ${
+        can("users:purge")
+          ? `<button onclick="purgeUser(${user.id})" class="btn btn-small btn-danger">🔥 Delete forever</button>`
+          : ""
+      }
+    `;
+  }
+  return `
+    ${
+      canEditUser(user)
+        ? `<button onclick="editUser(${user.id})" class="btn btn-small">✏️ Edit</button>`
+        : ""
+    }
+    ${
+      can("users:delete")
+        ? `<button onclick="deleteUser(${user.id})" class="btn btn-small btn-danger">🗑️ Delete</button>`
+        : ""
+    }
+  `;
+}
+
 // Display users
 function displayUsers(userList) {
+  if (userList.length === 0 && showingTrash) {
+    usersContainer.innerHTML = `
+      <div class="message" style="background-color: #e3f2fd; color: #1976d2; border-left-color: #2196f3;">
+        <p>🗑️ Trash is empty.</p>
+      </div>
+    `;
+    return;
+  }
+  if (userList.length === 0 && searchQuery) {
+    usersContainer.innerHTML = `
+      <div class="message" style="background-color: #e3f2fd; color: #1976d2; border-left-color: #2196f3;">
+        <p>🔍 No users match "${escapeHtml(searchQuery)}".</p>
+      </div>
+    `;
+    return;
+  }
   if (userList.length === 0) {
     usersContainer.innerHTML = `
       <div class="message" style="background-color: #e3f2fd; color: #1976d2; border-left-color: #2196f3;">
@@ -119,37 +431,236 @@ function displayUsers(userList) {
     return;
   }
 
-  const usersHTML = userList
-    .map(
-      (user) => `
+  usersContainer.innerHTML = `<div class="users-grid">${userList
+    .map(renderUserCard)
+    .join("")}</div>${renderPagination()}`;
+}
+
+// One user card
+function renderUserCard(user) {
+  return `
         <div class="user-card" data-user-id="${user.id}">
-          <h3>${escapeHtml(user.name)}</h3>
+          <h3>${highlightText(user.name, user.highlights && user.highlights.name)}</h3>
+          <p>
+            <span class="status-badge status-${escapeHtml(user.status)}">${escapeHtml(
+              user.status
+            )}</span>
+            <strong>Role:</strong> ${escapeHtml(user.role)}
+          </p>
+          <p><strong>✉️ Email:</strong> ${
+            user.email
+              ? highlightText(
+                  user.email,
+                  user.highlights && user.highlights.email
+                )
+              : "-"
+          }</p>
           <p><strong>📅 Created:</strong> ${new Date(
             user.created_at
           ).toLocaleDateString()}</p>
-          <div class="actions">
-            <button onclick="editUser(${
-              user.id
-            })" class="btn btn-small">✏️ Edit</button>
-            <button onclick="deleteUser(${
-              user.id
-            })" class="btn btn-small btn-danger">🗑️ Delete</button>
-          </div>
+          <p><strong>🕒 Updated:</strong> ${new Date(
+            user.updated_at
+          ).toLocaleString()}</p>
+          ${
+            user.deleted_at
+              ? `<p><strong>🗑️ Deleted:</strong> ${new Date(
+                  user.deleted_at
+                ).toLocaleString()}</p>`
+              : ""
+          }
+          <div class="actions">${userActions(user)}</div>
         </div>
-      `
-    )
-    .join("");
+      `;
+}
+
+// Follow the live change feed while signed in
+function subscribeToEvents(enabled) {
+  if (!enabled) {
+    if (eventSource) {
+      eventSource.close();
+      eventSource = null;
+    }
+    return;
+  }
+  if (eventSource) {
+    return;
+  }
+
+  // EventSource reconnects by itself and sends Last-Event-ID so the server
+  // can replay what was missed
+  eventSource = new EventSource(`${API_BASE}/events`);
+  for (const type of [
+    "user.created",
+    "user.updated",
+    "user.deleted",
+    "user.restored",
+  ]) {
+    eventSource.addEventListener(type, (event) =>
+      handleUserEvent(type, JSON.parse(event.data))
+    );
+  }
+  // Too much was missed to replay
+  eventSource.addEventListener("resync", () => loadUsers());
+}
+
+// Patch the rendered list for a change made anywhere, including this tab
+function handleUserEvent(type, { user, purged }) {
+  if (showingTrash) {
+    if (type === "user.deleted" && !purged) {
+      placeUser(user);
+    } else if (type === "user.restored" || type === "user.deleted") {
+      removeUserCard(user.id);
+    }
+  } else if (type === "user.updated") {
+    replaceUserCard(user);
+  } else if (type === "user.deleted") {
+    removeUserCard(user.id);
+  } else if (!searchQuery) {
+    // Created or restored; search results are ranked, so leave them be
+    placeUser(user);
+  }
+  clearTimeout(statsTimer);
+  statsTimer = setTimeout(refreshStats, STATS_DELAY);
+}
+
+// Insert a card where the list order puts it, if that is on this page
+function placeUser(user) {
+  if (users.some((u) => u.id === user.id)) {
+    replaceUserCard(user);
+    return;
+  }
+
+  // The list is newest first: by deletion in the trash, creation otherwise
+  const key = showingTrash ? "deleted_at" : "created_at";
+  const list = [...users, user].sort(
+    (a, b) => new Date(b[key]) - new Date(a[key]) || b.id - a.id
+  );
+  const index = list.indexOf(user);
+  if ((index === 0 && currentPage > 1) || index >= PAGE_SIZE) {
+    return;
+  }
+
+  users = list.slice(0, PAGE_SIZE);
+  const grid = usersContainer.querySelector(".users-grid");
+  if (!grid) {
+    displayUsers(users);
+    return;
+  }
+  const card = cardElement(user);
+  grid.insertBefore(card, grid.children[index] || null);
+  if (grid.children.length > PAGE_SIZE) {
+    grid.lastElementChild.remove();
+  }
+  flashCard(card);
+}
+
+function replaceUserCard(user) {
+  const index = users.findIndex((u) => u.id === user.id);
+  const card = usersContainer.querySelector(`[data-user-id="${user.id}"]`);
+  if (index === -1 || !card) {
+    return;
+  }
+  users[index] = user;
+  const updated = cardElement(user);
+  card.replaceWith(updated);
+  flashCard(updated);
+}
+
+function removeUserCard(userId) {
+  users = users.filter((u) => u.id !== userId);
+  const card = usersContainer.querySelector(`[data-user-id="${userId}"]`);
+  if (card) {
+    card.remove();
+  }
+  if (users.length === 0) {
+    displayUsers(users);
+  }
+}
 
-  usersContainer.innerHTML = `<div class="users-grid">${usersHTML}</div>`;
+function cardElement(user) {
+  const template = document.createElement("template");
+  template.innerHTML = renderUserCard(user).trim();
+  return template.content.firstElementChild;
+}
+
+// Briefly mark a card that changed elsewhere
+function flashCard(card) {
+  card.classList.add("user-card-changed");
+  setTimeout(() => card.classList.remove("user-card-changed"), 1500);
+}
+
+// Re-read the live user count without reloading the list
+async function refreshStats() {
+  try {
+    const response = await fetch(`${API_BASE}/users?limit=1`);
+    const data = await response.json();
+    if (data.success) {
+      totalUsers = data.total;
+      updateStats();
+    }
+  } catch (error) {
+    console.error("Error refreshing stats:", error);
+  }
+}
+
+// Paging controls below the user grid
+function renderPagination() {
+  if (!pagination || pagination.totalPages <= 1) {
+    return "";
+  }
+
+  return `
+    <div class="pagination">
+      <button onclick="loadUsers(${currentPage - 1})" class="btn btn-small" ${
+        currentPage <= 1 ? "disabled" : ""
+      }>← Previous</button>
+      <span>Page ${currentPage} of ${pagination.totalPages}</span>
+      <button onclick="loadUsers(${currentPage + 1})" class="btn btn-small" ${
+        currentPage >= pagination.totalPages ? "disabled" : ""
+      }>Next →</button>
+    </div>
+  `;
 }
 
 // Update statistics
 function updateStats() {
-  totalUsersSpan.textContent = users.length;
+  totalUsersSpan.textContent = totalUsers;
   // Update database records count
-  document.getElementById("dbRecords").textContent = users.length.toString();
+  document.getElementById("dbRecords").textContent = totalUsers.toString();
   // Update last operation
-  document.getElementById("lastOperation").textContent = "Load Users";
+  loadLastOperation();
+}
+
+// Last Operation stat: the newest audit log entry
+async function loadLastOperation() {
+  const lastOperation = document.getElementById("lastOperation");
+
+  // Viewers cannot read the audit log
+  if (!can("audit:read")) {
+    lastOperation.textContent = "-";
+    lastOperation.title = "";
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/audit?limit=1`);
+    const data = await response.json();
+    const entry = data.success && data.entries[0];
+
+    if (!entry) {
+      lastOperation.textContent = "-";
+      lastOperation.title = "";
+      return;
+    }
+
+    const action = entry.action[0].toUpperCase() + entry.action.slice(1);
+    lastOperation.textContent = `${action} #${entry.user_id}`;
+    lastOperation.title = `${entry.actor_email || "system"} at ${new Date(
+      entry.created_at
+    ).toLocaleString()}`;
+  } catch (error) {
+    console.error("Error loading last operation:", error);
+  }
 }
 
 // Handle add user form
@@ -168,7 +679,14 @@ async function handleAddUser(event) {
     const formData = new FormData(userForm);
     const userData = {
       name: formData.get("name").trim(),
+      email: formData.get("email").trim() || null,
+      status: formData.get("status"),
+      role: formData.get("role"),
+      metadata: parseMetadata(formData.get("metadata")),
     };
+    if (formData.get("password")) {
+      userData.password = formData.get("password");
+    }
 
     const response = await fetch(`${API_BASE}/users`, {
       method: "POST",
@@ -184,13 +702,12 @@ async function handleAddUser(event) {
       showMessage(`✅ User "${userData.name}" added successfully!`, "success");
       userForm.reset();
       loadUsers(); // Refresh the user list
-      document.getElementById("lastOperation").textContent = "Add User";
     } else {
-      throw new Error(data.error || "Failed to add user");
+      throw apiError(data, "Failed to add user");
     }
   } catch (error) {
     console.error("Error adding user:", error);
-    showMessage(`❌ Error: ${error.message}`, "error");
+    showMessage(error, "error");
   } finally {
     // Reset button state
     submitBtn.disabled = false;
@@ -198,6 +715,11 @@ async function handleAddUser(event) {
   }
 }
 
+// If-Match value for a user, so writes only apply to the version shown
+function versionTag(user) {
+  return `"${user.version}"`;
+}
+
 // Edit user
 function editUser(userId) {
   const user = users.find((u) => u.id === userId);
@@ -206,10 +728,65 @@ function editUser(userId) {
     return;
   }
 
+  fillEditForm(user);
+  editModal.style.display = "block";
+}
+
+function fillEditForm(user) {
+  editingUser = user;
+  conflictUser = null;
+  document.getElementById("editConflict").classList.add("hidden");
   document.getElementById("editUserId").value = user.id;
   document.getElementById("editName").value = user.name;
+  document.getElementById("editEmail").value = user.email || "";
+  document.getElementById("editStatus").value = user.status;
+  document.getElementById("editRole").value = user.role;
+  document.getElementById("editMetadata").value =
+    Object.keys(user.metadata || {}).length > 0
+      ? JSON.stringify(user.metadata, null, 2)
+      : "";
+}
 
-  editModal.style.display = "block";
+// Someone saved the user after the modal opened: show their values next to
+// the form and let the editor pick instead of overwriting
+function showEditConflict(current, mine) {
+  conflictUser = current;
+  const fields = [
+    ["Name", current.name, mine.name],
+    ["Email", current.email || "", mine.email || ""],
+    ["Status", current.status, mine.status],
+    ["Role", current.role, mine.role],
+    [
+      "Metadata",
+      JSON.stringify(current.metadata || {}),
+      JSON.stringify(mine.metadata),
+    ],
+  ];
+  const changed = fields.filter(([, theirs, yours]) => theirs !== yours);
+
+  document.getElementById("editConflictValues").innerHTML =
+    changed.length > 0
+      ? changed
+          .map(
+            ([label, theirs]) =>
+              `<li><strong>${label}:</strong> ${escapeHtml(theirs) || "<em>empty</em>"}</li>`
+          )
+          .join("")
+      : "<li>Their changes match yours.</li>";
+  document.getElementById("editConflict").classList.remove("hidden");
+}
+
+// Discard the form and continue from the server's version
+function useServerVersion() {
+  fillEditForm(conflictUser);
+}
+
+// Save the form over the server's version, now that it has been seen
+function keepMyChanges() {
+  editingUser = conflictUser;
+  conflictUser = null;
+  document.getElementById("editConflict").classList.add("hidden");
+  editUserForm.requestSubmit();
 }
 
 // Handle edit user form
@@ -217,35 +794,46 @@ async function handleEditUser(event) {
   event.preventDefault();
 
   const userId = document.getElementById("editUserId").value;
-  const userData = {
-    name: document.getElementById("editName").value.trim(),
-  };
 
   try {
+    const userData = {
+      name: document.getElementById("editName").value.trim(),
+      email: document.getElementById("editEmail").value.trim() || null,
+      status: document.getElementById("editStatus").value,
+      role: document.getElementById("editRole").value,
+      metadata: parseMetadata(document.getElementById("editMetadata").value),
+    };
+
     const response = await fetch(`${API_BASE}/users/${userId}`, {
       method: "PUT",
       headers: {
         "Content-Type": "application/json",
+        "If-Match": versionTag(editingUser),
       },
       body: JSON.stringify(userData),
     });
 
     const data = await response.json();
 
-    if (data.success) {
+    if (response.status === 412) {
+      showEditConflict(data.user, userData);
+      showMessage(
+        "⚠️ This user was changed by someone else. Review their changes before saving.",
+        "error"
+      );
+    } else if (data.success) {
       showMessage(
         `✅ User "${userData.name}" updated successfully!`,
         "success"
       );
       closeEditModal();
       loadUsers(); // Refresh the user list
-      document.getElementById("lastOperation").textContent = "Update User";
     } else {
-      throw new Error(data.error || "Failed to update user");
+      throw apiError(data, "Failed to update user");
     }
   } catch (error) {
     console.error("Error updating user:", error);
-    showMessage(`❌ Error: ${error.message}`, "error");
+    showMessage(error, "error");
   }
 }
 
@@ -257,27 +845,185 @@ async function deleteUser(userId) {
     return;
   }
 
-  if (!confirm(`Are you sure you want to delete user "${user.name}"?`)) {
+  if (!confirm(`Move user "${user.name}" to the trash?`)) {
     return;
   }
 
   try {
     const response = await fetch(`${API_BASE}/users/${userId}`, {
       method: "DELETE",
+      headers: { "If-Match": versionTag(user) },
     });
 
     const data = await response.json();
 
-    if (data.success) {
-      showMessage(`✅ User "${user.name}" deleted successfully!`, "success");
+    if (response.status === 412) {
+      replaceUserCard(data.user);
+      showMessage(
+        `⚠️ "${user.name}" was changed by someone else. Check the update before deleting.`,
+        "error"
+      );
+    } else if (data.success) {
+      showMessage(`✅ User "${user.name}" moved to trash`, "success");
       loadUsers(); // Refresh the user list
-      document.getElementById("lastOperation").textContent = "Delete User";
     } else {
-      throw new Error(data.error || "Failed to delete user");
+      throw apiError(data, "Failed to delete user");
     }
   } catch (error) {
     console.error("Error deleting user:", error);
-    showMessage(`❌ Error: ${error.message}`, "error");
+    showMessage(error, "error");
+  }
+}
+
+// Restore a user from the trash
+async function restoreUser(userId) {
+  const user = users.find((u) => u.id === userId);
+  if (!user) {
+    showMessage("❌ User not found", "error");
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/users/${userId}/restore`, {
+      method: "POST",
+    });
+
+    const data = await response.json();
+
+    if (data.success) {
+      showMessage(`✅ User "${user.name}" restored successfully!`, "success");
+      loadUsers();
+    } else {
+      throw apiError(data, "Failed to restore user");
+    }
+  } catch (error) {
+    console.error("Error restoring user:", error);
+    showMessage(error, "error");
+  }
+}
+
+// Permanently delete a user from the trash
+async function purgeUser(userId) {
+  const user = users.find((u) => u.id === userId);
+  if (!user) {
+    showMessage("❌ User not found", "error");
+    return;
+  }
+
+  if (
+    !confirm(`Permanently delete user "${user.name}"? This cannot be undone.`)
+  ) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/users/${userId}?purge=true`, {
+      method: "DELETE",
+      headers: { "If-Match": versionTag(user) },
+    });
+
+    const data = await response.json();
+
+    if (response.status === 412) {
+      replaceUserCard(data.user);
+      showMessage(
+        `⚠️ "${user.name}" was changed by someone else. Check the update before deleting.`,
+        "error"
+      );
+    } else if (data.success) {
+      showMessage(`✅ User "${user.name}" permanently deleted`, "success");
+      loadUsers();
+    } else {
+      throw apiError(data, "Failed to delete user");
+    }
+  } catch (error) {
+    console.error("Error purging user:", error);
+    showMessage(error, "error");
+  }
+}
+
+// Download every user as a CSV or JSON file
+function exportUsers(format) {
+  window.location.href = `${API_BASE}/users/export?format=${format}`;
+}
+
+// Summarize per-row import errors for showMessage
+function formatImportErrors(errors) {
+  const lines = errors.slice(0, 5).map((error) => {
+    const where = error.line ? `line ${error.line}` : `row ${error.row}`;
+    const details = error.fields ? Object.values(error.fields).join(", ") : "";
+    return `${where}: ${details || error.error}`;
+  });
+  if (errors.length > lines.length) {
+    lines.push(`...and ${errors.length - lines.length} more`);
+  }
+  return lines.join("; ");
+}
+
+// Preview an import file with a dry run, then import it once confirmed
+async function handleImportFile(event) {
+  const file = event.target.files[0];
+  event.target.value = "";
+  if (!file) {
+    return;
+  }
+
+  const extension = file.name.split(".").pop().toLowerCase();
+  const contentType =
+    {
+      json: "application/json",
+      ndjson: "application/x-ndjson",
+    }[extension] || "text/csv";
+  const text = await file.text();
+  const send = (params) =>
+    fetch(`${API_BASE}/users/import?${params}`, {
+      method: "POST",
+      headers: { "Content-Type": contentType },
+      body: text,
+    }).then((response) => response.json());
+
+  try {
+    const preview = await send("dry_run=true");
+    if (!preview.success) {
+      throw apiError(preview, "Failed to read import file");
+    }
+
+    const { valid, invalid } = preview.summary;
+    if (valid === 0) {
+      showMessage(
+        `❌ No users to import. ${formatImportErrors(preview.errors)}`,
+        "error"
+      );
+      return;
+    }
+    const question = invalid
+      ? `${valid} users are valid and ${invalid} have errors (${formatImportErrors(
+          preview.errors
+        )}).\n\nImport the ${valid} valid users?`
+      : `Import ${valid} users from "${file.name}"?`;
+    if (!confirm(question)) {
+      return;
+    }
+
+    const data = await send(invalid ? "mode=partial" : "mode=atomic");
+    if (data.success) {
+      const skipped = data.summary.failed
+        ? ` (${data.summary.failed} skipped)`
+        : "";
+      showMessage(
+        `✅ Imported ${data.summary.created} users${skipped}`,
+        "success"
+      );
+    } else {
+      showMessage(
+        `❌ ${data.detail}: ${formatImportErrors(data.errors || [])}`,
+        "error"
+      );
+    }
+    loadUsers();
+  } catch (error) {
+    console.error("Error importing users:", error);
+    showMessage(error, "error");
   }
 }
 
@@ -287,6 +1033,19 @@ function closeEditModal() {
   editUserForm.reset();
 }
 
+// Escape `text` and wrap the [start, end) ranges from search in <mark>
+function highlightText(text, ranges = []) {
+  let html = "";
+  let position = 0;
+  for (const [start, end] of ranges) {
+    html += `${escapeHtml(text.slice(position, start))}<mark>${escapeHtml(
+      text.slice(start, end)
+    )}</mark>`;
+    position = end;
+  }
+  return html + escapeHtml(text.slice(position));
+}
+
 // Utility function to escape HTML
 function escapeHtml(text) {
   const map = {
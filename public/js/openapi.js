@@ -0,0 +1,135 @@
+// OpenAPI helpers shared by the docs page and the API testing cards
+
+const OPENAPI_URL = "/api/openapi.json";
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+let openApiRequest = null;
+
+// Fetch the API description (once per page)
+function loadOpenApi() {
+  openApiRequest =
+    openApiRequest ||
+    fetch(OPENAPI_URL).then((response) => {
+      if (!response.ok) {
+        throw new Error(`Failed to load ${OPENAPI_URL} (${response.status})`);
+      }
+      return response.json();
+    });
+  return openApiRequest;
+}
+
+// Follow "#/components/..." references
+function resolveRef(spec, node) {
+  let resolved = node;
+  while (resolved && resolved.$ref) {
+    resolved = resolved.$ref
+      .slice(2)
+      .split("/")
+      .reduce((object, key) => object[key], spec);
+  }
+  return resolved;
+}
+
+// Operations grouped by their first tag, in the document's tag order
+function operationsByTag(spec) {
+  const groups = new Map(
+    (spec.tags || []).map((tag) => [
+      tag.name,
+      { tag: tag.name, operations: [] },
+    ])
+  );
+  for (const [path, item] of Object.entries(spec.paths)) {
+    for (const method of HTTP_METHODS) {
+      const operation = item[method];
+      if (!operation) {
+        continue;
+      }
+      const tag = (operation.tags || ["Other"])[0];
+      if (!groups.has(tag)) {
+        groups.set(tag, { tag, operations: [] });
+      }
+      groups.get(tag).operations.push({
+        method,
+        path,
+        operation,
+        parameters: [
+          ...(item.parameters || []),
+          ...(operation.parameters || []),
+        ].map((parameter) => resolveRef(spec, parameter)),
+      });
+    }
+  }
+  return [...groups.values()].filter((group) => group.operations.length > 0);
+}
+
+// A sample value: the schema's example or default, otherwise one built from
+// its type (objects get their required and exemplified properties)
+function sampleValue(spec, node) {
+  const schema = resolveRef(spec, node) || {};
+  if (schema.example !== undefined) {
+    return schema.example;
+  }
+  if (schema.default !== undefined) {
+    return schema.default;
+  }
+  if (schema.enum) {
+    return schema.enum[0];
+  }
+  if (schema.oneOf || schema.allOf) {
+    return sampleValue(spec, (schema.oneOf || schema.allOf)[0]);
+  }
+  switch (schema.type) {
+    case "object": {
+      const sample = {};
+      for (const [name, property] of Object.entries(schema.properties || {})) {
+        const resolved = resolveRef(spec, property);
+        if (
+          (schema.required || []).includes(name) ||
+          resolved.example !== undefined
+        ) {
+          sample[name] = sampleValue(spec, resolved);
+        }
+      }
+      return sample;
+    }
+    case "array":
+      return schema.items ? [sampleValue(spec, schema.items)] : [];
+    case "integer":
+    case "number":
+      return schema.minimum || 0;
+    case "boolean":
+      return true;
+    default:
+      return "";
+  }
+}
+
+// Example body for one request media type, as text for a textarea
+function mediaExample(spec, type, media) {
+  const value =
+    media.example !== undefined
+      ? media.example
+      : sampleValue(spec, media.schema || {});
+  if (typeof value === "string" && !/json$/.test(type)) {
+    return value;
+  }
+  return JSON.stringify(value, null, 2);
+}
+
+// Short description of a schema's type, e.g. "string (active | invited)"
+function schemaType(spec, node) {
+  const schema = resolveRef(spec, node) || {};
+  if (node && node.$ref) {
+    return node.$ref.split("/").pop();
+  }
+  if (schema.type === "array") {
+    return `array of ${schemaType(spec, schema.items)}`;
+  }
+  const type = schema.type || "any";
+  let details = "";
+  if (schema.enum) {
+    details = ` (${schema.enum.join(" | ")})`;
+  } else if (schema.format) {
+    details = ` (${schema.format})`;
+  }
+  return `${type}${schema.nullable ? " or null" : ""}${details}`;
+}
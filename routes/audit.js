@@ -0,0 +1,42 @@
+// Audit trail query endpoint
+
+const express = require("express");
+const { parseAuditQuery } = require("../lib/audit");
+const { authorize } = require("../lib/permissions");
+const { sendProblem } = require("../lib/problems");
+
+// Mounted at /api/audit behind authentication
+function createAuditRouter({ repository }) {
+  const router = express.Router();
+
+  // List audit entries, newest first
+  router.get("/", authorize("audit:read"), async (req, res) => {
+    const { query, error } = parseAuditQuery(req.query);
+    if (error) {
+      sendProblem(res, "invalid_parameter", error);
+      return;
+    }
+
+    try {
+      const { entries, total } = await repository.listAudit(query);
+      res.json({
+        success: true,
+        entries,
+        count: entries.length,
+        total,
+        pagination: {
+          limit: query.limit,
+          page: query.page,
+          totalPages: Math.max(1, Math.ceil(total / query.limit)),
+        },
+      });
+    } catch (error) {
+      req.log.error("Error fetching audit log", { error });
+      sendProblem(res, "internal_error", "Failed to fetch audit log");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuditRouter };
@@ -0,0 +1,155 @@
+// Login/logout for the web UI and API key management
+
+const express = require("express");
+const {
+  SESSION_COOKIE,
+  createSessionToken,
+  generateApiKey,
+  sessionCookieOptions,
+  verifyPassword,
+} = require("../lib/auth");
+const { parseId } = require("../lib/storage");
+const { permissionsFor } = require("../lib/permissions");
+const { sendFieldErrors, sendProblem } = require("../lib/problems");
+
+// Mounted at /api/auth; login and logout are public
+function createAuthRouter({
+  repository,
+  authenticate,
+  sessionSecret,
+  secureCookies,
+}) {
+  const router = express.Router();
+
+  // Log in with email and password
+  router.post("/login", async (req, res) => {
+    const { email, password } = req.body || {};
+
+    if (typeof email !== "string" || typeof password !== "string") {
+      sendFieldErrors(res, 400, {
+        ...(typeof email !== "string" && { email: "Email is required" }),
+        ...(typeof password !== "string" && {
+          password: "Password is required",
+        }),
+      });
+      return;
+    }
+
+    try {
+      const user = await repository.findByEmail(email.trim().toLowerCase());
+      const passwordHash = user && (await repository.getPasswordHash(user.id));
+      const valid =
+        passwordHash && (await verifyPassword(password, passwordHash));
+
+      if (!valid || user.status !== "active") {
+        sendProblem(res, "invalid_credentials", "Invalid email or password");
+        return;
+      }
+
+      res.cookie(
+        SESSION_COOKIE,
+        createSessionToken(user, sessionSecret),
+        sessionCookieOptions(secureCookies)
+      );
+      res.json({
+        success: true,
+        message: "Logged in successfully",
+        user,
+        permissions: permissionsFor(user),
+      });
+    } catch (error) {
+      req.log.error("Error logging in", { error });
+      sendProblem(res, "internal_error", "Failed to log in");
+    }
+  });
+
+  // Log out (clears the session cookie)
+  router.post("/logout", (req, res) => {
+    const { maxAge, ...options } = sessionCookieOptions(secureCookies);
+    res.clearCookie(SESSION_COOKIE, options);
+    res.json({ success: true, message: "Logged out successfully" });
+  });
+
+  // Current caller
+  router.get("/me", authenticate, (req, res) => {
+    res.json({
+      success: true,
+      user: req.user,
+      auth: req.auth.method,
+      permissions: permissionsFor(req.user),
+    });
+  });
+
+  return router;
+}
+
+// Mounted at /api/keys behind authentication; callers manage their own keys
+function createApiKeyRouter({ repository }) {
+  const router = express.Router();
+
+  // List API keys
+  router.get("/", async (req, res) => {
+    try {
+      const apiKeys = await repository.listApiKeys(req.user.id);
+      res.json({ success: true, apiKeys, count: apiKeys.length });
+    } catch (error) {
+      req.log.error("Error fetching API keys", { error });
+      sendProblem(res, "internal_error", "Failed to fetch API keys");
+    }
+  });
+
+  // Create API key; the plaintext key is only returned here
+  router.post("/", async (req, res) => {
+    const name =
+      req.body && typeof req.body.name === "string" ? req.body.name.trim() : "";
+
+    if (!name || name.length > 255) {
+      sendFieldErrors(res, 400, {
+        name: "Name is required (at most 255 characters)",
+      });
+      return;
+    }
+
+    try {
+      const { key, prefix, keyHash } = generateApiKey();
+      const apiKey = await repository.createApiKey({
+        userId: req.user.id,
+        name,
+        prefix,
+        keyHash,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "API key created. Store it now; it will not be shown again.",
+        apiKey: { ...apiKey, key },
+      });
+    } catch (error) {
+      req.log.error("Error creating API key", { error });
+      sendProblem(res, "internal_error", "Failed to create API key");
+    }
+  });
+
+  // Revoke API key
+  router.delete("/:id", async (req, res) => {
+    try {
+      const keyId = parseId(req.params.id);
+      const apiKey =
+        keyId && (await repository.revokeApiKey(keyId, req.user.id));
+
+      if (!apiKey) {
+        sendProblem(res, "api_key_not_found", "API key not found");
+        return;
+      }
+
+      res.json({ success: true, message: "API key revoked", apiKey });
+    } catch (error) {
+      req.log.error("Error revoking API key", { error });
+      sendProblem(res, "internal_error", "Failed to revoke API key");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter, createApiKeyRouter };
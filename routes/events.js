@@ -0,0 +1,63 @@
+// Server-Sent Events stream of user changes
+
+const express = require("express");
+const { authorize } = require("../lib/permissions");
+
+// Comment lines keep proxies from closing idle streams
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const RETRY_DELAY = 3000;
+
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+    ...event.data,
+    timestamp: event.timestamp,
+  })}\n\n`;
+}
+
+// Mounted at /api/events behind authentication
+function createEventsRouter({ hub }) {
+  const router = express.Router();
+
+  // Stream events as they happen; a Last-Event-ID header (sent by browsers
+  // on reconnect) or ?lastEventId= replays what was missed, or sends a
+  // "resync" event when that is no longer possible
+  router.get("/", authorize("users:read"), (req, res) => {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+    if (lastEventId) {
+      const missed = hub.since(lastEventId);
+      if (missed) {
+        missed.forEach((event) => res.write(formatEvent(event)));
+      } else {
+        res.write(`event: resync\ndata: {}\n\n`);
+      }
+    }
+
+    // The stream ends when the hub closes (at shutdown); browsers reconnect
+    // to another instance after RETRY_DELAY
+    const unsubscribe = hub.subscribe(
+      (event) => res.write(formatEvent(event)),
+      () => res.end()
+    );
+    const heartbeat = setInterval(
+      () => res.write(": ping\n\n"),
+      HEARTBEAT_INTERVAL
+    );
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createEventsRouter };
@@ -0,0 +1,96 @@
+// Health checks for load balancers, orchestrators and the dashboard
+//
+// - GET /api/health/live  - the process is up; never touches the database
+// - GET /api/health/ready - storage is initialized, answers, and is the
+//   configured backend (not the in-memory fallback), and the server is not
+//   shutting down
+// - GET /api/health       - deep check with the database status
+// - GET /api/health/sync  - writes made in fallback mode still waiting to be
+//   replayed into PostgreSQL
+//
+// Failing checks answer 503 so probes can act on the status code alone.
+
+const express = require("express");
+const { version } = require("../package.json");
+
+const MESSAGES = {
+  ok: "API is running with database",
+  degraded: "API is running on in-memory fallback storage",
+  down: "API is running but the database is unreachable",
+};
+
+// Mounted at /api/health; public
+function createHealthRouter({ repository, lifecycle }) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    const database = await repository.checkHealth();
+    let status = "ok";
+    if (database.fallback) {
+      status = "degraded";
+    } else if (!database.connected) {
+      status = "down";
+    }
+    const serving = status !== "down";
+
+    let userCount = null;
+    if (serving) {
+      try {
+        userCount = await repository.count();
+      } catch (error) {
+        req.log.warn("Error counting users for health check", { error });
+      }
+    }
+
+    res.status(serving ? 200 : 503).json({
+      success: serving,
+      status,
+      message: MESSAGES[status],
+      timestamp: new Date().toISOString(),
+      version,
+      uptime_seconds: Math.round(process.uptime()),
+      database,
+      userCount,
+    });
+  });
+
+  router.get("/live", (req, res) => {
+    res.json({
+      success: true,
+      status: "ok",
+      uptime_seconds: Math.round(process.uptime()),
+    });
+  });
+
+  router.get("/ready", async (req, res) => {
+    const database = repository.initialized
+      ? await repository.checkHealth()
+      : null;
+    const checks = {
+      storage_initialized: repository.initialized,
+      database_connected: Boolean(database && database.connected),
+      primary_storage: !repository.fallbackMode,
+      accepting_requests: !lifecycle.shuttingDown,
+    };
+    const ready = Object.values(checks).every(Boolean);
+
+    res.status(ready ? 200 : 503).json({
+      success: ready,
+      status: ready ? "ready" : "not_ready",
+      checks,
+      database,
+    });
+  });
+
+  router.get("/sync", (req, res) => {
+    res.json({
+      success: true,
+      fallback: repository.fallbackMode,
+      ...repository.syncStatus(),
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
@@ -0,0 +1,155 @@
+// User directory import and export endpoints
+
+const express = require("express");
+const { pipeline } = require("stream/promises");
+const { Readable } = require("stream");
+const {
+  EXPORT_FORMATS,
+  exportChunks,
+  importFormat,
+  parseExportQuery,
+  parseImport,
+  previewImport,
+  runImport,
+} = require("../lib/import-export");
+const { authorize } = require("../lib/permissions");
+const { BULK_MODES } = require("../lib/bulk");
+const { sendProblem } = require("../lib/problems");
+
+// Mounted at /api/users behind authentication, before the /:id routes
+function createImportExportRouter({ repository, events }) {
+  const router = express.Router();
+
+  // Stream every user matching the list filters as CSV, JSON or NDJSON
+  router.get("/export", authorize("users:read"), async (req, res) => {
+    const { format, query, error } = parseExportQuery(req.query);
+    if (error) {
+      sendProblem(res, "invalid_parameter", error);
+      return;
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", EXPORT_FORMATS[format]);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="users-${date}.${format}"`
+    );
+
+    try {
+      await pipeline(
+        Readable.from(exportChunks(repository, format, query)),
+        res
+      );
+    } catch (error) {
+      // The response is already streaming, so it can only be cut short
+      req.log.error("Error exporting users", { error });
+    }
+  });
+
+  // Import users from a CSV, JSON or NDJSON body; ?dry_run=true only checks
+  router.post(
+    "/import",
+    authorize("users:create"),
+    express.text({
+      type: ["text/csv", "text/plain", "application/x-ndjson"],
+      limit: "5mb",
+    }),
+    async (req, res) => {
+      const format = importFormat(req);
+      if (!format) {
+        sendProblem(
+          res,
+          "unsupported_media_type",
+          "Send text/csv, application/json or application/x-ndjson, or set ?format="
+        );
+        return;
+      }
+      const mode = req.query.mode === undefined ? "atomic" : req.query.mode;
+      if (!BULK_MODES.includes(mode)) {
+        sendProblem(
+          res,
+          "invalid_parameter",
+          `mode must be one of: ${BULK_MODES.join(", ")}`
+        );
+        return;
+      }
+      const dryRun = req.query.dry_run === "true";
+
+      const { rows, error } = parseImport(format, req.body);
+      if (error) {
+        sendProblem(res, "invalid_request", error);
+        return;
+      }
+
+      try {
+        if (dryRun) {
+          const results = await previewImport(repository, req.user, rows);
+          const valid = results.filter((result) => result.success);
+          res.json({
+            success: true,
+            dryRun,
+            summary: {
+              total: rows.length,
+              valid: valid.length,
+              invalid: rows.length - valid.length,
+            },
+            users: valid,
+            errors: results.filter((result) => !result.success),
+          });
+          return;
+        }
+
+        const { applied, status, results } = await runImport(
+          repository,
+          req,
+          rows,
+          mode
+        );
+        const created = applied
+          ? results.filter((result) => result.success).length
+          : 0;
+        const body = {
+          dryRun,
+          mode,
+          summary: {
+            total: rows.length,
+            created,
+            failed: rows.length - created,
+          },
+          // Rows skipped because another row failed are not errors
+          errors: results.filter(
+            (result) => !result.success && result.status !== 424
+          ),
+        };
+
+        if (!applied) {
+          sendProblem(
+            res,
+            "import_failed",
+            "Import failed; no users were imported",
+            {
+              status,
+              ...body,
+            }
+          );
+          return;
+        }
+
+        for (const result of results) {
+          if (result.success) {
+            events.publish("user.created", { user: result.user });
+          }
+        }
+
+        res.json({ success: true, ...body });
+      } catch (error) {
+        req.log.error("Error importing users", { error });
+        sendProblem(res, "internal_error", "Failed to import users");
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createImportExportRouter };
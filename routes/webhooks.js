@@ -0,0 +1,174 @@
+// Webhook subscription management and delivery log
+
+const express = require("express");
+const {
+  generateWebhookSecret,
+  parseDeliveryQuery,
+  publicWebhook,
+  validateWebhook,
+} = require("../lib/webhooks");
+const { parseId } = require("../lib/storage");
+const { authorize } = require("../lib/permissions");
+const { sendFieldErrors, sendProblem } = require("../lib/problems");
+
+// Mounted at /api/webhooks behind authentication
+function createWebhookRouter({ repository, dispatcher }) {
+  const router = express.Router();
+
+  router.use(authorize("webhooks:manage"));
+
+  // Look up :id for the routes below; 404 when it does not exist
+  async function findWebhook(req, res) {
+    const id = parseId(req.params.id);
+    const webhook = id && (await repository.getWebhook(id));
+    if (!webhook) {
+      sendProblem(res, "webhook_not_found", "Webhook not found");
+      return null;
+    }
+    return webhook;
+  }
+
+  // List subscriptions
+  router.get("/", async (req, res) => {
+    try {
+      const webhooks = (await repository.listWebhooks()).map(publicWebhook);
+      res.json({ success: true, webhooks, count: webhooks.length });
+    } catch (error) {
+      req.log.error("Error fetching webhooks", { error });
+      sendProblem(res, "internal_error", "Failed to fetch webhooks");
+    }
+  });
+
+  // Create subscription; the signing secret is only returned here
+  router.post("/", async (req, res) => {
+    const { value, errors } = validateWebhook(req.body);
+    if (errors) {
+      sendFieldErrors(res, 400, errors);
+      return;
+    }
+
+    try {
+      const webhook = await repository.createWebhook({
+        ...value,
+        secret: generateWebhookSecret(),
+        createdBy: req.user.id,
+      });
+      res.status(201).json({
+        success: true,
+        message:
+          "Webhook created. Store the secret now; it will not be shown again.",
+        webhook,
+      });
+    } catch (error) {
+      req.log.error("Error creating webhook", { error });
+      sendProblem(res, "internal_error", "Failed to create webhook");
+    }
+  });
+
+  // Get subscription
+  router.get("/:id", async (req, res) => {
+    try {
+      const webhook = await findWebhook(req, res);
+      if (webhook) {
+        res.json({ success: true, webhook: publicWebhook(webhook) });
+      }
+    } catch (error) {
+      req.log.error("Error fetching webhook", { error });
+      sendProblem(res, "internal_error", "Failed to fetch webhook");
+    }
+  });
+
+  // Replace subscription (url, events, active); the secret is kept
+  router.put("/:id", async (req, res) => {
+    const { value, errors } = validateWebhook(req.body);
+    if (errors) {
+      sendFieldErrors(res, 400, errors);
+      return;
+    }
+
+    try {
+      const id = parseId(req.params.id);
+      const webhook = id && (await repository.updateWebhook(id, value));
+      if (!webhook) {
+        sendProblem(res, "webhook_not_found", "Webhook not found");
+        return;
+      }
+      res.json({
+        success: true,
+        message: "Webhook updated",
+        webhook: publicWebhook(webhook),
+      });
+    } catch (error) {
+      req.log.error("Error updating webhook", { error });
+      sendProblem(res, "internal_error", "Failed to update webhook");
+    }
+  });
+
+  // Delete subscription and its delivery log
+  router.delete("/:id", async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      if (!id || !(await repository.deleteWebhook(id))) {
+        sendProblem(res, "webhook_not_found", "Webhook not found");
+        return;
+      }
+      res.json({ success: true, message: "Webhook deleted" });
+    } catch (error) {
+      req.log.error("Error deleting webhook", { error });
+      sendProblem(res, "internal_error", "Failed to delete webhook");
+    }
+  });
+
+  // Delivery attempts, newest first
+  router.get("/:id/deliveries", async (req, res) => {
+    const { query, error } = parseDeliveryQuery(req.query);
+    if (error) {
+      sendProblem(res, "invalid_parameter", error);
+      return;
+    }
+
+    try {
+      const webhook = await findWebhook(req, res);
+      if (!webhook) {
+        return;
+      }
+      const { deliveries, total } = await repository.listWebhookDeliveries({
+        webhookId: webhook.id,
+        ...query,
+      });
+      res.json({
+        success: true,
+        deliveries,
+        count: deliveries.length,
+        total,
+        pagination: {
+          limit: query.limit,
+          page: query.page,
+          totalPages: Math.max(1, Math.ceil(total / query.limit)),
+        },
+      });
+    } catch (error) {
+      req.log.error("Error fetching webhook deliveries", { error });
+      sendProblem(res, "internal_error", "Failed to fetch webhook deliveries");
+    }
+  });
+
+  // Send a test event and report how the receiver answered
+  router.post("/:id/ping", async (req, res) => {
+    try {
+      const webhook = await findWebhook(req, res);
+      if (!webhook) {
+        return;
+      }
+      const delivery = await dispatcher.ping(webhook);
+      res.json({ success: true, delivery });
+    } catch (error) {
+      req.log.error("Error pinging webhook", { error });
+      sendProblem(res, "internal_error", "Failed to ping webhook");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWebhookRouter };
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+// Check the configuration without starting the server
+//
+// Usage:
+//   npm run config:check    print the effective settings (secrets redacted)
+//                           or every invalid one; exits 1 if any are
+//
+// Reads the same environment variables and CONFIG_FILE as the server, so
+// it can run in a deploy step before the new version starts.
+
+const { SETTINGS, loadConfig } = require("../lib/config");
+
+try {
+  const config = loadConfig();
+  if (config.configFile) {
+    console.log(`Config file: ${config.configFile}\n`);
+  }
+  const width = Math.max(...Object.keys(SETTINGS).map((key) => key.length));
+  for (const [key, value] of Object.entries(config.summary)) {
+    const mark = config.defaults.includes(key) ? "  (default)" : "";
+    console.log(`${key.padEnd(width)}  ${JSON.stringify(value)}${mark}`);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
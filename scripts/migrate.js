@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// Schema migrations from the command line
+//
+// Usage:
+//   npm run migrate                 apply all pending migrations
+//   npm run migrate -- --dry-run    print pending migrations without running them
+//   npm run migrate:status          list applied and pending migrations
+//   npm run migrate:down [-- N]     revert the last N migrations (default 1)
+//
+// Uses the same STORAGE_BACKEND / DATABASE_URL / DATA_FILE settings (and
+// CONFIG_FILE) as the server, but never falls back to in-memory storage.
+
+const { loadConfig } = require("../lib/config");
+const { createAdapter } = require("../lib/storage");
+const {
+  loadMigrations,
+  pendingMigrations,
+  migrate,
+  rollback,
+} = require("../lib/migrations");
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args.find((arg) => !arg.startsWith("-")) || "up";
+  const dryRun = args.includes("--dry-run");
+
+  const adapter = createAdapter(loadConfig().storage);
+  await adapter.init();
+
+  try {
+    const migrations = loadMigrations();
+
+    if (command === "status" || (command === "up" && dryRun)) {
+      const applied = new Set(await adapter.appliedMigrations());
+      for (const migration of migrations) {
+        const mark = applied.has(migration.version) ? "applied" : "pending";
+        console.log(`${mark.padEnd(8)} ${migration.version}_${migration.name}`);
+      }
+      // Only PostgreSQL has SQL to show; other backends apply memory steps
+      if (dryRun && adapter.backend === "postgres") {
+        for (const migration of await pendingMigrations(adapter, migrations)) {
+          console.log(`\n-- ${migration.version}_${migration.name} (up)`);
+          console.log(migration.up.trim());
+        }
+      }
+      return;
+    }
+
+    if (command === "up") {
+      const applied = await migrate(adapter, migrations);
+      console.log(
+        applied.length > 0
+          ? `${applied.length} migration(s) applied`
+          : "Schema is up to date"
+      );
+      return;
+    }
+
+    if (command === "down") {
+      const steps = parseInt(args[1] || "1");
+      const reverted = await rollback(adapter, steps, migrations);
+      console.log(`${reverted.length} migration(s) reverted`);
+      return;
+    }
+
+    throw new Error(`Unknown command: ${command}`);
+  } finally {
+    await adapter.close();
+  }
+}
+
+main().catch((error) => {
+  console.error("Migration failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Local webhook receiver for trying out subscriptions
+//
+// Usage:
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [port]
+//
+// Prints every delivery and whether its signature is valid. Subscribe it with
+// POST /api/webhooks { "url": "http://localhost:4000/" }. Set FAIL_FIRST=N to
+// answer the first N deliveries with 500 and watch the retries.
+
+const http = require("http");
+const crypto = require("crypto");
+const { SIGNATURE_HEADER, signPayload } = require("../lib/webhooks");
+
+const port = Number(process.argv[2]) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+let failuresLeft = Number(process.env.FAIL_FIRST) || 0;
+
+function verify(header, body) {
+  const match = /^t=(\d+),v1=[0-9a-f]+$/.exec(header || "");
+  if (!secret || !match) {
+    return false;
+  }
+  const expected = Buffer.from(signPayload(secret, body, match[1]));
+  const actual = Buffer.from(header);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.setEncoding("utf8");
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    const signature = req.headers[SIGNATURE_HEADER.toLowerCase()];
+    const valid = verify(signature, body);
+    const status = failuresLeft > 0 ? 500 : 200;
+    failuresLeft = Math.max(0, failuresLeft - 1);
+
+    console.log(
+      `${new Date().toISOString()} ${req.headers["x-webhook-event"]} ` +
+        `attempt ${req.headers["x-webhook-attempt"]} ` +
+        `signature ${secret ? (valid ? "valid" : "INVALID") : "unchecked"} ` +
+        `-> ${status}`
+    );
+    console.log(body);
+
+    res.writeHead(status, { "Content-Type": "text/plain" });
+    res.end(status === 200 ? "ok" : "failing on purpose");
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/`);
+  if (!secret) {
+    console.log("WEBHOOK_SECRET is not set; signatures will not be checked");
+  }
+});
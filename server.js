@@ -1,58 +1,205 @@
 const express = require("express");
-const { Pool } = require("pg");
 const path = require("path");
 const cors = require("cors");
+const crypto = require("crypto");
 const bodyParser = require("body-parser");
+const { loadConfig } = require("./lib/config");
+const { createUserRepository, parseId } = require("./lib/storage");
+const { parseListQuery, pageCursors } = require("./lib/storage/query");
+const { parseSearchQuery, highlightUser } = require("./lib/storage/search");
+const { validateUser } = require("./lib/validation");
+const {
+  ensureAdmin,
+  hashPassword,
+  identify,
+  requireAuth,
+} = require("./lib/auth");
+const { createAuthRouter, createApiKeyRouter } = require("./routes/auth");
+const { authorize, can, sendForbidden } = require("./lib/permissions");
+const { auditEntry } = require("./lib/audit");
+const {
+  ifMatchCondition,
+  sendVersionConflict,
+  userEtag,
+} = require("./lib/etag");
+const { parseBulkRequest, runBulk } = require("./lib/bulk");
+const { idempotency } = require("./lib/idempotency");
+const {
+  PATCH_FORMATS,
+  applyUserPatch,
+  patchError,
+  patchFormat,
+} = require("./lib/patch");
+const { createAuditRouter } = require("./routes/audit");
+const { createImportExportRouter } = require("./routes/import-export");
+const { createEventHub } = require("./lib/events");
+const { createEventsRouter } = require("./routes/events");
+const { createWebhookDispatcher } = require("./lib/webhooks");
+const { createWebhookRouter } = require("./routes/webhooks");
+const { createHealthRouter } = require("./routes/health");
+const { createRateLimitStore, rateLimit } = require("./lib/rate-limit");
+const { openApiSpec } = require("./lib/openapi");
+const {
+  createRouteMatcher,
+  validateRequests,
+} = require("./lib/openapi-validation");
+const {
+  problemErrorHandler,
+  sendFieldErrors,
+  sendProblem,
+} = require("./lib/problems");
+const { logger, requestLogger } = require("./lib/logger");
+const { METRICS_CONTENT_TYPE, createApiMetrics } = require("./lib/metrics");
+const { createLifecycle } = require("./lib/lifecycle");
+
+// Settings from environment variables and CONFIG_FILE (see
+// lib/config.js); anything invalid stops the server before it starts
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  logger.error("Invalid configuration", {
+    errors: error.errors || [error.message],
+  });
+  process.exit(1);
+}
+logger.setLevel(config.logLevel);
+logger.info("Configuration loaded", {
+  config_file: config.configFile,
+  settings: config.summary,
+  defaults: config.defaults,
+});
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+
+// Behind a reverse proxy, TRUST_PROXY (hops or addresses) makes req.ip the
+// real client address
+if (config.trustProxy !== null) {
+  app.set("trust proxy", config.trustProxy);
+}
+
+// Storage setup: postgres (default), memory or file
+const repository = createUserRepository(config.storage);
+
+// Listening and graceful shutdown; SHUTDOWN_TIMEOUT_SECONDS bounds how long
+// in-flight requests get to finish
+const lifecycle = createLifecycle({ timeout: config.shutdownTimeout });
+
+// Request counts and durations, storage state and pool usage for /metrics
+const metrics = createApiMetrics({ repository });
+
+// Logs and metrics name API routes by their OpenAPI path
+// ("/api/users/{id}"), so every request to an endpoint is grouped however
+// far it got; anything else is a static file or unmatched
+const API_BASE = openApiSpec.servers[0].url;
+const matchRoute = createRouteMatcher(openApiSpec);
+function routeOf(req) {
+  const pathname = req.originalUrl.split("?")[0];
+  if (pathname === "/metrics") {
+    return pathname;
+  }
+  if (!pathname.startsWith(`${API_BASE}/`)) {
+    return "static";
+  }
+  const route = matchRoute(req.method, pathname.slice(API_BASE.length));
+  return route ? `${API_BASE}${route.template}` : "unmatched";
+}
 
 // Middleware
-app.use(cors());
-app.use(bodyParser.json());
+
+// Correlate each request (audit entries, error responses and log lines
+// record the id), then log it and count it once it is done
+app.use(requestLogger({ logger, routeOf, onComplete: metrics.recordRequest }));
+app.use(
+  cors({
+    // Cross-origin access is off unless CORS_ORIGINS lists allowed origins
+    origin: config.corsOrigins.length > 0 ? config.corsOrigins : false,
+    credentials: true,
+  })
+);
+// Bulk requests and imports may carry thousands of users
+app.use(
+  ["/api/users/bulk", "/api/users/import"],
+  bodyParser.json({ limit: "5mb" })
+);
+// PATCH bodies (merge patches and JSON Patches) are JSON too
+app.use(
+  bodyParser.json({ type: ["application/json", ...Object.keys(PATCH_FORMATS)] })
+);
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, "public")));
 
-// PostgreSQL database setup
-const pool = new Pool({
-  connectionString:
-    process.env.DATABASE_URL || "postgresql://localhost:5432/users_db",
-  ssl:
-    process.env.NODE_ENV === "production"
-      ? { rejectUnauthorized: false }
-      : false,
+// Session cookies are signed with SESSION_SECRET
+const sessionSecret =
+  config.sessionSecret || crypto.randomBytes(32).toString("hex");
+if (!config.sessionSecret) {
+  logger.warn("SESSION_SECRET is not set; sessions will not survive restarts");
+}
+
+// User change events, published once a change has committed
+const events = createEventHub();
+// ...and delivered to webhook subscriptions
+const webhooks = createWebhookDispatcher({ repository, hub: events });
+
+// On shutdown, end event streams right away; once requests are drained,
+// finish webhook deliveries (they log to storage), then close storage
+lifecycle.onStop(() => events.close());
+lifecycle.onDrained(() => webhooks.close());
+lifecycle.onDrained(() => repository.close());
+
+// Request quotas. Requests made with a valid API key count against the
+// key; everything else (public endpoints, sessions, failed authentication)
+// counts against the client IP, and so does every login attempt.
+const { rateLimits } = config;
+const rateLimitStore = createRateLimitStore(rateLimits.store, repository);
+const isApiKeyRequest = (req) =>
+  Boolean(req.auth) && req.auth.method === "api_key";
+const limitByIp = rateLimit({
+  ...rateLimits,
+  store: rateLimitStore,
+  clientKey: (req) =>
+    isApiKeyRequest(req) && req.path !== "/auth/login" ? null : `ip:${req.ip}`,
+});
+const limitByApiKey = rateLimit({
+  ...rateLimits,
+  store: rateLimitStore,
+  clientKey: (req) => (isApiKeyRequest(req) ? `key:${req.auth.keyId}` : null),
 });
 
-// Initialize database
+// Bootstrap the first login account
+async function ensureAdminAccount() {
+  if (config.admin) {
+    await ensureAdmin(repository, config.admin);
+    logger.info("Admin account ready", { email: config.admin.email });
+  }
+}
+
+// After leaving fallback mode the database may not have the account yet
+repository.onReconnect(ensureAdminAccount);
+
+// Initialize storage
 async function initializeDatabase() {
   try {
-    // Create users table if it doesn't exist
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    await repository.init();
 
     // Just check user count for logging
-    const result = await pool.query("SELECT COUNT(*) FROM users");
-    const count = parseInt(result.rows[0].count);
-    console.log(`Database ready - ${count} users found`);
+    const count = await repository.count();
+    logger.info("Database ready", { users: count });
 
-    console.log("PostgreSQL database initialized successfully");
+    await ensureAdminAccount();
+
+    logger.info("Storage initialized", {
+      storage: repository.label,
+      fallback: repository.fallbackMode,
+    });
   } catch (error) {
-    console.error("Database initialization error:", error);
-    // Fallback to in-memory storage if database connection fails
-    console.log("Falling back to in-memory storage for development");
-    global.fallbackMode = true;
-    global.users = []; // Start with empty users array
-    global.nextId = 1;
+    logger.error("Storage initialization failed", { error });
+    process.exit(1);
   }
 }
 
-// Initialize database on startup
-initializeDatabase();
+// Initialize database on startup (also when imported, e.g. by Vercel)
+const storageReady = initializeDatabase();
 
 // Routes
 
@@ -63,261 +210,603 @@ app.get("/", (req, res) => {
 
 // API Routes
 
-// Get all users
-app.get("/api/users", async (req, res) => {
+// Prometheus metrics; with METRICS_TOKEN set, scrapers must send it as a
+// bearer token
+app.get("/metrics", (req, res) => {
+  const token = config.metricsToken;
+  if (token && req.get("authorization") !== `Bearer ${token}`) {
+    res.set("WWW-Authenticate", 'Bearer realm="metrics"');
+    res.status(401).type("text/plain").send("Unauthorized\n");
+    return;
+  }
+  res.set("Content-Type", METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+// Callers are identified before the quotas are applied, but rejected only
+// once past the public endpoints
+app.use("/api", identify(repository, { sessionSecret }));
+app.use("/api", limitByIp);
+app.use("/api", limitByApiKey);
+
+// Parameters and JSON bodies must match the OpenAPI document; public
+// endpoints are checked here, the rest once the caller is authenticated
+app.use(API_BASE, validateRequests(openApiSpec, { access: "public" }));
+
+// OpenAPI document (browsable at /docs.html)
+app.get("/api/openapi.json", (req, res) => {
+  res.json(openApiSpec);
+});
+
+// Liveness, readiness and deep health checks
+app.use("/api/health", createHealthRouter({ repository, lifecycle }));
+
+// Authentication (login/logout are public)
+app.use(
+  "/api/auth",
+  createAuthRouter({
+    repository,
+    authenticate: requireAuth,
+    sessionSecret,
+    secureCookies: config.secureCookies,
+  })
+);
+
+// Everything below requires an API key or session
+app.use("/api", requireAuth);
+app.use(API_BASE, validateRequests(openApiSpec, { access: "protected" }));
+
+// API key management
+app.use("/api/keys", createApiKeyRouter({ repository }));
+
+// Audit trail
+app.use("/api/audit", createAuditRouter({ repository }));
+
+// Live change feed
+app.use("/api/events", createEventsRouter({ hub: events }));
+
+// Webhook subscriptions
+app.use(
+  "/api/webhooks",
+  createWebhookRouter({ repository, dispatcher: webhooks })
+);
+
+// Build a link to the current endpoint with some query params replaced
+function pageLink(req, changes) {
+  const params = new URLSearchParams(req.query);
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) {
+      params.delete(key);
+    } else {
+      params.set(key, value);
+    }
+  }
+  const search = params.toString();
+  return `${req.baseUrl}${req.path}${search ? `?${search}` : ""}`;
+}
+
+// Send one page of users with pagination metadata and links
+async function sendUserList(req, res, { trash }) {
+  const { query, error, problem } = parseListQuery(req.query, { trash });
+  if (error) {
+    sendProblem(res, problem, error);
+    return;
+  }
+
   try {
-    if (global.fallbackMode) {
-      // Fallback to in-memory storage
-      const sortedUsers = [...global.users].sort(
-        (a, b) => new Date(b.created_at) - new Date(a.created_at)
-      );
-      res.json({
-        success: true,
-        users: sortedUsers,
-        count: sortedUsers.length,
-      });
-      return;
+    const { users, total, hasNext, hasPrev } = await repository.list(query);
+    const cursors = pageCursors(query, users);
+
+    let next = null;
+    let prev = null;
+    if (query.cursor) {
+      next = hasNext ? pageLink(req, { cursor: cursors.next }) : null;
+      prev = hasPrev ? pageLink(req, { cursor: cursors.prev }) : null;
+    } else {
+      next = hasNext ? pageLink(req, { page: query.page + 1 }) : null;
+      prev = hasPrev ? pageLink(req, { page: query.page - 1 }) : null;
     }
 
-    const result = await pool.query(
-      "SELECT * FROM users ORDER BY created_at DESC"
-    );
-    res.json({ success: true, users: result.rows, count: result.rows.length });
+    res.json({
+      success: true,
+      users,
+      count: users.length,
+      total,
+      pagination: {
+        limit: query.limit,
+        page: query.page,
+        totalPages: Math.max(1, Math.ceil(total / query.limit)),
+        nextCursor: hasNext ? cursors.next : null,
+        prevCursor: hasPrev ? cursors.prev : null,
+      },
+      links: {
+        self: pageLink(req, {}),
+        next,
+        prev,
+      },
+    });
   } catch (error) {
-    console.error("Error fetching users:", error);
-    res.status(500).json({ error: "Failed to fetch users" });
+    req.log.error("Error fetching users", { error });
+    sendProblem(res, "internal_error", "Failed to fetch users");
+  }
+}
+
+// Get users (paginated, sortable, filterable; deleted users excluded)
+app.get("/api/users", authorize("users:read"), (req, res) =>
+  sendUserList(req, res, { trash: false })
+);
+
+// Get soft-deleted users (same paging and filters as the list)
+app.get("/api/users/trash", authorize("users:restore"), (req, res) =>
+  sendUserList(req, res, { trash: true })
+);
+
+// Search users by (possibly misspelled) name or email, best matches first
+app.get("/api/users/search", authorize("users:read"), async (req, res) => {
+  const { query, error } = parseSearchQuery(req.query);
+  if (error) {
+    sendProblem(res, "invalid_parameter", error);
+    return;
+  }
+
+  try {
+    const matches = await repository.search(query);
+    const users = matches.map((user) => ({
+      ...user,
+      highlights: highlightUser(user, query.text),
+    }));
+    res.json({ success: true, query: query.text, users, count: users.length });
+  } catch (error) {
+    req.log.error("Error searching users", { error });
+    sendProblem(res, "internal_error", "Failed to search users");
   }
 });
 
-// Get user by ID
-app.get("/api/users/:id", async (req, res) => {
+// CSV/JSON/NDJSON export and import
+app.use("/api/users", createImportExportRouter({ repository, events }));
+
+// Bulk create/update/delete, all-or-nothing ("atomic", the default) or
+// per operation ("partial")
+app.post("/api/users/bulk", async (req, res) => {
+  const { request, error } = parseBulkRequest(req.body);
+  if (error) {
+    sendProblem(res, "invalid_request", error);
+    return;
+  }
+
   try {
-    const userId = req.params.id;
+    const { applied, status, results } = await runBulk(
+      repository,
+      req,
+      request
+    );
+    const succeeded = results.filter((result) => result.success).length;
+    const summary = {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+    };
+
+    if (!applied) {
+      sendProblem(
+        res,
+        "bulk_failed",
+        "Bulk request failed; no changes were applied",
+        {
+          status,
+          mode: request.mode,
+          summary,
+          results,
+        }
+      );
+      return;
+    }
 
-    if (global.fallbackMode) {
-      // Fallback to in-memory storage
-      const user = global.users.find((u) => u.id === parseInt(userId));
-      if (!user) {
-        res.status(404).json({ error: "User not found" });
-        return;
+    // In partial mode failed operations sit alongside the applied ones
+    for (const { success, action, user, purged } of results) {
+      if (!success) {
+        continue;
+      }
+      if (action === "delete") {
+        events.publish("user.deleted", { user, purged });
+      } else {
+        const type = action === "create" ? "user.created" : "user.updated";
+        events.publish(type, { user });
       }
-      res.json({ success: true, user });
-      return;
     }
 
-    const result = await pool.query("SELECT * FROM users WHERE id = $1", [
-      userId,
-    ]);
+    res.json({ success: true, mode: request.mode, summary, results });
+  } catch (error) {
+    req.log.error("Error running bulk request", { error });
+    sendProblem(res, "internal_error", "Failed to run bulk request");
+  }
+});
 
-    if (result.rows.length === 0) {
-      res.status(404).json({ error: "User not found" });
+// Get user by ID
+app.get("/api/users/:id", authorize("users:read"), async (req, res) => {
+  try {
+    const userId = parseId(req.params.id);
+    const user = userId && (await repository.get(userId));
+
+    if (!user) {
+      sendProblem(res, "user_not_found", "User not found");
       return;
     }
 
-    res.json({ success: true, user: result.rows[0] });
+    // res.json answers a matching If-None-Match with 304
+    res.set("ETag", userEtag(user));
+    res.json({ success: true, user });
   } catch (error) {
-    console.error("Error fetching user:", error);
-    res.status(500).json({ error: "Failed to fetch user" });
+    req.log.error("Error fetching user", { error });
+    sendProblem(res, "internal_error", "Failed to fetch user");
   }
 });
 
-// Create new user
-app.post("/api/users", async (req, res) => {
-  const { name } = req.body;
+// Retried creates replay the first response instead of creating again
+const idempotentCreate = idempotency({
+  repository,
+  ttl: config.idempotencyTtl,
+});
 
-  // Validation
-  if (!name || !name.trim()) {
-    res.status(400).json({ error: "Name is required" });
-    return;
-  }
+// Create new user (send an Idempotency-Key header to make retries safe)
+app.post(
+  "/api/users",
+  authorize("users:create"),
+  idempotentCreate,
+  async (req, res) => {
+    // Validation
+    const { value, errors } = validateUser(req.body);
+    if (errors) {
+      sendFieldErrors(res, 400, errors);
+      return;
+    }
 
-  try {
-    if (global.fallbackMode) {
-      // Fallback to in-memory storage
-      const newUser = {
-        id: global.nextId++,
-        name: name.trim(),
-        created_at: new Date().toISOString(),
-      };
-
-      global.users.push(newUser);
+    // Only admins may create other admins
+    if (value.role === "admin" && !can(req.user, "users:manage_admins")) {
+      sendForbidden(res, "Only admins can grant the admin role");
+      return;
+    }
+
+    try {
+      const { password, ...fields } = value;
+      const passwordHash = password && (await hashPassword(password));
+
+      const user = await repository.transaction(async (tx) => {
+        const created = await tx.create(fields);
+        if (passwordHash) {
+          await tx.setPassword(created.id, passwordHash);
+        }
+        await tx.recordAudit(auditEntry(req, "create", null, created));
+        return created;
+      });
+      events.publish("user.created", { user });
+
+      res.set("ETag", userEtag(user));
       res.status(201).json({
         success: true,
         message: "User created successfully",
-        user: newUser,
+        user,
       });
-      return;
+    } catch (error) {
+      if (error.code === "UNIQUE_VIOLATION") {
+        sendFieldErrors(res, 409, { email: "Email is already in use" });
+        return;
+      }
+      req.log.error("Error creating user", { error });
+      sendProblem(res, "internal_error", "Failed to create user");
     }
-
-    const result = await pool.query(
-      "INSERT INTO users (name) VALUES ($1) RETURNING *",
-      [name.trim()]
-    );
-
-    res.status(201).json({
-      success: true,
-      message: "User created successfully",
-      user: result.rows[0],
-    });
-  } catch (error) {
-    console.error("Error creating user:", error);
-    res.status(500).json({ error: "Failed to create user" });
   }
-});
+);
 
-// Update user
-app.put("/api/users/:id", async (req, res) => {
-  const userId = req.params.id;
-  const { name } = req.body;
+// Update user (full replacement; omitted optional fields reset to defaults).
+// With If-Match, only if the user is still at that version (else 412).
+app.put("/api/users/:id", authorize("users:update"), async (req, res) => {
+  const userId = parseId(req.params.id);
 
   // Validation
-  if (!name || !name.trim()) {
-    res.status(400).json({ error: "Name is required" });
+  const { value, errors } = validateUser(req.body);
+  if (errors) {
+    sendFieldErrors(res, 400, errors);
     return;
   }
 
   try {
-    if (global.fallbackMode) {
-      // Fallback to in-memory storage
-      const userIndex = global.users.findIndex(
-        (u) => u.id === parseInt(userId)
-      );
-      if (userIndex === -1) {
-        res.status(404).json({ error: "User not found" });
-        return;
-      }
-
-      global.users[userIndex] = {
-        ...global.users[userIndex],
-        name: name.trim(),
-      };
+    const existing = userId && (await repository.get(userId));
+    if (!existing) {
+      sendProblem(res, "user_not_found", "User not found");
+      return;
+    }
 
-      res.json({
-        success: true,
-        message: "User updated successfully",
-        user: global.users[userIndex],
-      });
+    // Only admins may change admin accounts or grant the admin role
+    if (
+      (existing.role === "admin" || value.role === "admin") &&
+      !can(req.user, "users:manage_admins")
+    ) {
+      sendForbidden(res, "Only admins can change admin accounts");
       return;
     }
 
-    const result = await pool.query(
-      "UPDATE users SET name = $1 WHERE id = $2 RETURNING *",
-      [name.trim(), userId]
-    );
+    const { password, ...fields } = value;
+    const passwordHash = password && (await hashPassword(password));
 
-    if (result.rows.length === 0) {
-      res.status(404).json({ error: "User not found" });
+    const user = await repository.transaction(async (tx) => {
+      const before = await tx.get(userId);
+      const updated =
+        before &&
+        (await tx.update(userId, fields, ifMatchCondition(req, before)));
+      if (!updated) {
+        return null;
+      }
+      // Password is kept unless a new one is sent
+      if (passwordHash) {
+        await tx.setPassword(userId, passwordHash);
+      }
+      await tx.recordAudit(auditEntry(req, "update", before, updated));
+      return updated;
+    });
+
+    if (!user) {
+      sendProblem(res, "user_not_found", "User not found");
       return;
     }
+    events.publish("user.updated", { user });
 
+    res.set("ETag", userEtag(user));
     res.json({
       success: true,
       message: "User updated successfully",
-      user: result.rows[0],
+      user,
     });
   } catch (error) {
-    console.error("Error updating user:", error);
-    res.status(500).json({ error: "Failed to update user" });
+    if (error.code === "UNIQUE_VIOLATION") {
+      sendFieldErrors(res, 409, { email: "Email is already in use" });
+      return;
+    }
+    if (error.code === "VERSION_CONFLICT") {
+      sendVersionConflict(res, error.user);
+      return;
+    }
+    req.log.error("Error updating user", { error });
+    sendProblem(res, "internal_error", "Failed to update user");
   }
 });
 
-// Delete user
-app.delete("/api/users/:id", async (req, res) => {
-  try {
-    const userId = req.params.id;
-
-    if (global.fallbackMode) {
-      // Fallback to in-memory storage
-      const userIndex = global.users.findIndex(
-        (u) => u.id === parseInt(userId)
-      );
-      if (userIndex === -1) {
-        res.status(404).json({ error: "User not found" });
-        return;
-      }
+// Expected PATCH failures (see patchError) as problems
+function sendPatchError(res, { status, message, fields }) {
+  if (status === 403) {
+    sendForbidden(res, message);
+  } else if (fields) {
+    sendFieldErrors(res, status, fields);
+  } else if (status === 409) {
+    sendProblem(res, "patch_conflict", message);
+  } else {
+    sendProblem(res, "invalid_patch", message);
+  }
+}
 
-      global.users.splice(userIndex, 1);
-      res.json({ success: true, message: "User deleted successfully" });
-      return;
-    }
+// Partial update with a JSON Merge Patch or JSON Patch body. The patch is
+// applied to the current user and validated inside one transaction, so it
+// applies completely or not at all. Honours If-Match like PUT.
+app.patch("/api/users/:id", authorize("users:update"), async (req, res) => {
+  const format = patchFormat(req);
+  if (!format) {
+    sendProblem(
+      res,
+      "unsupported_media_type",
+      `Send the patch as ${Object.keys(PATCH_FORMATS).join(" or ")}`
+    );
+    return;
+  }
 
-    const result = await pool.query(
-      "DELETE FROM users WHERE id = $1 RETURNING id",
-      [userId]
+  // Apply the patch to `before` and check the result; returns the new
+  // password (if any) and the other fields
+  function patchUser(before) {
+    const { value, errors } = validateUser(
+      applyUserPatch(before, format, req.body)
     );
+    if (errors) {
+      throw patchError(400, "Validation failed", errors);
+    }
+    // Only admins may change admin accounts or grant the admin role
+    if (
+      (before.role === "admin" || value.role === "admin") &&
+      !can(req.user, "users:manage_admins")
+    ) {
+      throw patchError(403, "Only admins can change admin accounts");
+    }
+    const { password, ...fields } = value;
+    return { password, fields };
+  }
 
-    if (result.rows.length === 0) {
-      res.status(404).json({ error: "User not found" });
+  try {
+    const userId = parseId(req.params.id);
+    // Patched once before the transaction so a new password is hashed
+    // outside it, then again against the user as the transaction reads it
+    const existing = userId && (await repository.get(userId));
+    const { password } = existing ? patchUser(existing) : {};
+    const passwordHash = password && (await hashPassword(password));
+
+    const user =
+      existing &&
+      (await repository.transaction(async (tx) => {
+        const before = await tx.get(userId);
+        if (!before) {
+          return null;
+        }
+        const condition = ifMatchCondition(req, before);
+        const { fields } = patchUser(before);
+        const updated = await tx.update(userId, fields, condition);
+        if (passwordHash) {
+          await tx.setPassword(userId, passwordHash);
+        }
+        await tx.recordAudit(auditEntry(req, "update", before, updated));
+        return updated;
+      }));
+
+    if (!user) {
+      sendProblem(res, "user_not_found", "User not found");
       return;
     }
+    events.publish("user.updated", { user });
 
-    res.json({ success: true, message: "User deleted successfully" });
+    res.set("ETag", userEtag(user));
+    res.json({
+      success: true,
+      message: "User updated successfully",
+      user,
+    });
   } catch (error) {
-    console.error("Error deleting user:", error);
-    res.status(500).json({ error: "Failed to delete user" });
+    if (error.code === "UNIQUE_VIOLATION") {
+      sendFieldErrors(res, 409, { email: "Email is already in use" });
+      return;
+    }
+    if (error.code === "VERSION_CONFLICT") {
+      sendVersionConflict(res, error.user);
+      return;
+    }
+    if (error.status) {
+      sendPatchError(res, error);
+      return;
+    }
+    req.log.error("Error patching user", { error });
+    sendProblem(res, "internal_error", "Failed to update user");
   }
 });
 
-// Health check endpoint
-app.get("/api/health", async (req, res) => {
-  try {
-    let userCount = 0;
-    let databaseType = "PostgreSQL";
+// Restore a soft-deleted user
+app.post(
+  "/api/users/:id/restore",
+  authorize("users:restore"),
+  async (req, res) => {
+    try {
+      const userId = parseId(req.params.id);
+      const user =
+        userId &&
+        (await repository.transaction(async (tx) => {
+          const before = await tx.get(userId, { includeDeleted: true });
+          const restored = before && (await tx.restore(userId));
+          if (!restored) {
+            return null;
+          }
+          await tx.recordAudit(auditEntry(req, "restore", before, restored));
+          return restored;
+        }));
 
-    if (global.fallbackMode) {
-      userCount = global.users.length;
-      databaseType = "In-Memory (Fallback)";
-    } else {
-      const result = await pool.query("SELECT COUNT(*) FROM users");
-      userCount = parseInt(result.rows[0].count);
+      if (!user) {
+        sendProblem(res, "user_not_found", "User not found in trash");
+        return;
+      }
+      events.publish("user.restored", { user });
+
+      res.set("ETag", userEtag(user));
+      res.json({
+        success: true,
+        message: "User restored successfully",
+        user,
+      });
+    } catch (error) {
+      req.log.error("Error restoring user", { error });
+      sendProblem(res, "internal_error", "Failed to restore user");
+    }
+  }
+);
+
+// Delete user: moves it to the trash, or with ?purge=true removes it for
+// good (live or already trashed). Honours If-Match like PUT.
+app.delete("/api/users/:id", authorize("users:delete"), async (req, res) => {
+  const purge = req.query.purge === "true";
+  if (purge && !can(req.user, "users:purge")) {
+    sendForbidden(res);
+    return;
+  }
+
+  try {
+    const userId = parseId(req.params.id);
+    const user =
+      userId &&
+      (await repository.transaction(async (tx) => {
+        const before = await tx.get(userId, { includeDeleted: purge });
+        if (!before) {
+          return null;
+        }
+        const condition = ifMatchCondition(req, before);
+        if (purge) {
+          await tx.purge(userId, condition);
+          await tx.recordAudit(auditEntry(req, "purge", before, null));
+          return before;
+        }
+        const after = await tx.remove(userId, condition);
+        await tx.recordAudit(auditEntry(req, "delete", before, after));
+        return after;
+      }));
+
+    if (!user) {
+      sendProblem(res, "user_not_found", "User not found");
+      return;
     }
+    events.publish("user.deleted", { user, purged: purge });
 
     res.json({
       success: true,
-      message: "API is running with database",
-      timestamp: new Date().toISOString(),
-      version: "1.0.0",
-      database: databaseType,
-      userCount: userCount,
+      message: purge
+        ? "User permanently deleted"
+        : "User moved to trash successfully",
     });
   } catch (error) {
-    res.json({
-      success: true,
-      message: "API is running (database connection issue)",
-      timestamp: new Date().toISOString(),
-      version: "1.0.0",
-      database: "Connection Error",
-      userCount: 0,
-    });
+    if (error.code === "VERSION_CONFLICT") {
+      sendVersionConflict(res, error.user);
+      return;
+    }
+    req.log.error("Error deleting user", { error });
+    sendProblem(res, "internal_error", "Failed to delete user");
   }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error("Unhandled error:", err);
-  res.status(500).json({ error: "Internal server error" });
-});
-
 // Handle 404 for API routes
 app.use("/api/*", (req, res) => {
-  res.status(404).json({ error: "API endpoint not found" });
+  sendProblem(res, "route_not_found", "API endpoint not found");
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 User Management API running on http://localhost:${PORT}`);
-  console.log(`📊 API Documentation: http://localhost:${PORT}/api/users`);
-  console.log(`🌐 Web Interface: http://localhost:${PORT}`);
-  console.log(`💾 Database: PostgreSQL (with fallback support)`);
-});
+// Error handling middleware (registered last so it sees every error)
+app.use(problemErrorHandler);
+
+// Listen on `port` (0 picks a free one) once storage is ready; resolves
+// with the HTTP server
+app.start = async ({ port = config.port } = {}) => {
+  await storageReady;
+  return lifecycle.listen(app, port);
+};
+
+// Stop gracefully (see lib/lifecycle.js); resolves once storage is closed
+app.shutdown = (reason) => lifecycle.shutdown(reason);
+
+// Run directly (npm start), listen and shut down on SIGTERM or SIGINT; a
+// second signal exits at once
+if (require.main === module) {
+  app.start().then(
+    (server) => {
+      const url = `http://localhost:${server.address().port}`;
+      logger.info("User Management API listening", {
+        url,
+        docs: `${url}/docs.html`,
+        metrics: `${url}/metrics`,
+        storage: repository.label,
+      });
+    },
+    (error) => {
+      logger.error("Server failed to start", { error });
+      process.exit(1);
+    }
+  );
 
-// Graceful shutdown
-process.on("SIGINT", () => {
-  console.log("\nShutting down server...");
-  pool.end(() => {
-    console.log("Database connection pool closed.");
-    process.exit(0);
-  });
-});
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.on(signal, () => {
+      if (lifecycle.shuttingDown) {
+        logger.warn("Shutdown interrupted", { signal });
+        process.exit(1);
+      }
+      app.shutdown(signal).then(() => process.exit(0));
+    });
+  }
+}
 
 module.exports = app;
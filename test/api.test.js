@@ -0,0 +1,773 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const { ADMIN, SESSION_SECRET, startBackend } = require("./support/backends");
+const { SESSION_COOKIE, createSessionToken } = require("../lib/auth");
+const { openApiSpec } = require("../lib/openapi");
+const { MAX_BULK_OPERATIONS } = require("../lib/bulk");
+const { MAX_IMPORT_ROWS } = require("../lib/import-export");
+const {
+  checkResponse,
+  createRouteMatcher,
+} = require("../lib/openapi-validation");
+
+const API_BASE = openApiSpec.servers[0].url;
+const matchRoute = createRouteMatcher(openApiSpec);
+
+// Every test runs its requests against each backend in turn
+let backends = [];
+
+before(async () => {
+  backends = await Promise.all(["fallback", "postgres"].map(startBackend));
+  for (const backend of backends) {
+    const response = await fetch(`${backend.url}/api/auth/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(ADMIN),
+    });
+    assert.equal(response.status, 200, `${backend.name} login`);
+    backend.cookie = response.headers.get("set-cookie").split(";")[0];
+  }
+});
+
+after(() => Promise.all(backends.map((backend) => backend.stop())));
+
+// Timestamps differ between backends (and runs); everything else must not
+const TIMESTAMP = /\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(\.\d+)?Z/g;
+
+function normalize(value) {
+  if (typeof value === "string") {
+    return value.replace(TIMESTAMP, "<time>");
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, normalize(item)])
+    );
+  }
+  return value;
+}
+
+async function call(backend, method, path, { body, headers, requestId }) {
+  const init = {
+    method,
+    headers: { Cookie: backend.cookie, "X-Request-Id": requestId, ...headers },
+  };
+  if (body !== undefined) {
+    init.body = typeof body === "string" ? body : JSON.stringify(body);
+    init.headers = { "Content-Type": "application/json", ...init.headers };
+  }
+  const response = await fetch(`${backend.url}${path}`, init);
+  const contentType = response.headers.get("content-type") || "";
+  const text = await response.text();
+  // Express tags other responses with a hash of the body (W/"...")
+  const etag = response.headers.get("etag");
+  return {
+    status: response.status,
+    contentType,
+    etag: etag && !etag.startsWith("W/") ? etag : null,
+    body: /json/.test(contentType) && text ? JSON.parse(text) : text,
+  };
+}
+
+// The response must be one the OpenAPI document describes
+function checkContract(method, path, response) {
+  const pathname = path.split("?")[0];
+  const route = matchRoute(method, pathname.slice(API_BASE.length));
+  if (!route) {
+    assert.equal(response.status, 404, `${method} ${path} is not documented`);
+    assert.equal(response.body.code, "route_not_found");
+    return;
+  }
+  assert.deepEqual(
+    checkResponse(openApiSpec, route.operation, {
+      ...response,
+      body: response.body === "" ? undefined : response.body,
+    }),
+    {},
+    `${method} ${path} (${response.status}) does not match the document`
+  );
+}
+
+let requests = 0;
+
+// Send the same request (with the same request id) to every backend; each
+// response must match the document and all must be the same. Resolves with
+// the response.
+async function send(method, path, options = {}) {
+  const requestId = `api-test-${++requests}`;
+  const responses = [];
+  for (const backend of backends) {
+    const response = await call(backend, method, path, {
+      ...options,
+      requestId,
+    });
+    checkContract(method, path, response);
+    responses.push(response);
+  }
+  const [first, ...rest] = responses.map(normalize);
+  rest.forEach((response, i) =>
+    assert.deepEqual(
+      response,
+      first,
+      `${method} ${path}: ${backends[i + 1].name} differs from ${backends[0].name}`
+    )
+  );
+  return responses[0];
+}
+
+const names = (response) => response.body.users.map((user) => user.name);
+
+// Every user `path` lists, following nextCursor from page to page. Cursors
+// may hold timestamps, so each backend follows its own; the users must be
+// the same.
+async function walk(path) {
+  const walks = [];
+  for (const backend of backends) {
+    const users = [];
+    let next = path;
+    while (next) {
+      const page = await call(backend, "GET", next, {});
+      checkContract("GET", next, page);
+      users.push(...page.body.users);
+      const cursor = page.body.pagination.nextCursor;
+      next = cursor && `${path}&cursor=${cursor}`;
+    }
+    walks.push(normalize(users));
+  }
+  const [first, ...rest] = walks;
+  rest.forEach((users, i) =>
+    assert.deepEqual(
+      users,
+      first,
+      `${path}: ${backends[i + 1].name} differs from ${backends[0].name}`
+    )
+  );
+  return first;
+}
+
+test("creates users and reads them back", async () => {
+  const created = await send("POST", "/api/users", {
+    body: {
+      name: "Ada Lovelace",
+      email: "Ada@Example.com",
+      role: "editor",
+      metadata: { team: "analytics" },
+    },
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.etag, '"1"');
+  const { user } = created.body;
+  assert.equal(user.email, "ada@example.com");
+  assert.equal(user.status, "active");
+
+  const fetched = await send("GET", `/api/users/${user.id}`);
+  assert.equal(fetched.status, 200);
+  assert.deepEqual(fetched.body.user, user);
+
+  // fetch() adds Cache-Control: no-cache to conditional requests unless
+  // the request has its own, and Express never answers those with 304
+  const unchanged = await send("GET", `/api/users/${user.id}`, {
+    headers: { "If-None-Match": fetched.etag, "Cache-Control": "max-age=0" },
+  });
+  assert.equal(unchanged.status, 304);
+});
+
+test("rejects invalid users", async () => {
+  const missing = await send("POST", "/api/users", { body: {} });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.code, "validation_failed");
+  assert.deepEqual(Object.keys(missing.body.fields), ["name"]);
+
+  const invalid = await send("POST", "/api/users", {
+    body: { name: "Bad Role", email: "not-an-email", role: "owner" },
+  });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(Object.keys(invalid.body.fields).sort(), ["role"]);
+
+  const badEmail = await send("POST", "/api/users", {
+    body: { name: "Bad Email", email: "not-an-email" },
+  });
+  assert.equal(badEmail.status, 400);
+  assert.deepEqual(Object.keys(badEmail.body.fields), ["email"]);
+
+  const badMetadata = await send("POST", "/api/users", {
+    body: { name: "Bad Metadata", metadata: [1, 2] },
+  });
+  assert.equal(badMetadata.status, 400);
+  assert.deepEqual(Object.keys(badMetadata.body.fields), ["metadata"]);
+
+  const malformed = await send("POST", "/api/users", { body: "{" });
+  assert.equal(malformed.status, 400);
+
+  const duplicate = await send("POST", "/api/users", {
+    body: { name: "Ada Again", email: "ada@example.com" },
+  });
+  assert.equal(duplicate.status, 409);
+  assert.deepEqual(Object.keys(duplicate.body.fields), ["email"]);
+
+  const badQuery = await send("GET", "/api/users?limit=0");
+  assert.equal(badQuery.status, 400);
+  assert.equal(badQuery.body.code, "invalid_parameter");
+
+  const badSort = await send("GET", "/api/users?sort=password");
+  assert.equal(badSort.status, 400);
+
+  // A cursor whose value is not a date, for a date sort
+  const cursor = Buffer.from(
+    JSON.stringify({ sort: "created_at", order: "desc", value: "soon", id: 1 })
+  ).toString("base64url");
+  for (const value of [cursor, "not-a-cursor"]) {
+    const badCursor = await send("GET", `/api/users?cursor=${value}`);
+    assert.equal(badCursor.status, 400);
+    assert.equal(badCursor.body.code, "invalid_cursor");
+  }
+});
+
+test("asks anonymous callers to authenticate before checking requests", async () => {
+  for (const [method, path, body] of [
+    ["POST", "/api/users", {}],
+    ["GET", "/api/users?limit=0"],
+    ["GET", "/api/users/abc"],
+  ]) {
+    const response = await send(method, path, {
+      body,
+      headers: { Cookie: "" },
+    });
+    assert.equal(response.status, 401, `${method} ${path}`);
+    assert.equal(response.body.code, "authentication_required");
+  }
+
+  const login = await send("POST", "/api/auth/login", {
+    body: {},
+    headers: { Cookie: "" },
+  });
+  assert.equal(login.status, 400);
+
+  // Cookies that do not decode are ignored, not errors
+  const malformed = await send("GET", "/api/users?limit=1", {
+    headers: { Cookie: "session=%E0" },
+  });
+  assert.equal(malformed.status, 401);
+  for (const backend of backends) {
+    const response = await call(backend, "GET", "/api/users?limit=1", {
+      headers: { Cookie: `theme=%E0; ${backend.cookie}` },
+    });
+    assert.equal(response.status, 200, backend.name);
+  }
+
+  // A session only holds while its user id still has its email (ids change
+  // when fallback writes are replayed)
+  const { body } = await send("POST", "/api/users", {
+    body: { name: "Session Holder", email: "holder@sessions.test" },
+  });
+  const sessionFor = (email) => ({
+    headers: {
+      Cookie: `${SESSION_COOKIE}=${createSessionToken(
+        { id: body.user.id, email },
+        SESSION_SECRET
+      )}`,
+    },
+  });
+  const own = await send("GET", "/api/auth/me", sessionFor(body.user.email));
+  assert.equal(own.status, 200);
+  assert.equal(own.body.user.id, body.user.id);
+  const other = await send("GET", "/api/auth/me", sessionFor(ADMIN.email));
+  assert.equal(other.status, 401);
+});
+
+test("answers 404 for missing users and routes", async () => {
+  for (const [method, body] of [
+    ["GET"],
+    ["PUT", { name: "Nobody" }],
+    ["PATCH", { name: "Nobody" }],
+    ["DELETE"],
+  ]) {
+    const response = await send(method, "/api/users/999999", {
+      body,
+      headers: method === "PATCH" && {
+        "Content-Type": "application/merge-patch+json",
+      },
+    });
+    assert.equal(response.status, 404, method);
+    assert.equal(response.body.code, "user_not_found");
+  }
+
+  const restore = await send("POST", "/api/users/999999/restore");
+  assert.equal(restore.status, 404);
+
+  const badId = await send("GET", "/api/users/abc");
+  assert.equal(badId.status, 400);
+  assert.equal(badId.body.code, "invalid_parameter");
+
+  // Ids past the PostgreSQL integer range cannot exist
+  for (const path of [
+    "/api/users/99999999999",
+    "/api/audit?user_id=99999999999",
+  ]) {
+    const tooLarge = await send("GET", path);
+    assert.equal(tooLarge.status, 400, path);
+    assert.equal(tooLarge.body.code, "invalid_parameter");
+  }
+  const bulk = await send("POST", "/api/users/bulk", {
+    body: { operations: [{ action: "delete", id: 99999999999 }] },
+  });
+  assert.equal(bulk.status, 400);
+  assert.equal(bulk.body.code, "bulk_failed");
+
+  const route = await send("GET", "/api/nothing-here");
+  assert.equal(route.status, 404);
+  assert.equal(route.body.code, "route_not_found");
+});
+
+test("lists users in the requested order", async () => {
+  const team = ["Grace Hopper", "alan turing", "Barbara Liskov", "Edsger"];
+  for (const [i, name] of team.entries()) {
+    await send("POST", "/api/users", {
+      body: {
+        name,
+        email: `${name.split(" ")[0].toLowerCase()}@lists.test`,
+        role: i % 2 ? "viewer" : "editor",
+      },
+    });
+  }
+
+  const byName = await send("GET", "/api/users?sort=name&order=asc");
+  assert.equal(byName.status, 200);
+  const sorted = [...names(byName)].sort((a, b) =>
+    a.toLowerCase() < b.toLowerCase() ? -1 : 1
+  );
+  assert.deepEqual(names(byName), sorted);
+
+  const newest = await send("GET", "/api/users");
+  assert.deepEqual(names(newest).slice(0, 4), [...team].reverse());
+
+  const editors = await send("GET", "/api/users?role=editor&sort=email");
+  assert.ok(editors.body.users.every((user) => user.role === "editor"));
+  assert.equal(editors.body.total, editors.body.count);
+
+  const filtered = await send("GET", "/api/users?name_contains=AR&sort=id");
+  assert.deepEqual(names(filtered), ["Barbara Liskov"]);
+
+  // Pages and cursors walk the same order
+  const first = await send("GET", "/api/users?sort=name&order=asc&limit=2");
+  assert.deepEqual(names(first), names(byName).slice(0, 2));
+  assert.equal(
+    first.body.pagination.totalPages,
+    Math.ceil(byName.body.total / 2)
+  );
+  const second = await send("GET", first.body.links.next);
+  assert.deepEqual(names(second), names(byName).slice(2, 4));
+  const next = await send(
+    "GET",
+    `/api/users?sort=name&order=asc&limit=2&cursor=${first.body.pagination.nextCursor}`
+  );
+  assert.deepEqual(names(next), names(second));
+
+  // Users created in the same instant are neither skipped nor repeated
+  for (const order of ["asc", "desc"]) {
+    const ids = (
+      await walk(`/api/users?sort=created_at&order=${order}&limit=2`)
+    ).map((user) => user.id);
+    assert.equal(new Set(ids).size, ids.length, order);
+    assert.equal(ids.length, byName.body.total, order);
+  }
+});
+
+test("orders names by character code, punctuation included", async () => {
+  // Locale collations would skip the punctuation and compare "obrien"
+  const expected = [
+    "O Brien",
+    "o'brien",
+    "o-brien",
+    "O.Brien",
+    "o_brien",
+    "Obrien",
+  ];
+  for (const name of [...expected].reverse()) {
+    await send("POST", "/api/users", { body: { name } });
+  }
+
+  const query = "/api/users?name_contains=brien&sort=name&order=asc&limit=2";
+  const byName = await send("GET", query.replace("limit=2", "limit=10"));
+  assert.deepEqual(names(byName), expected);
+
+  const walked = await walk(query);
+  assert.deepEqual(
+    walked.map((user) => user.name),
+    expected
+  );
+});
+
+test("updates users with PUT and PATCH, honouring If-Match", async () => {
+  const { body } = await send("POST", "/api/users", {
+    body: { name: "Linus", email: "linus@updates.test" },
+  });
+  const path = `/api/users/${body.user.id}`;
+
+  const replaced = await send("PUT", path, {
+    body: { name: "Linus Torvalds", email: "linus@updates.test" },
+    headers: { "If-Match": '"1"' },
+  });
+  assert.equal(replaced.status, 200);
+  assert.equal(replaced.etag, '"2"');
+
+  const merged = await send("PATCH", path, {
+    body: { role: "editor", metadata: { kernel: true } },
+    headers: { "Content-Type": "application/merge-patch+json" },
+  });
+  assert.equal(merged.status, 200);
+  assert.equal(merged.body.user.name, "Linus Torvalds");
+  assert.deepEqual(merged.body.user.metadata, { kernel: true });
+
+  const patched = await send("PATCH", path, {
+    body: [
+      { op: "test", path: "/role", value: "editor" },
+      { op: "replace", path: "/status", value: "suspended" },
+    ],
+    headers: { "Content-Type": "application/json-patch+json" },
+  });
+  assert.equal(patched.status, 200);
+  assert.equal(patched.body.user.status, "suspended");
+
+  const failedTest = await send("PATCH", path, {
+    body: [{ op: "test", path: "/role", value: "admin" }],
+    headers: { "Content-Type": "application/json-patch+json" },
+  });
+  assert.equal(failedTest.status, 409);
+
+  const stale = await send("PUT", path, {
+    body: { name: "Stale Write" },
+    headers: { "If-Match": '"1"' },
+  });
+  assert.equal(stale.status, 412);
+  assert.equal(stale.body.user.name, "Linus Torvalds");
+
+  const unsupported = await send("PATCH", path, {
+    body: { name: "Plain JSON" },
+  });
+  assert.equal(unsupported.status, 415);
+});
+
+test("moves deleted users to the trash and restores them", async () => {
+  const { body } = await send("POST", "/api/users", {
+    body: { name: "Temporary", email: "temp@trash.test" },
+  });
+  const path = `/api/users/${body.user.id}`;
+
+  assert.equal((await send("DELETE", path)).status, 200);
+  assert.equal((await send("GET", path)).status, 404);
+  const trash = await send("GET", "/api/users/trash");
+  assert.deepEqual(names(trash), ["Temporary"]);
+
+  const restored = await send("POST", `${path}/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.user.deleted_at, null);
+
+  const purged = await send("DELETE", `${path}?purge=true`);
+  assert.equal(purged.status, 200);
+  assert.equal((await send("GET", "/api/users/trash")).body.total, 0);
+  assert.equal((await send("POST", `${path}/restore`)).status, 404);
+});
+
+test("searches users by similar names and emails", async () => {
+  const search = await send("GET", "/api/users/search?q=grace%20hoper");
+  assert.equal(search.status, 200);
+  assert.equal(search.body.users[0].name, "Grace Hopper");
+
+  const missing = await send("GET", "/api/users/search");
+  assert.equal(missing.status, 400);
+});
+
+test("runs bulk requests atomically or per operation", async () => {
+  const atomic = await send("POST", "/api/users/bulk", {
+    body: {
+      operations: [
+        { action: "create", user: { name: "Bulk One" } },
+        { action: "update", id: 999999, user: { name: "Missing" } },
+      ],
+    },
+  });
+  assert.equal(atomic.status, 404);
+  assert.equal(atomic.body.code, "bulk_failed");
+  const none = await send("GET", "/api/users?name_prefix=bulk");
+  assert.equal(none.body.total, 0);
+
+  const partial = await send("POST", "/api/users/bulk", {
+    body: {
+      mode: "partial",
+      operations: [
+        { action: "create", user: { name: "Bulk One" } },
+        { action: "create", user: { name: "" } },
+        { action: "delete", id: 999999 },
+      ],
+    },
+  });
+  assert.equal(partial.status, 200);
+  assert.deepEqual(partial.body.summary, { total: 3, succeeded: 1, failed: 2 });
+});
+
+test("exports and imports users", async () => {
+  const csv = await send("GET", "/api/users/export?format=csv&sort=id");
+  assert.equal(csv.status, 200);
+  assert.match(csv.body, /^id,name,email/);
+  assert.match(csv.body, /Ada Lovelace,ada@example\.com/);
+
+  const json = await send("GET", "/api/users/export?format=json&sort=id");
+  assert.ok(json.body.some((user) => user.email === "ada@example.com"));
+
+  const imported = await send("POST", "/api/users/import", {
+    body: "name,email,role\nMargaret Hamilton,margaret@import.test,editor\n",
+    headers: { "Content-Type": "text/csv" },
+  });
+  assert.equal(imported.status, 200);
+  assert.equal(imported.body.summary.created, 1);
+
+  // Cells spreadsheets would run as formulas are escaped, and read back
+  await send("POST", "/api/users", {
+    body: { name: "=HYPERLINK(1)", email: "formula@import.test" },
+  });
+  const escaped = await send("GET", "/api/users/export?format=csv&sort=id");
+  assert.match(escaped.body, /\r\n\d+,'=HYPERLINK\(1\),formula@import/);
+  const formula = await send("POST", "/api/users/import", {
+    body: "name,email\n'@Grace Import,grace@import.test\n",
+    headers: { "Content-Type": "text/csv" },
+  });
+  assert.equal(formula.status, 200);
+  const found = await send("GET", "/api/users/search?q=grace@import.test");
+  const grace = found.body.users.find(
+    (user) => user.email === "grace@import.test"
+  );
+  assert.equal(grace.name, "@Grace Import");
+  const reexported = await send("GET", "/api/users/export?format=csv&sort=id");
+  assert.match(reexported.body, /\r\n\d+,'@Grace Import,grace@import/);
+
+  const conflict = await send("POST", "/api/users/import", {
+    body: "name,email\nMargaret Again,margaret@import.test\n",
+    headers: { "Content-Type": "text/csv" },
+  });
+  assert.equal(conflict.status, 409);
+  assert.equal(conflict.body.code, "import_failed");
+});
+
+test("imports more rows than a bulk request takes, up to its own limit", async () => {
+  const csv = (count, domain) =>
+    ["name,email"]
+      .concat(
+        Array.from({ length: count }, (_, i) => `Row ${i},row${i}@${domain}`)
+      )
+      .join("\n");
+
+  const large = await send("POST", "/api/users/import", {
+    body: csv(MAX_BULK_OPERATIONS + 1, "large.test"),
+    headers: { "Content-Type": "text/csv" },
+  });
+  assert.equal(large.status, 200);
+  assert.equal(large.body.summary.created, MAX_BULK_OPERATIONS + 1);
+
+  // One transaction gives the rows (nearly) the same created_at; exports
+  // page past the first batch without skipping or repeating any
+  for (const order of ["asc", "desc"]) {
+    const exported = await send(
+      "GET",
+      `/api/users/export?format=csv&name_prefix=row&sort=created_at&order=${order}`
+    );
+    const ids = exported.body
+      .trim()
+      .split("\r\n")
+      .slice(1)
+      .map((line) => line.split(",")[0]);
+    assert.equal(ids.length, MAX_BULK_OPERATIONS + 1, order);
+    assert.equal(new Set(ids).size, ids.length, order);
+  }
+
+  const tooLarge = await send("POST", "/api/users/import", {
+    body: csv(MAX_IMPORT_ROWS + 1, "too-large.test"),
+    headers: { "Content-Type": "text/csv" },
+  });
+  assert.equal(tooLarge.status, 400);
+  assert.match(tooLarge.body.detail, /at most 5000 users/);
+});
+
+// Poll `check` until it returns something truthy, for up to `timeout` ms
+async function until(check, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result || Date.now() > deadline) {
+      return result;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+// A webhook receiver recording each request. Paths under /fail answer 500.
+async function startReceiver() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      res.writeHead(req.url.startsWith("/fail") ? 500 : 204).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    received,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test("signs webhook deliveries and retries failed ones", async () => {
+  const receiver = await startReceiver();
+  try {
+    for (const backend of backends) {
+      const create = async (body) => {
+        const response = await call(backend, "POST", "/api/webhooks", {
+          body,
+        });
+        checkContract("POST", "/api/webhooks", response);
+        assert.equal(response.status, 201, backend.name);
+        return response.body.webhook;
+      };
+
+      // Events arrive signed with the subscription's secret
+      const webhook = await create({
+        url: `${receiver.url}/${backend.name}`,
+        events: ["user.created"],
+      });
+      const user = await call(backend, "POST", "/api/users", {
+        body: {
+          name: "Hooked User",
+          email: `hooked-${backend.name}@webhook.test`,
+        },
+      });
+      const delivery = await until(() =>
+        receiver.received.find(
+          (request) =>
+            request.path === `/${backend.name}` &&
+            JSON.parse(request.body).data.user.id === user.body.user.id
+        )
+      );
+      assert.ok(delivery, `${backend.name} delivered user.created`);
+      assert.equal(delivery.headers["x-webhook-event"], "user.created");
+      const [, timestamp, signature] = delivery.headers[
+        "x-webhook-signature"
+      ].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+      const expected = crypto
+        .createHmac("sha256", webhook.secret)
+        .update(`${timestamp}.${delivery.body}`)
+        .digest("hex");
+      assert.equal(signature, expected, backend.name);
+
+      // A failed delivery is logged with its retry, which is logged in turn
+      const failing = await create({ url: `${receiver.url}/fail` });
+      const sent = Date.now();
+      const ping = await call(
+        backend,
+        "POST",
+        `/api/webhooks/${failing.id}/ping`,
+        {}
+      );
+      const answered = Date.now();
+      assert.equal(ping.status, 200);
+      const first = ping.body.delivery;
+      assert.equal(first.attempt, 1);
+      assert.equal(first.success, false);
+      assert.equal(first.response_status, 500);
+      // The first retry comes a second later
+      const retryAt = Date.parse(first.next_retry_at);
+      assert.ok(retryAt >= sent + 1000 && retryAt <= answered + 1000);
+
+      const path = `/api/webhooks/${failing.id}/deliveries`;
+      const log = await until(async () => {
+        const response = await call(backend, "GET", path, {});
+        return response.body.total >= 2 && response;
+      });
+      assert.ok(log, `${backend.name} retried the ping`);
+      checkContract("GET", path, log);
+      const [retry, original] = log.body.deliveries;
+      assert.equal(retry.attempt, 2);
+      assert.equal(retry.event_id, first.event_id);
+      assert.equal(retry.success, false);
+      assert.ok(retry.next_retry_at, "a third attempt is scheduled");
+      assert.equal(original.id, first.id);
+
+      // Deleting the subscriptions also stops the retries
+      for (const { id } of [webhook, failing]) {
+        await call(backend, "DELETE", `/api/webhooks/${id}`, {});
+      }
+    }
+  } finally {
+    await receiver.close();
+  }
+});
+
+test("replays responses to repeated Idempotency-Keys", async () => {
+  const body = {
+    name: "Idempotent User",
+    email: "idempotent@idempotency.test",
+  };
+  const headers = { "Idempotency-Key": "create-idempotent-user" };
+
+  const first = await send("POST", "/api/users", { body, headers });
+  assert.equal(first.status, 201);
+  const replay = await send("POST", "/api/users", { body, headers });
+  assert.deepEqual(replay, first);
+
+  const reused = await send("POST", "/api/users", {
+    body: { ...body, name: "Someone Else" },
+    headers,
+  });
+  assert.equal(reused.status, 422);
+  assert.equal(reused.body.code, "idempotency_key_reused");
+
+  // Of two concurrent requests only one runs; the other is told to retry or,
+  // if the first already finished, gets its response
+  for (const backend of backends) {
+    const options = {
+      body: { name: "Concurrent User", email: "concurrent@idempotency.test" },
+      headers: { "Idempotency-Key": "create-concurrent-user" },
+    };
+    const responses = await Promise.all([
+      call(backend, "POST", "/api/users", options),
+      call(backend, "POST", "/api/users", options),
+    ]);
+    const created = responses.filter((response) => response.status === 201);
+    assert.ok(created.length >= 1, backend.name);
+    for (const response of responses) {
+      if (response.status === 409) {
+        assert.equal(response.body.code, "idempotency_key_in_use");
+      } else {
+        assert.deepEqual(response, created[0], backend.name);
+      }
+    }
+  }
+  const concurrent = await send("GET", "/api/users?name_prefix=concurrent");
+  assert.equal(concurrent.body.total, 1);
+});
+
+test("reports the fallback as disconnected but still serving", async () => {
+  const health = {};
+  for (const backend of backends) {
+    const response = await call(backend, "GET", "/api/health", {});
+    checkContract("GET", "/api/health", response);
+    health[backend.name] = response;
+  }
+
+  const { fallback, postgres } = health;
+  assert.equal(fallback.status, 200);
+  assert.equal(fallback.body.status, "degraded");
+  assert.equal(fallback.body.database.connected, false);
+  assert.equal(fallback.body.database.fallback, true);
+  assert.equal(postgres.body.status, "ok");
+  assert.equal(postgres.body.database.connected, true);
+  assert.equal(postgres.body.database.fallback, false);
+});
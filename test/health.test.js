@@ -0,0 +1,41 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+process.env.LOG_LEVEL = "silent";
+const { createUserRepository } = require("../lib/storage");
+const { createLifecycle } = require("../lib/lifecycle");
+const { createLogger } = require("../lib/logger");
+const { createHealthRouter } = require("../routes/health");
+
+test("readiness turns false once shutdown starts", async () => {
+  const logger = createLogger({ level: "silent", flush: async () => {} });
+  const repository = createUserRepository({
+    backend: "memory",
+    migrateOnBoot: true,
+  });
+  await repository.init();
+  const lifecycle = createLifecycle({ logger });
+  const app = express();
+  app.use("/api/health", createHealthRouter({ repository, lifecycle }));
+
+  const server = await lifecycle.listen(app, 0);
+  const url = `http://localhost:${server.address().port}/api/health/ready`;
+  let readiness = null;
+  lifecycle.onStop(async () => {
+    readiness = await fetch(url);
+  });
+
+  assert.equal((await fetch(url)).status, 200);
+  await lifecycle.shutdown("test");
+
+  assert.equal(readiness.status, 503);
+  const body = await readiness.json();
+  assert.equal(body.status, "not_ready");
+  assert.deepEqual(body.checks, {
+    storage_initialized: true,
+    database_connected: true,
+    primary_storage: true,
+    accepting_requests: false,
+  });
+});
@@ -0,0 +1,104 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LOG_LEVEL = "silent";
+const { createMemoryRepository } = require("../lib/storage/memory");
+const { replayJournal } = require("../lib/storage/journal");
+const { migrate } = require("../lib/migrations");
+
+// Stands in for PostgreSQL, with a user of its own so ids differ
+async function createTarget() {
+  const target = createMemoryRepository();
+  await migrate(target);
+  await target.create({ name: "Existing", email: "existing@example.com" });
+  return target;
+}
+
+const user = (id, name) => ({
+  id,
+  name,
+  email: `${name.toLowerCase()}@example.com`,
+  status: "active",
+  role: "viewer",
+  metadata: {},
+});
+
+const audit = (seq, userId, actorId, after) => ({
+  seq,
+  op: "audit",
+  entry: {
+    action: "create",
+    userId,
+    actorId,
+    actorEmail: null,
+    requestId: null,
+    before: null,
+    after,
+  },
+});
+
+test("maps audit actors to synced users and drops unknown ones", async () => {
+  const target = await createTarget();
+  const ada = user(1, "Ada");
+  const grace = user(2, "Grace");
+  const { applied, conflicts, ids } = await replayJournal(
+    target,
+    [
+      { seq: 1, op: "create", user: ada },
+      audit(2, 1, null, ada),
+      { seq: 3, op: "create", user: grace },
+      audit(4, 2, 1, grace),
+      // Signed in before the fallback: not a user the journal knows
+      audit(5, 2, 7, grace),
+      audit(6, 2, 0, grace),
+    ],
+    {}
+  );
+
+  assert.equal(applied, 6);
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(ids, { 1: 2, 2: 3 });
+  const { entries } = await target.listAudit({
+    filters: {},
+    limit: 10,
+    offset: 0,
+  });
+  assert.deepEqual(
+    entries.reverse().map((entry) => [entry.user_id, entry.actor_id]),
+    [
+      [2, null],
+      [3, 2],
+      [3, null],
+      [3, null],
+    ]
+  );
+  assert.equal(entries[1].after.id, 3);
+});
+
+test("records audit entries for unknown users as conflicts", async () => {
+  const target = await createTarget();
+  const ghost = user(5, "Ghost");
+  const { applied, conflicts } = await replayJournal(
+    target,
+    [audit(1, 5, null, ghost), { seq: 2, op: "update", user: ghost }],
+    {}
+  );
+
+  assert.equal(applied, 0);
+  assert.deepEqual(
+    conflicts.map(({ seq, op, user_id, reason, skipped }) => ({
+      seq,
+      op,
+      user_id,
+      reason,
+      skipped,
+    })),
+    [{ seq: 1, op: "audit", user_id: 5, reason: "unknown_user", skipped: 1 }]
+  );
+  const { total } = await target.listAudit({
+    filters: {},
+    limit: 10,
+    offset: 0,
+  });
+  assert.equal(total, 0);
+});
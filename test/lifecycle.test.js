@@ -0,0 +1,137 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const express = require("express");
+const { createLifecycle } = require("../lib/lifecycle");
+const { createLogger } = require("../lib/logger");
+
+// A logger that keeps its lines for assertions
+function memoryLogger() {
+  const lines = [];
+  const logger = createLogger({
+    level: "debug",
+    write: (line) => lines.push(JSON.parse(line)),
+    flush: async () => {},
+  });
+  return { logger, lines };
+}
+
+// An app whose GET /wait responds once `release()` is called
+function slowApp() {
+  const app = express();
+  let release;
+  const released = new Promise((resolve) => {
+    release = resolve;
+  });
+  app.get("/wait", async (req, res) => {
+    await released;
+    res.json({ done: true });
+  });
+  app.get("/", (req, res) => res.json({ ok: true }));
+  return { app, release };
+}
+
+// Resolves with { status, headers, body } or rejects with the socket error
+function request(port, path) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ port, path, agent: false }, (res) => {
+      let body = "";
+      res.on("data", (chunk) => {
+        body += chunk;
+      });
+      res.on("end", () =>
+        resolve({ status: res.statusCode, headers: res.headers, body })
+      );
+    });
+    req.on("error", reject);
+  });
+}
+
+// Wait until `count` requests have reached the server
+async function inFlight(lifecycle, count) {
+  while (lifecycle.inFlight < count) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+test("waits for in-flight requests before closing", async () => {
+  const { logger } = memoryLogger();
+  const lifecycle = createLifecycle({ logger, timeout: 5000 });
+  const { app, release } = slowApp();
+  const server = await lifecycle.listen(app, 0);
+  const { port } = server.address();
+
+  const pending = request(port, "/wait");
+  await inFlight(lifecycle, 1);
+  const shutdown = lifecycle.shutdown("test");
+  assert.equal(lifecycle.shuttingDown, true);
+
+  release();
+  const response = await pending;
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.connection, "close");
+  assert.deepEqual(JSON.parse(response.body), { done: true });
+
+  await shutdown;
+  assert.equal(server.listening, false);
+  await assert.rejects(request(port, "/"), { code: "ECONNREFUSED" });
+});
+
+test("closes connections left open after the timeout", async () => {
+  const { logger, lines } = memoryLogger();
+  const lifecycle = createLifecycle({ logger, timeout: 50 });
+  const { app, release } = slowApp();
+  const server = await lifecycle.listen(app, 0);
+
+  const pending = request(server.address().port, "/wait");
+  await inFlight(lifecycle, 1);
+  await lifecycle.shutdown("test");
+  await assert.rejects(pending, { code: "ECONNRESET" });
+  release();
+
+  const warning = lines.find((line) => line.level === "warn");
+  assert.equal(warning.in_flight, 1);
+});
+
+test("runs stop hooks first and drained hooks in order", async () => {
+  const { logger, lines } = memoryLogger();
+  const lifecycle = createLifecycle({ logger });
+  const server = await lifecycle.listen(express(), 0);
+  const calls = [];
+
+  lifecycle.onDrained(() =>
+    calls.push(`drained 1, listening: ${server.listening}`)
+  );
+  lifecycle.onDrained(async () => {
+    throw new Error("hook failed");
+  });
+  lifecycle.onDrained(() => calls.push("drained 2"));
+  lifecycle.onStop(() => calls.push(`stop, listening: ${server.listening}`));
+
+  await lifecycle.shutdown("test");
+  assert.deepEqual(calls, [
+    "stop, listening: true",
+    "drained 1, listening: false",
+    "drained 2",
+  ]);
+  assert.equal(
+    lines.find((line) => line.level === "error").error.message,
+    "hook failed"
+  );
+});
+
+test("shuts down only once", async () => {
+  const { logger } = memoryLogger();
+  const lifecycle = createLifecycle({ logger });
+  await lifecycle.listen(express(), 0);
+  let stops = 0;
+  lifecycle.onStop(() => {
+    stops++;
+  });
+
+  const first = lifecycle.shutdown("SIGTERM");
+  const second = lifecycle.shutdown("SIGINT");
+  assert.equal(first, second);
+  await first;
+  assert.equal(stops, 1);
+});
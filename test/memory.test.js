@@ -0,0 +1,65 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("timers/promises");
+
+const { createMemoryRepository } = require("../lib/storage/memory");
+const { migrate } = require("../lib/migrations");
+
+test("rolling back a transaction keeps writes of concurrent ones", async () => {
+  const repository = createMemoryRepository();
+  await migrate(repository);
+
+  const failing = repository.transaction(async (tx) => {
+    await tx.create({ name: "Rolled Back", email: "back@example.com" });
+    await sleep(20);
+    throw new Error("rollback");
+  });
+  const committed = repository.transaction((tx) =>
+    tx.create({ name: "Committed", email: "kept@example.com" })
+  );
+
+  await assert.rejects(failing, /rollback/);
+  await committed;
+  assert.equal(await repository.findByEmail("back@example.com"), null);
+  assert.equal(
+    (await repository.findByEmail("kept@example.com")).name,
+    "Committed"
+  );
+});
+
+test("rolling back a transaction undoes its own writes only", async () => {
+  const repository = createMemoryRepository();
+  await migrate(repository);
+  const ada = await repository.create({
+    name: "Ada",
+    email: "ada@example.com",
+  });
+  const before = structuredClone(repository.state);
+
+  const failing = repository.transaction(async (tx) => {
+    const grace = await tx.create({
+      name: "Grace",
+      email: "grace@example.com",
+    });
+    await tx.update(ada.id, { name: "Ada Lovelace" });
+    await tx.setPassword(grace.id, "hash");
+    await tx.recordAudit({ action: "create", userId: grace.id, after: grace });
+    await tx.purge(ada.id);
+    await sleep(20);
+    throw new Error("rollback");
+  });
+  // Written outside the transaction while it runs, so it stays
+  await sleep(5);
+  const webhook = await repository.createWebhook({
+    url: "https://example.com/hook",
+    events: ["user.created"],
+    secret: "whsec_test",
+    active: true,
+    createdBy: ada.id,
+  });
+
+  await assert.rejects(failing, /rollback/);
+  const withoutWebhooks = ({ webhooks, nextWebhookId, ...rest }) => rest;
+  assert.deepEqual(withoutWebhooks(repository.state), withoutWebhooks(before));
+  assert.deepEqual(await repository.getWebhook(webhook.id), webhook);
+});
@@ -0,0 +1,181 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const net = require("net");
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.LOG_LEVEL = "silent";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "correct horse";
+process.env.SHUTDOWN_TIMEOUT_SECONDS = "5";
+const app = require("../server");
+const { openApiSpec } = require("../lib/openapi");
+
+const LOGIN = JSON.stringify({
+  email: process.env.ADMIN_EMAIL,
+  password: process.env.ADMIN_PASSWORD,
+});
+
+let port;
+
+before(async () => {
+  const server = await app.start({ port: 0 });
+  port = server.address().port;
+});
+
+// Send `head` on a raw connection and resolve with a function that sends
+// `rest` and resolves with the raw response
+async function partialRequest(head) {
+  const socket = net.connect(port);
+  await new Promise((resolve) => socket.once("connect", resolve));
+  socket.write(head);
+  let response = "";
+  socket.on("data", (chunk) => {
+    response += chunk;
+  });
+  const ended = new Promise((resolve) => socket.once("close", resolve));
+  return async (rest) => {
+    socket.write(rest);
+    await ended;
+    return response;
+  };
+}
+
+function statusOf(response) {
+  return Number(response.split(" ")[1]);
+}
+
+function bodyOf(response) {
+  return JSON.parse(response.slice(response.indexOf("\r\n\r\n") + 4));
+}
+
+test("serves requests once started", async () => {
+  const response = await fetch(`http://localhost:${port}/api/health/ready`);
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.checks.accepting_requests, true);
+});
+
+test("counts logins and rejected API keys against the client IP", async () => {
+  async function remaining(path, init) {
+    const response = await fetch(`http://localhost:${port}${path}`, {
+      ...init,
+      headers: { Authorization: "Bearer um_not-a-key", ...init.headers },
+    });
+    return Number(response.headers.get("RateLimit-Remaining"));
+  }
+
+  const login = {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: LOGIN,
+  };
+  const first = await remaining("/api/auth/login", login);
+  assert.equal(await remaining("/api/auth/login", login), first - 1);
+
+  const users = await remaining("/api/users", {});
+  assert.equal(await remaining("/api/users", {}), users - 1);
+});
+
+test("answers client errors from Express and body-parser with their status", async () => {
+  const login = await fetch(`http://localhost:${port}/api/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: LOGIN,
+  });
+  const cookie = login.headers.get("set-cookie").split(";")[0];
+
+  // The catch-all /api/* route cannot decode the path
+  const path = await fetch(`http://localhost:${port}/api/nothing/%E0`, {
+    headers: { Cookie: cookie },
+  });
+  assert.equal(path.status, 400);
+  assert.equal((await path.json()).code, "invalid_request");
+
+  const large = await fetch(`http://localhost:${port}/api/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email: "x".repeat(200 * 1024) }),
+  });
+  assert.equal(large.status, 413);
+  assert.equal((await large.json()).code, "payload_too_large");
+});
+
+// "METHOD /path" for every route in an Express router stack. Express 4
+// keeps a router's mount path only as a regular expression, so it is turned
+// back into a string.
+function mountedRoutes(stack, prefix = "") {
+  const routes = [];
+  for (const layer of stack) {
+    if (layer.route) {
+      for (const method of Object.keys(layer.route.methods)) {
+        const route = (prefix + layer.route.path).replace(/\/$/, "");
+        routes.push(`${method.toUpperCase()} ${route}`);
+      }
+    } else if (layer.name === "router") {
+      const mount = layer.regexp.source
+        .replace("^", "")
+        .replace("\\/?(?=\\/|$)", "")
+        .replace(/\\\//g, "/");
+      routes.push(...mountedRoutes(layer.handle.stack, prefix + mount));
+    }
+  }
+  return routes;
+}
+
+// The spec is written by hand, so check it against the mounted routes
+test("documents every API route in the OpenAPI spec, and nothing else", () => {
+  const documented = Object.entries(openApiSpec.paths).flatMap(
+    ([path, operations]) =>
+      Object.keys(operations)
+        .filter((key) => key !== "parameters")
+        .map((method) => `${method.toUpperCase()} ${path}`)
+  );
+  // Under /api, in OpenAPI path syntax
+  const mounted = mountedRoutes(app._router.stack)
+    .filter((route) => route.includes(" /api/"))
+    .map((route) => route.replace(" /api/", " /").replace(/:(\w+)/g, "{$1}"));
+  assert.deepEqual([...new Set(mounted)].sort(), documented.sort());
+});
+
+test("shuts down gracefully", async () => {
+  const login = await fetch(`http://localhost:${port}/api/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: LOGIN,
+  });
+  const cookie = login.headers.get("set-cookie").split(";")[0];
+
+  // An event stream, which never finishes on its own
+  const stream = await new Promise((resolve) =>
+    http.get(
+      { port, path: "/api/events", headers: { Cookie: cookie }, agent: false },
+      resolve
+    )
+  );
+  const streamEnded = new Promise((resolve) => stream.on("end", resolve));
+  stream.resume();
+
+  // A login whose body is still arriving, so it is in flight at shutdown
+  const finishLogin = await partialRequest(
+    "POST /api/auth/login HTTP/1.1\r\nHost: localhost\r\n" +
+      "Content-Type: application/json\r\n" +
+      `Content-Length: ${Buffer.byteLength(LOGIN)}\r\n\r\n` +
+      LOGIN.slice(0, 10)
+  );
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const shutdown = app.shutdown("test");
+  await streamEnded;
+
+  // New connections are refused...
+  await assert.rejects(fetch(`http://localhost:${port}/api/health/live`));
+
+  // ...but the login in flight completes, asking the client to disconnect
+  const response = await finishLogin(LOGIN.slice(10));
+  assert.equal(statusOf(response), 200);
+  assert.match(response, /\r\nConnection: close\r\n/i);
+  assert.equal(bodyOf(response).success, true);
+
+  await shutdown;
+});
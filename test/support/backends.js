@@ -0,0 +1,83 @@
+// Runs the server against each storage backend for the API tests
+//
+// Settings are read once per process, so each backend gets its own child
+// process (serve.js) running the exported app:
+//
+// - fallback: STORAGE_BACKEND=postgres with PostgreSQL unreachable, so the
+//   server runs on the in-memory fallback (writes journaled to a temporary
+//   file)
+// - postgres: the PostgreSQL adapter, SQL and migrations against pg-mem, an
+//   in-process PostgreSQL stand-in (see pg-mem.js)
+
+const { fork } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ADMIN = { email: "admin@example.com", password: "correct horse" };
+const SESSION_SECRET = "integration-test-session-secret";
+
+// Every backend: an admin to log in as, quiet logs and no rate limits
+const COMMON_ENV = {
+  NODE_ENV: "test",
+  LOG_LEVEL: "silent",
+  ADMIN_EMAIL: ADMIN.email,
+  ADMIN_PASSWORD: ADMIN.password,
+  SESSION_SECRET,
+  RATE_LIMIT_READS: "0",
+  RATE_LIMIT_WRITES: "0",
+};
+
+const BACKENDS = {
+  fallback: {
+    env: {
+      STORAGE_BACKEND: "postgres",
+      // Nothing listens on port 1, so connecting fails at once
+      DATABASE_URL: "postgres://test@127.0.0.1:1/users_test",
+      DB_FALLBACK: "memory",
+    },
+  },
+  postgres: {
+    env: {
+      STORAGE_BACKEND: "postgres",
+      DATABASE_URL: "postgres://test@localhost/users_test",
+      DB_FALLBACK: "off",
+    },
+    execArgv: ["--require", path.join(__dirname, "pg-mem.js")],
+  },
+};
+
+// Start the server for backend `name`; resolves with { name, url, stop() }
+async function startBackend(name) {
+  const backend = BACKENDS[name];
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `api-${name}-`));
+  const child = fork(path.join(__dirname, "serve.js"), {
+    env: {
+      ...process.env,
+      ...COMMON_ENV,
+      FALLBACK_JOURNAL: path.join(dir, "fallback-journal.jsonl"),
+      ...backend.env,
+    },
+    execArgv: backend.execArgv || [],
+  });
+
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+  const { port } = await new Promise((resolve, reject) => {
+    child.once("message", resolve);
+    exited.then((code) =>
+      reject(new Error(`${name} server exited with code ${code}`))
+    );
+  });
+
+  return {
+    name,
+    url: `http://localhost:${port}`,
+    async stop() {
+      child.send("stop");
+      await exited;
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { ADMIN, BACKENDS, SESSION_SECRET, startBackend };
@@ -0,0 +1,78 @@
+// Preloaded (node -r) to stand in for PostgreSQL: `require("pg")` gets
+// pg-mem's in-process database instead, so the PostgreSQL adapter, its SQL
+// and the migrations run without a server. pg_trgm is not built in; its
+// similarity() and % come from lib/storage/search.js, which mirrors them.
+// date_trunc() is missing too; pg-mem keeps milliseconds only, so truncating
+// to milliseconds (all the adapter asks for) changes nothing.
+//
+// Three pg-mem gaps are patched over:
+//
+// - ROLLBACK is ignored, so a snapshot taken at BEGIN is restored instead.
+//   The tests send one request at a time, so no other writes are lost.
+// - `id = $1 AND deleted_at IS NOT NULL` finds nothing once deleted_at has
+//   an index and the table a few rows, which breaks restoring from the
+//   trash, so that index (it only speeds up PostgreSQL) is not created.
+// - COLLATE does not parse. pg-mem compares text by character code anyway,
+//   which is what the "C" collation asks for, so the clause is dropped.
+
+const { newDb, DataType } = require("pg-mem");
+const {
+  SIMILARITY_THRESHOLD,
+  similarity,
+} = require("../../lib/storage/search");
+
+const db = newDb();
+db.registerExtension("pg_trgm", (schema) => {
+  schema.registerFunction({
+    name: "similarity",
+    args: [DataType.text, DataType.text],
+    returns: DataType.float,
+    implementation: similarity,
+  });
+  schema.registerOperator({
+    operator: "%",
+    left: DataType.text,
+    right: DataType.text,
+    returns: DataType.bool,
+    implementation: (a, b) => similarity(a, b) >= SIMILARITY_THRESHOLD,
+  });
+});
+db.public.registerFunction({
+  name: "date_trunc",
+  args: [DataType.text, DataType.timestamp],
+  returns: DataType.timestamp,
+  implementation: (unit, value) => {
+    if (unit !== "milliseconds") {
+      throw new Error(`date_trunc('${unit}') is not supported here`);
+    }
+    return value;
+  },
+});
+
+const SKIPPED_INDEX = /CREATE INDEX IF NOT EXISTS users_deleted_at_idx[^;]*;/;
+const COLLATE_C = / COLLATE "C"/g;
+const query = db.public.query.bind(db.public);
+let snapshot = null;
+db.public.query = (text) => {
+  switch (text.trim().toUpperCase()) {
+    case "BEGIN":
+      snapshot = db.backup();
+      break;
+    case "COMMIT":
+      snapshot = null;
+      break;
+    case "ROLLBACK":
+      snapshot.restore();
+      snapshot = null;
+      break;
+  }
+  return query(text.replace(SKIPPED_INDEX, "").replace(COLLATE_C, ""));
+};
+
+const id = require.resolve("pg");
+require.cache[id] = {
+  id,
+  filename: id,
+  loaded: true,
+  exports: db.adapters.createPg(),
+};
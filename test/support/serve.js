@@ -0,0 +1,15 @@
+// Child process started by backends.js: starts the exported app on a free
+// port, reports the port to the parent and shuts down when asked
+
+const app = require("../../server");
+
+app.start({ port: 0 }).then((server) => {
+  process.send({ port: server.address().port });
+});
+
+process.on("message", async (message) => {
+  if (message === "stop") {
+    await app.shutdown("test");
+    process.exit(0);
+  }
+});